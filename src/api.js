@@ -1,189 +1,196 @@
-import axios from 'axios';
-import crypto from 'crypto';
-import { getConfig } from './config.js';
+import { ChimeClient } from './client.js';
+import { getRegion, getEndpointUrl, getMaxAttempts, getChimeBearer, isDryRun } from './config.js';
+import { resolveCredentials } from './credentials.js';
+import { recordRequest, withJournalContext } from './journal.js';
+import { rememberResources } from './resource-cache.js';
 
-const SERVICE = 'chime';
-const BASE_URL = 'https://chime.us-east-1.amazonaws.com';
-const HOST = 'chime.us-east-1.amazonaws.com';
-const REGION = 'us-east-1';
+export {
+  MAX_CREATE_MEETING_ATTENDEES, MAX_BATCH_ATTENDEES, MAX_BATCH_MEMBERSHIPS, CONCATENATION_ARTIFACTS,
+  PHONE_NUMBER_PRODUCT_TYPES, meetingSourceArn, s3BucketArn
+} from './client.js';
 
 // ============================================================
-// AWS SigV4 Request Signing
+// CLI Client
 // ============================================================
-
-function sign(key, msg) {
-  return crypto.createHmac('sha256', key).update(msg).digest();
-}
-
-function getSignatureKey(key, dateStamp, region, service) {
-  const kDate = sign('AWS4' + key, dateStamp);
-  const kRegion = sign(kDate, region);
-  const kService = sign(kRegion, service);
-  return sign(kService, 'aws4_request');
-}
-
-function getAmzDate() {
-  return new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
-}
-
-function buildSignedHeaders({ method, path, body, queryString, accessKeyId, secretAccessKey, sessionToken }) {
-  const amzDate = getAmzDate();
-  const dateStamp = amzDate.substring(0, 8);
-
-  const bodyStr = body ? JSON.stringify(body) : '';
-  const contentHash = crypto.createHash('sha256').update(bodyStr).digest('hex');
-
-  const headers = {
-    'content-type': 'application/json',
-    'host': HOST,
-    'x-amz-date': amzDate,
-    'x-amz-content-sha256': contentHash
-  };
-  if (sessionToken) headers['x-amz-security-token'] = sessionToken;
-
-  const signedHeaderNames = Object.keys(headers).sort().join(';');
-  const canonicalHeaders = Object.keys(headers).sort().map(k => `${k}:${headers[k]}\n`).join('');
-  const canonicalRequest = [method, path, queryString || '', canonicalHeaders, signedHeaderNames, contentHash].join('\n');
-
-  const credentialScope = `${dateStamp}/${REGION}/${SERVICE}/aws4_request`;
-  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope,
-    crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
-
-  const signingKey = getSignatureKey(secretAccessKey, dateStamp, REGION, SERVICE);
-  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
-  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
-
-  return { headers: { ...headers, authorization }, bodyStr };
-}
-
-// ============================================================
-// API Client
-// ============================================================
-
-async function apiRequest(method, path, body = null, params = null) {
-  const accessKeyId = getConfig('accessKeyId');
-  const secretAccessKey = getConfig('secretAccessKey');
-  const sessionToken = getConfig('sessionToken');
-
-  if (!accessKeyId || !secretAccessKey) {
-    throw new Error('AWS credentials not configured. Run: awschime config set --access-key-id <id> --secret-access-key <secret>');
-  }
-
-  let queryString = '';
-  if (params) {
-    queryString = new URLSearchParams(params).toString();
-  }
-
-  const { headers, bodyStr } = buildSignedHeaders({
-    method, path, body, queryString, accessKeyId, secretAccessKey, sessionToken
-  });
-
-  try {
-    const url = BASE_URL + path + (queryString ? `?${queryString}` : '');
-    const response = await axios({
-      method,
-      url,
-      headers,
-      data: bodyStr || undefined
+// The CLI drives one ChimeClient configured from the global flags, the
+// environment and the active profile. It is built on first use, after the
+// preAction hook has applied the flags. The exports below forward to it so
+// commands and the modules behind them stay free of client plumbing.
+// Successful changes are also written to the audit journal (journal.js), and
+// IDs seen in responses are cached for completion (resource-cache.js).
+
+let client = null;
+let requestObserver = null;
+
+// Receives every signed request and its outcome, for --debug and --as-curl.
+export function setRequestObserver(observer) {
+  requestObserver = observer;
+}
+
+export function getClient() {
+  if (!client) {
+    client = new ChimeClient({
+      credentials: resolveCredentials,
+      region: getRegion(),
+      endpoint: getEndpointUrl(),
+      retry: { maxAttempts: getMaxAttempts() },
+      chimeBearer: getChimeBearer(),
+      dryRun: isDryRun(),
+      onRequest: (event) => {
+        requestObserver?.(event);
+        recordRequest(event);
+        rememberResources(event);
+      }
     });
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
   }
+  return client;
 }
 
-function handleApiError(error) {
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
-    if (status === 401 || status === 403) throw new Error('Authentication failed. Check your AWS credentials.');
-    if (status === 404) throw new Error('Resource not found.');
-    if (status === 429) throw new Error('Rate limit exceeded. Please wait before retrying.');
-    const message = data?.message || data?.Message || JSON.stringify(data);
-    throw new Error(`API Error (${status}): ${message}`);
-  } else if (error.request) {
-    throw new Error('No response from AWS Chime API. Check your internet connection.');
-  } else {
-    throw error;
+const call = (method) => (...args) => getClient()[method](...args);
+
+// Channel updates and deletes journal the channel as it was so `undo` can
+// restore it. The lookup is best effort; the change goes ahead without it.
+const withChannelSnapshot = (method) => async (channelArn, options = {}) => {
+  let before;
+  if (!isDryRun()) {
+    try {
+      before = (await getClient().getChannel(channelArn, { chimeBearer: options.chimeBearer })).Channel;
+    } catch {
+      // Journalled without a snapshot; undo will say it cannot restore it.
+    }
   }
-}
+  return await withJournalContext({ before }, () => getClient()[method](channelArn, options));
+};
 
-// ============================================================
 // MEETINGS
-// ============================================================
+export const iterateMeetings = call('iterateMeetings');
+export const listMeetings = call('listMeetings');
+export const getMeeting = call('getMeeting');
+export const createMeeting = call('createMeeting');
+export const createMeetingWithAttendees = call('createMeetingWithAttendees');
+export const deleteMeeting = call('deleteMeeting');
+export const startMeetingTranscription = call('startMeetingTranscription');
+export const stopMeetingTranscription = call('stopMeetingTranscription');
 
-export async function listMeetings() {
-  const data = await apiRequest('GET', '/meetings');
-  return data.Meetings || [];
-}
-
-export async function getMeeting(meetingId) {
-  return await apiRequest('GET', `/meetings/${encodeURIComponent(meetingId)}`);
-}
-
-export async function createMeeting({ clientRequestToken, externalMeetingId, mediaRegion = 'us-east-1', meetingHostId }) {
-  const body = {
-    ClientRequestToken: clientRequestToken || crypto.randomUUID(),
-    MediaRegion: mediaRegion
-  };
-  if (externalMeetingId) body.ExternalMeetingId = externalMeetingId;
-  if (meetingHostId) body.MeetingHostId = meetingHostId;
-  return await apiRequest('POST', '/meetings', body);
-}
-
-export async function deleteMeeting(meetingId) {
-  return await apiRequest('DELETE', `/meetings/${encodeURIComponent(meetingId)}`);
-}
-
-// ============================================================
 // ATTENDEES
-// ============================================================
-
-export async function listAttendees(meetingId) {
-  const data = await apiRequest('GET', `/meetings/${encodeURIComponent(meetingId)}/attendees`);
-  return data.Attendees || [];
-}
+export const iterateAttendees = call('iterateAttendees');
+export const listAttendees = call('listAttendees');
+export const getAttendee = call('getAttendee');
+export const createAttendee = call('createAttendee');
+export const updateAttendeeCapabilities = call('updateAttendeeCapabilities');
+export const batchUpdateAttendeeCapabilitiesExcept = call('batchUpdateAttendeeCapabilitiesExcept');
+export const batchCreateAttendees = call('batchCreateAttendees');
+export const deleteAttendee = call('deleteAttendee');
+
+// TAGS
+export const listTagsForResource = call('listTagsForResource');
 
-export async function getAttendee(meetingId, attendeeId) {
-  return await apiRequest('GET', `/meetings/${encodeURIComponent(meetingId)}/attendees/${encodeURIComponent(attendeeId)}`);
-}
-
-export async function createAttendee(meetingId, { externalUserId }) {
-  const body = { ExternalUserId: externalUserId };
-  return await apiRequest('POST', `/meetings/${encodeURIComponent(meetingId)}/attendees`, body);
-}
-
-export async function deleteAttendee(meetingId, attendeeId) {
-  return await apiRequest('DELETE', `/meetings/${encodeURIComponent(meetingId)}/attendees/${encodeURIComponent(attendeeId)}`);
-}
-
-// ============================================================
 // CHANNELS (Chime SDK Messaging)
-// ============================================================
-
-export async function listChannels({ appInstanceArn, maxResults = 20 } = {}) {
-  const params = {};
-  if (appInstanceArn) params.app_instance_arn = appInstanceArn;
-  if (maxResults) params.max_results = maxResults;
-  const data = await apiRequest('GET', '/channels', null, params);
-  return data.Channels || [];
-}
-
-export async function getChannel(channelArn) {
-  return await apiRequest('GET', `/channels/${encodeURIComponent(channelArn)}`);
-}
-
-export async function createChannel({ appInstanceArn, name, mode = 'UNRESTRICTED', privacy = 'PUBLIC', clientRequestToken }) {
-  const body = {
-    AppInstanceArn: appInstanceArn,
-    Name: name,
-    Mode: mode,
-    Privacy: privacy,
-    ClientRequestToken: clientRequestToken || crypto.randomUUID()
-  };
-  return await apiRequest('POST', '/channels', body);
-}
-
-export async function deleteChannel(channelArn) {
-  return await apiRequest('DELETE', `/channels/${encodeURIComponent(channelArn)}`);
-}
+export const iterateChannels = call('iterateChannels');
+export const listChannels = call('listChannels');
+export const getChannel = call('getChannel');
+export const createChannel = call('createChannel');
+export const updateChannel = withChannelSnapshot('updateChannel');
+export const deleteChannel = withChannelSnapshot('deleteChannel');
+
+// CHANNEL MEMBERSHIPS, MODERATORS AND BANS (Chime SDK Messaging)
+export const iterateChannelMemberships = call('iterateChannelMemberships');
+export const listChannelMemberships = call('listChannelMemberships');
+export const createChannelMembership = call('createChannelMembership');
+export const deleteChannelMembership = call('deleteChannelMembership');
+export const batchCreateChannelMemberships = call('batchCreateChannelMemberships');
+export const iterateChannelModerators = call('iterateChannelModerators');
+export const listChannelModerators = call('listChannelModerators');
+export const createChannelModerator = call('createChannelModerator');
+export const deleteChannelModerator = call('deleteChannelModerator');
+export const iterateChannelBans = call('iterateChannelBans');
+export const listChannelBans = call('listChannelBans');
+export const createChannelBan = call('createChannelBan');
+export const deleteChannelBan = call('deleteChannelBan');
+
+// CHANNEL MESSAGES (Chime SDK Messaging)
+export const sendChannelMessage = call('sendChannelMessage');
+export const iterateChannelMessages = call('iterateChannelMessages');
+export const listChannelMessages = call('listChannelMessages');
+export const getChannelMessage = call('getChannelMessage');
+export const updateChannelMessage = call('updateChannelMessage');
+export const redactChannelMessage = call('redactChannelMessage');
+export const deleteChannelMessage = call('deleteChannelMessage');
+
+// APP INSTANCES (Chime SDK Identity)
+export const iterateAppInstances = call('iterateAppInstances');
+export const listAppInstances = call('listAppInstances');
+export const getAppInstance = call('getAppInstance');
+export const createAppInstance = call('createAppInstance');
+export const updateAppInstance = call('updateAppInstance');
+export const deleteAppInstance = call('deleteAppInstance');
+export const getAppInstanceRetentionSettings = call('getAppInstanceRetentionSettings');
+export const putAppInstanceRetentionSettings = call('putAppInstanceRetentionSettings');
+
+// APP INSTANCE USERS AND ADMINS (Chime SDK Identity)
+export const iterateAppInstanceUsers = call('iterateAppInstanceUsers');
+export const listAppInstanceUsers = call('listAppInstanceUsers');
+export const getAppInstanceUser = call('getAppInstanceUser');
+export const createAppInstanceUser = call('createAppInstanceUser');
+export const updateAppInstanceUser = call('updateAppInstanceUser');
+export const deleteAppInstanceUser = call('deleteAppInstanceUser');
+export const iterateAppInstanceAdmins = call('iterateAppInstanceAdmins');
+export const listAppInstanceAdmins = call('listAppInstanceAdmins');
+export const createAppInstanceAdmin = call('createAppInstanceAdmin');
+export const deleteAppInstanceAdmin = call('deleteAppInstanceAdmin');
+
+// MEDIA CAPTURE PIPELINES (Chime SDK Media Pipelines)
+export const iterateMediaCapturePipelines = call('iterateMediaCapturePipelines');
+export const listMediaCapturePipelines = call('listMediaCapturePipelines');
+export const getMediaCapturePipeline = call('getMediaCapturePipeline');
+export const createMediaCapturePipeline = call('createMediaCapturePipeline');
+export const deleteMediaCapturePipeline = call('deleteMediaCapturePipeline');
+export const createMediaConcatenationPipeline = call('createMediaConcatenationPipeline');
+export const getMediaConcatenationPipeline = call('getMediaConcatenationPipeline');
+
+// PHONE NUMBERS (Chime SDK Voice)
+export const iterateAvailablePhoneNumbers = call('iterateAvailablePhoneNumbers');
+export const searchAvailablePhoneNumbers = call('searchAvailablePhoneNumbers');
+export const createPhoneNumberOrder = call('createPhoneNumberOrder');
+export const getPhoneNumberOrder = call('getPhoneNumberOrder');
+export const iteratePhoneNumberOrders = call('iteratePhoneNumberOrders');
+export const listPhoneNumberOrders = call('listPhoneNumberOrders');
+export const iteratePhoneNumbers = call('iteratePhoneNumbers');
+export const listPhoneNumbers = call('listPhoneNumbers');
+export const getPhoneNumber = call('getPhoneNumber');
+export const updatePhoneNumber = call('updatePhoneNumber');
+export const deletePhoneNumber = call('deletePhoneNumber');
+export const associatePhoneNumbersWithVoiceConnector = call('associatePhoneNumbersWithVoiceConnector');
+export const disassociatePhoneNumbersFromVoiceConnector = call('disassociatePhoneNumbersFromVoiceConnector');
+
+// VOICE CONNECTORS (Chime SDK Voice)
+export const iterateVoiceConnectors = call('iterateVoiceConnectors');
+export const listVoiceConnectors = call('listVoiceConnectors');
+export const getVoiceConnector = call('getVoiceConnector');
+export const createVoiceConnector = call('createVoiceConnector');
+export const updateVoiceConnector = call('updateVoiceConnector');
+export const deleteVoiceConnector = call('deleteVoiceConnector');
+export const getVoiceConnectorTermination = call('getVoiceConnectorTermination');
+export const putVoiceConnectorTermination = call('putVoiceConnectorTermination');
+export const deleteVoiceConnectorTermination = call('deleteVoiceConnectorTermination');
+export const getVoiceConnectorOrigination = call('getVoiceConnectorOrigination');
+export const putVoiceConnectorOrigination = call('putVoiceConnectorOrigination');
+export const deleteVoiceConnectorOrigination = call('deleteVoiceConnectorOrigination');
+export const listVoiceConnectorTerminationCredentials = call('listVoiceConnectorTerminationCredentials');
+export const putVoiceConnectorTerminationCredentials = call('putVoiceConnectorTerminationCredentials');
+export const deleteVoiceConnectorTerminationCredentials = call('deleteVoiceConnectorTerminationCredentials');
+
+// SIP MEDIA APPLICATIONS AND RULES (Chime SDK Voice)
+export const iterateSipMediaApplications = call('iterateSipMediaApplications');
+export const listSipMediaApplications = call('listSipMediaApplications');
+export const getSipMediaApplication = call('getSipMediaApplication');
+export const createSipMediaApplication = call('createSipMediaApplication');
+export const updateSipMediaApplication = call('updateSipMediaApplication');
+export const deleteSipMediaApplication = call('deleteSipMediaApplication');
+export const iterateSipRules = call('iterateSipRules');
+export const listSipRules = call('listSipRules');
+export const getSipRule = call('getSipRule');
+export const createSipRule = call('createSipRule');
+export const updateSipRule = call('updateSipRule');
+export const deleteSipRule = call('deleteSipRule');
+export const listSipMediaApplicationDialInNumbers = call('listSipMediaApplicationDialInNumbers');
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { getChannel, iterateChannelMessages, sendChannelMessage, getAppInstanceUser } from './api.js';
+
+// ============================================================
+// Channel Archives
+// ============================================================
+// An export walks a channel's full message history oldest-first and renders
+// it as JSONL, Markdown or HTML. JSONL archives start with a header line
+// (`{ "Channel": ..., "ExportedAt": ... }`) followed by one message per line,
+// and are the format `importChannel` replays.
+
+export const ARCHIVE_FORMATS = ['jsonl', 'markdown', 'html'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Display names come from the app instance user; a sender that can no longer
+// be described keeps the name on the message, else the last ARN segment.
+function createNameResolver() {
+  const names = new Map();
+  return async (sender) => {
+    if (!sender?.Arn) return sender?.Name || 'Unknown';
+    if (!names.has(sender.Arn)) {
+      let name;
+      try {
+        const result = await getAppInstanceUser(sender.Arn);
+        name = (result.AppInstanceUser || result).Name;
+      } catch {
+        // Deleted users and users in other app instances fall back below.
+      }
+      names.set(sender.Arn, name || sender.Name || sender.Arn.split('/').pop());
+    }
+    return names.get(sender.Arn);
+  };
+}
+
+function isoTime(timestamp) {
+  if (timestamp === undefined || timestamp === null) return '';
+  return new Date(typeof timestamp === 'number' && timestamp < 1e12 ? timestamp * 1000 : timestamp).toISOString();
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderJsonl(channel, messages, exportedAt) {
+  const lines = [JSON.stringify({ Channel: channel, ExportedAt: exportedAt })];
+  messages.forEach(message => lines.push(JSON.stringify(message)));
+  return lines.join('\n') + '\n';
+}
+
+function renderMarkdown(channel, messages, exportedAt) {
+  const lines = [
+    `# ${channel.Name || channel.ChannelArn}`,
+    '',
+    `- Channel ARN: \`${channel.ChannelArn}\``,
+    `- Exported: ${exportedAt}`,
+    `- Messages: ${messages.length}`,
+    ''
+  ];
+  for (const message of messages) {
+    const type = message.Type && message.Type !== 'STANDARD' ? ` · ${message.Type}` : '';
+    const edited = message.LastEditedTimestamp ? ` · edited ${isoTime(message.LastEditedTimestamp)}` : '';
+    lines.push('---', '', `**${message.SenderName}** · ${isoTime(message.CreatedTimestamp)}${type}${edited}`, '');
+    lines.push(message.Redacted ? '_(redacted)_' : message.Content || '', '');
+  }
+  return lines.join('\n');
+}
+
+function renderHtml(channel, messages, exportedAt) {
+  const title = escapeHtml(channel.Name || channel.ChannelArn);
+  const items = messages.map(message => {
+    const content = message.Redacted ? '<em>(redacted)</em>' : escapeHtml(message.Content).replace(/\n/g, '<br>');
+    const type = message.Type && message.Type !== 'STANDARD' ? ` · ${escapeHtml(message.Type)}` : '';
+    return `  <article id="${escapeHtml(message.MessageId)}">
+    <header><strong>${escapeHtml(message.SenderName)}</strong> <time datetime="${isoTime(message.CreatedTimestamp)}">${isoTime(message.CreatedTimestamp)}</time>${type}</header>
+    <p>${content}</p>
+  </article>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; color: #222; }
+  article { border-top: 1px solid #ddd; padding: 0.5rem 0; }
+  header { color: #555; font-size: 0.9rem; }
+  p { white-space: normal; margin: 0.25rem 0 0; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p><code>${escapeHtml(channel.ChannelArn)}</code><br>Exported ${exportedAt} · ${messages.length} message(s)</p>
+${items.join('\n')}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { jsonl: renderJsonl, markdown: renderMarkdown, html: renderHtml };
+
+/**
+ * Fetches a channel's messages between `since` and `until` (oldest first),
+ * adds a `SenderName` to each, and renders the archive in `format`.
+ * `onProgress` receives the running message count.
+ */
+export async function exportChannel(channelArn, { format = 'jsonl', since, until, chimeBearer, onProgress } = {}) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`Unknown archive format '${format}'. Use one of: ${ARCHIVE_FORMATS.join(', ')}`);
+
+  const result = await getChannel(channelArn, { chimeBearer });
+  const channel = result.Channel || result;
+  const resolveName = createNameResolver();
+
+  const messages = [];
+  const iterator = iterateChannelMessages(channelArn, { notBefore: since, notAfter: until, sortOrder: 'ASCENDING', chimeBearer });
+  for await (const message of iterator) {
+    messages.push({ ...message, SenderName: await resolveName(message.Sender) });
+    if (onProgress) onProgress(messages.length);
+  }
+  return { content: render(channel, messages, new Date().toISOString()), count: messages.length };
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Reads a JSONL archive into `{ channel, messages }`. Redacted and empty
+ * messages are dropped since there is nothing to replay.
+ */
+export function readArchive(file) {
+  let channel = null;
+  const messages = [];
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${index + 1} is not valid JSON`);
+    }
+    if (record.Channel) channel = record.Channel;
+    else if (record.MessageId && !record.Redacted && record.Content) messages.push(record);
+  });
+  return { channel, messages };
+}
+
+function readCheckpoint(file, targetArn) {
+  if (!fs.existsSync(file)) return null;
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (checkpoint.targetChannelArn !== targetArn) {
+    throw new Error(`Checkpoint ${file} belongs to ${checkpoint.targetChannelArn}; remove it or pass another --checkpoint`);
+  }
+  return checkpoint;
+}
+
+// The token is derived from the target and source message so a replay that
+// resumes after a crash mid-send does not post the same message twice.
+function replayToken(targetArn, messageId) {
+  return crypto.createHash('sha256').update(`${targetArn}\n${messageId}`).digest('hex').slice(0, 64);
+}
+
+function attributed(message) {
+  return `[${isoTime(message.CreatedTimestamp)}] ${message.SenderName || message.Sender?.Name || 'Unknown'}: ${message.Content}`;
+}
+
+/**
+ * Replays archived messages into `targetArn` at no more than `ratePerSecond`,
+ * recording progress in `checkpointFile` after every message so an
+ * interrupted import resumes where it stopped. Messages are sent as the
+ * caller's bearer with the original sender and time prefixed, or as their
+ * original senders with `preserveSenders`. The checkpoint is removed once
+ * every message is sent. `checkpointFile` is required.
+ */
+export async function importChannel(targetArn, messages, {
+  checkpointFile, ratePerSecond = 5, preserveSenders = false, attribution = true, chimeBearer, onProgress
+}) {
+  if (!checkpointFile) throw new Error('importChannel needs a checkpointFile to record progress in');
+  if (!(ratePerSecond > 0 && ratePerSecond < Infinity)) throw new Error(`Invalid import rate ${ratePerSecond}; use a positive number`);
+  const checkpoint = readCheckpoint(checkpointFile, targetArn) || { targetChannelArn: targetArn, sent: [] };
+  const done = new Set(checkpoint.sent);
+  const pending = messages.filter(message => !done.has(message.MessageId));
+  const interval = 1000 / ratePerSecond;
+
+  let sent = 0;
+  for (const message of pending) {
+    const started = Date.now();
+    await sendChannelMessage(targetArn, {
+      content: !preserveSenders && attribution ? attributed(message) : message.Content,
+      type: message.Type,
+      metadata: message.Metadata,
+      contentType: message.ContentType,
+      messageAttributes: message.MessageAttributes,
+      clientRequestToken: replayToken(targetArn, message.MessageId),
+      chimeBearer: preserveSenders ? message.Sender?.Arn : chimeBearer
+    });
+    checkpoint.sent.push(message.MessageId);
+    fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint));
+    sent++;
+    if (onProgress) onProgress({ sent, total: pending.length, skipped: messages.length - pending.length });
+    await sleep(Math.max(0, interval - (Date.now() - started)));
+  }
+
+  fs.rmSync(checkpointFile, { force: true });
+  return { sent, skipped: messages.length - pending.length };
+}
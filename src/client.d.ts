@@ -0,0 +1,440 @@
+// Type declarations for the ChimeClient library entry point (src/client.js).
+// Response bodies are the Chime API's JSON, typed loosely as ApiResponse.
+
+export type ApiResponse = Record<string, any>;
+
+export type Service = 'chime' | 'meetings' | 'messaging' | 'identity' | 'mediaPipelines' | 'voice';
+
+export interface Credentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+}
+
+export type CredentialsProvider = () => Promise<Credentials>;
+
+export interface SignedRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body: string;
+  canonicalRequest: string;
+  stringToSign: string;
+  attempt: number;
+  maxAttempts: number;
+}
+
+export interface TransportRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export interface TransportResponse {
+  status: number;
+  headers: Record<string, string | string[] | undefined>;
+  body: string;
+}
+
+/** Sends one request; rejects only when no response arrived. */
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+export type RequestEvent =
+  | { type: 'request'; request: SignedRequest }
+  | { type: 'response'; request: SignedRequest; status: number; headers: Record<string, any>; data: any; ms: number }
+  | { type: 'error'; request: SignedRequest; error: Error & { code?: string }; ms: number };
+
+export interface RetryPolicy {
+  /** Attempts per call, including the first. Default 3. */
+  maxAttempts?: number;
+  /** Base of the full-jitter exponential backoff. Default 200. */
+  baseDelayMs?: number;
+  /** Cap on a single backoff delay. Default 20000. */
+  maxDelayMs?: number;
+}
+
+export interface ChimeClientOptions {
+  credentials: Credentials | CredentialsProvider;
+  /** Control region for the Chime SDK APIs. Default us-east-1. */
+  region?: string;
+  /** Sends every service's requests to this URL instead of the AWS default. */
+  endpoint?: string;
+  retry?: RetryPolicy;
+  transport?: Transport;
+  /** Default app instance user ARN for messaging calls. */
+  chimeBearer?: string;
+  /** Reject mutating calls with a DryRunError instead of sending them. */
+  dryRun?: boolean;
+  onRequest?: (event: RequestEvent) => void;
+}
+
+export interface PageOptions {
+  pageSize?: number;
+  startingToken?: string;
+  limit?: number;
+  maxPages?: number;
+  onPage?: (page: { nextToken?: string }) => void;
+}
+
+export interface BearerOptions {
+  chimeBearer?: string;
+}
+
+export type Tag = { Key: string; Value: string };
+
+export type Capability = 'SendReceive' | 'Send' | 'Receive' | 'None';
+
+export interface AttendeeCapabilities {
+  Audio: Capability;
+  Video: Capability;
+  Content: Capability;
+}
+
+export interface CreateMeetingOptions {
+  clientRequestToken?: string;
+  externalMeetingId?: string;
+  /** Defaults to the client's region. */
+  mediaRegion?: string;
+  meetingHostId?: string;
+  meetingFeatures?: ApiResponse;
+  notificationsConfiguration?: ApiResponse;
+  tags?: Tag[];
+  tenantIds?: string[];
+  primaryMeetingId?: string;
+}
+
+export interface CreateChannelOptions extends BearerOptions {
+  appInstanceArn: string;
+  name: string;
+  mode?: 'UNRESTRICTED' | 'RESTRICTED';
+  privacy?: 'PUBLIC' | 'PRIVATE';
+  metadata?: string;
+  clientRequestToken?: string;
+}
+
+export interface SendChannelMessageOptions extends BearerOptions {
+  content: string;
+  type?: 'STANDARD' | 'CONTROL';
+  persistence?: 'PERSISTENT' | 'NON_PERSISTENT';
+  metadata?: string;
+  contentType?: string;
+  pushNotification?: ApiResponse;
+  messageAttributes?: ApiResponse;
+  clientRequestToken?: string;
+}
+
+export type ConcatenationArtifact =
+  'Audio' | 'Video' | 'Content' | 'DataChannel' | 'TranscriptionMessages' | 'MeetingEvents' | 'CompositedVideo';
+
+export interface CreateMediaCapturePipelineOptions {
+  meetingArn: string;
+  /** Bucket ARN, s3://bucket/prefix or bucket/prefix. */
+  bucket: string;
+  artifactsConfiguration: ApiResponse;
+  selectedVideoStreams?: ApiResponse;
+  kmsKeyId?: string;
+  sinkIamRoleArn?: string;
+  tags?: Tag[];
+  clientRequestToken?: string;
+}
+
+export interface CreateMediaConcatenationPipelineOptions {
+  mediaPipelineArn: string;
+  bucket: string;
+  artifacts?: ConcatenationArtifact[];
+  tags?: Tag[];
+  clientRequestToken?: string;
+}
+
+export type PhoneNumberProductType = 'VoiceConnector' | 'SipMediaApplicationDialIn';
+
+export interface SearchAvailablePhoneNumbersOptions extends PageOptions {
+  areaCode?: string;
+  city?: string;
+  state?: string;
+  country?: string;
+  tollFreePrefix?: string;
+  phoneNumberType?: 'Local' | 'TollFree';
+}
+
+export interface ListPhoneNumbersOptions extends PageOptions {
+  status?: string;
+  productType?: PhoneNumberProductType;
+  filterName?: 'VoiceConnectorId' | 'VoiceConnectorGroupId' | 'SipRuleId';
+  filterValue?: string;
+}
+
+export interface VoiceConnectorTermination {
+  CallingRegions?: string[];
+  CidrAllowedList?: string[];
+  CpsLimit?: number;
+  DefaultPhoneNumber?: string;
+  Disabled?: boolean;
+}
+
+export interface OriginationRoute {
+  Host: string;
+  Port?: number;
+  Protocol: 'TCP' | 'UDP';
+  Priority: number;
+  Weight: number;
+}
+
+export interface SipRuleTargetApplication {
+  SipMediaApplicationId: string;
+  Priority: number;
+  AwsRegion?: string;
+}
+
+export class ChimeClient {
+  constructor(options: ChimeClientOptions);
+
+  readonly region: string;
+  readonly endpoint: string | null;
+  readonly retry: Required<RetryPolicy>;
+  readonly chimeBearer: string | null;
+  readonly dryRun: boolean;
+
+  resolveEndpoint(service: Service): { baseUrl: string; host: string; region: string };
+  /** Signs and sends one call; resolves with the parsed response body. */
+  request(
+    service: Service, method: string, path: string, body?: unknown,
+    params?: Record<string, string | number> | null, headers?: Record<string, string>
+  ): Promise<any>;
+
+  // Meetings
+  iterateMeetings(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listMeetings(options?: PageOptions): Promise<ApiResponse[]>;
+  getMeeting(meetingId: string): Promise<ApiResponse>;
+  createMeeting(options?: CreateMeetingOptions): Promise<ApiResponse>;
+  createMeetingWithAttendees(
+    options: CreateMeetingOptions, attendees: { ExternalUserId: string; Capabilities?: AttendeeCapabilities }[]
+  ): Promise<ApiResponse>;
+  deleteMeeting(meetingId: string): Promise<ApiResponse | null>;
+  startMeetingTranscription(meetingId: string, transcriptionConfiguration: ApiResponse): Promise<ApiResponse | null>;
+  stopMeetingTranscription(meetingId: string): Promise<ApiResponse | null>;
+
+  // Attendees
+  iterateAttendees(meetingId: string, options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listAttendees(meetingId: string, options?: PageOptions): Promise<ApiResponse[]>;
+  getAttendee(meetingId: string, attendeeId: string): Promise<ApiResponse>;
+  createAttendee(
+    meetingId: string, options: { externalUserId: string; capabilities?: AttendeeCapabilities }
+  ): Promise<ApiResponse>;
+  updateAttendeeCapabilities(meetingId: string, attendeeId: string, capabilities: AttendeeCapabilities): Promise<ApiResponse>;
+  batchUpdateAttendeeCapabilitiesExcept(
+    meetingId: string, excludedAttendeeIds: string[], capabilities: AttendeeCapabilities
+  ): Promise<ApiResponse | null>;
+  /**
+   * A batch call that fails outright rejects with the error extended by
+   * `partial: { attendees, errors, unsent }`.
+   */
+  batchCreateAttendees(
+    meetingId: string, attendees: { ExternalUserId: string; Capabilities?: AttendeeCapabilities }[],
+    options?: { onBatch?: (progress: { done: number; total: number }) => void }
+  ): Promise<{ attendees: ApiResponse[]; errors: ApiResponse[] }>;
+  deleteAttendee(meetingId: string, attendeeId: string): Promise<ApiResponse | null>;
+
+  // Tags
+  listTagsForResource(resourceArn: string, options?: BearerOptions): Promise<Tag[]>;
+
+  // Channels
+  iterateChannels(
+    options?: PageOptions & BearerOptions & { appInstanceArn?: string; privacy?: 'PUBLIC' | 'PRIVATE'; maxResults?: number }
+  ): AsyncGenerator<ApiResponse>;
+  listChannels(
+    options?: PageOptions & BearerOptions & { appInstanceArn?: string; privacy?: 'PUBLIC' | 'PRIVATE'; maxResults?: number }
+  ): Promise<ApiResponse[]>;
+  getChannel(channelArn: string, options?: BearerOptions): Promise<ApiResponse>;
+  createChannel(options: CreateChannelOptions): Promise<ApiResponse>;
+  updateChannel(
+    channelArn: string, options: BearerOptions & { name: string; mode?: 'UNRESTRICTED' | 'RESTRICTED'; metadata?: string }
+  ): Promise<ApiResponse>;
+  deleteChannel(channelArn: string, options?: BearerOptions): Promise<ApiResponse | null>;
+
+  // Channel memberships, moderators and bans
+  iterateChannelMemberships(
+    channelArn: string, options?: PageOptions & BearerOptions & { type?: 'DEFAULT' | 'HIDDEN' }
+  ): AsyncGenerator<ApiResponse>;
+  listChannelMemberships(
+    channelArn: string, options?: PageOptions & BearerOptions & { type?: 'DEFAULT' | 'HIDDEN' }
+  ): Promise<ApiResponse[]>;
+  createChannelMembership(
+    channelArn: string, memberArn: string, options?: BearerOptions & { type?: 'DEFAULT' | 'HIDDEN' }
+  ): Promise<ApiResponse>;
+  deleteChannelMembership(channelArn: string, memberArn: string, options?: BearerOptions): Promise<ApiResponse | null>;
+  /**
+   * A batch call that fails outright rejects with the error extended by
+   * `partial: { members, errors, unsent }`.
+   */
+  batchCreateChannelMemberships(
+    channelArn: string, memberArns: string[],
+    options?: BearerOptions & { type?: 'DEFAULT' | 'HIDDEN'; onBatch?: (progress: { done: number; total: number }) => void }
+  ): Promise<{ members: ApiResponse[]; errors: ApiResponse[] }>;
+  iterateChannelModerators(channelArn: string, options?: PageOptions & BearerOptions): AsyncGenerator<ApiResponse>;
+  listChannelModerators(channelArn: string, options?: PageOptions & BearerOptions): Promise<ApiResponse[]>;
+  createChannelModerator(channelArn: string, moderatorArn: string, options?: BearerOptions): Promise<ApiResponse>;
+  deleteChannelModerator(channelArn: string, moderatorArn: string, options?: BearerOptions): Promise<ApiResponse | null>;
+  iterateChannelBans(channelArn: string, options?: PageOptions & BearerOptions): AsyncGenerator<ApiResponse>;
+  listChannelBans(channelArn: string, options?: PageOptions & BearerOptions): Promise<ApiResponse[]>;
+  createChannelBan(channelArn: string, memberArn: string, options?: BearerOptions): Promise<ApiResponse>;
+  deleteChannelBan(channelArn: string, memberArn: string, options?: BearerOptions): Promise<ApiResponse | null>;
+
+  // Channel messages
+  sendChannelMessage(channelArn: string, options: SendChannelMessageOptions): Promise<ApiResponse>;
+  iterateChannelMessages(
+    channelArn: string,
+    options?: PageOptions & BearerOptions & {
+      notBefore?: string | Date; notAfter?: string | Date; sortOrder?: 'ASCENDING' | 'DESCENDING'
+    }
+  ): AsyncGenerator<ApiResponse>;
+  listChannelMessages(
+    channelArn: string,
+    options?: PageOptions & BearerOptions & {
+      notBefore?: string | Date; notAfter?: string | Date; sortOrder?: 'ASCENDING' | 'DESCENDING'
+    }
+  ): Promise<ApiResponse[]>;
+  getChannelMessage(channelArn: string, messageId: string, options?: BearerOptions): Promise<ApiResponse>;
+  updateChannelMessage(
+    channelArn: string, messageId: string,
+    options: BearerOptions & { content: string; metadata?: string; contentType?: string }
+  ): Promise<ApiResponse>;
+  redactChannelMessage(channelArn: string, messageId: string, options?: BearerOptions): Promise<ApiResponse>;
+  deleteChannelMessage(channelArn: string, messageId: string, options?: BearerOptions): Promise<ApiResponse | null>;
+
+  // App instances, users and admins
+  iterateAppInstances(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listAppInstances(options?: PageOptions): Promise<ApiResponse[]>;
+  getAppInstance(appInstanceArn: string): Promise<ApiResponse>;
+  createAppInstance(
+    options: { name: string; metadata?: string; tags?: Tag[]; clientRequestToken?: string }
+  ): Promise<ApiResponse>;
+  updateAppInstance(appInstanceArn: string, options: { name: string; metadata?: string }): Promise<ApiResponse>;
+  deleteAppInstance(appInstanceArn: string): Promise<ApiResponse | null>;
+  getAppInstanceRetentionSettings(appInstanceArn: string): Promise<ApiResponse>;
+  putAppInstanceRetentionSettings(appInstanceArn: string, options: { retentionDays: number }): Promise<ApiResponse>;
+  iterateAppInstanceUsers(appInstanceArn: string, options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listAppInstanceUsers(appInstanceArn: string, options?: PageOptions): Promise<ApiResponse[]>;
+  getAppInstanceUser(appInstanceUserArn: string): Promise<ApiResponse>;
+  createAppInstanceUser(options: {
+    appInstanceArn: string; userId: string; name: string; metadata?: string; tags?: Tag[]; clientRequestToken?: string
+  }): Promise<ApiResponse>;
+  updateAppInstanceUser(appInstanceUserArn: string, options: { name: string; metadata?: string }): Promise<ApiResponse>;
+  deleteAppInstanceUser(appInstanceUserArn: string): Promise<ApiResponse | null>;
+  iterateAppInstanceAdmins(appInstanceArn: string, options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listAppInstanceAdmins(appInstanceArn: string, options?: PageOptions): Promise<ApiResponse[]>;
+  createAppInstanceAdmin(appInstanceArn: string, adminArn: string): Promise<ApiResponse>;
+  deleteAppInstanceAdmin(appInstanceArn: string, adminArn: string): Promise<ApiResponse | null>;
+
+  // Media pipelines
+  iterateMediaCapturePipelines(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listMediaCapturePipelines(options?: PageOptions): Promise<ApiResponse[]>;
+  getMediaCapturePipeline(mediaPipelineId: string): Promise<ApiResponse>;
+  createMediaCapturePipeline(options: CreateMediaCapturePipelineOptions): Promise<ApiResponse>;
+  deleteMediaCapturePipeline(mediaPipelineId: string): Promise<ApiResponse | null>;
+  createMediaConcatenationPipeline(options: CreateMediaConcatenationPipelineOptions): Promise<ApiResponse>;
+  getMediaConcatenationPipeline(mediaPipelineId: string): Promise<ApiResponse>;
+
+  // Phone numbers (Chime SDK Voice)
+  iterateAvailablePhoneNumbers(options?: SearchAvailablePhoneNumbersOptions): AsyncGenerator<string>;
+  searchAvailablePhoneNumbers(options?: SearchAvailablePhoneNumbersOptions): Promise<string[]>;
+  createPhoneNumberOrder(
+    options: { productType: PhoneNumberProductType; e164PhoneNumbers: string[]; name?: string }
+  ): Promise<ApiResponse>;
+  getPhoneNumberOrder(phoneNumberOrderId: string): Promise<ApiResponse>;
+  iteratePhoneNumberOrders(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listPhoneNumberOrders(options?: PageOptions): Promise<ApiResponse[]>;
+  iteratePhoneNumbers(options?: ListPhoneNumbersOptions): AsyncGenerator<ApiResponse>;
+  listPhoneNumbers(options?: ListPhoneNumbersOptions): Promise<ApiResponse[]>;
+  getPhoneNumber(phoneNumberId: string): Promise<ApiResponse>;
+  updatePhoneNumber(
+    phoneNumberId: string, options: { productType?: PhoneNumberProductType; callingName?: string; name?: string }
+  ): Promise<ApiResponse>;
+  deletePhoneNumber(phoneNumberId: string): Promise<ApiResponse | null>;
+  associatePhoneNumbersWithVoiceConnector(
+    voiceConnectorId: string, e164PhoneNumbers: string[], options?: { force?: boolean }
+  ): Promise<ApiResponse>;
+  disassociatePhoneNumbersFromVoiceConnector(voiceConnectorId: string, e164PhoneNumbers: string[]): Promise<ApiResponse>;
+
+  // Voice connectors
+  iterateVoiceConnectors(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listVoiceConnectors(options?: PageOptions): Promise<ApiResponse[]>;
+  getVoiceConnector(voiceConnectorId: string): Promise<ApiResponse>;
+  createVoiceConnector(
+    options: { name: string; awsRegion?: string; requireEncryption?: boolean; tags?: Tag[] }
+  ): Promise<ApiResponse>;
+  updateVoiceConnector(voiceConnectorId: string, options: { name: string; requireEncryption: boolean }): Promise<ApiResponse>;
+  deleteVoiceConnector(voiceConnectorId: string): Promise<ApiResponse | null>;
+  getVoiceConnectorTermination(voiceConnectorId: string): Promise<ApiResponse>;
+  putVoiceConnectorTermination(voiceConnectorId: string, termination: VoiceConnectorTermination): Promise<ApiResponse>;
+  deleteVoiceConnectorTermination(voiceConnectorId: string): Promise<ApiResponse | null>;
+  getVoiceConnectorOrigination(voiceConnectorId: string): Promise<ApiResponse>;
+  putVoiceConnectorOrigination(
+    voiceConnectorId: string, origination: { Routes?: OriginationRoute[]; Disabled?: boolean }
+  ): Promise<ApiResponse>;
+  deleteVoiceConnectorOrigination(voiceConnectorId: string): Promise<ApiResponse | null>;
+  listVoiceConnectorTerminationCredentials(voiceConnectorId: string): Promise<string[]>;
+  putVoiceConnectorTerminationCredentials(
+    voiceConnectorId: string, credentials: { Username: string; Password: string }[]
+  ): Promise<ApiResponse | null>;
+  deleteVoiceConnectorTerminationCredentials(voiceConnectorId: string, usernames: string[]): Promise<ApiResponse | null>;
+
+  // SIP media applications and rules
+  iterateSipMediaApplications(options?: PageOptions): AsyncGenerator<ApiResponse>;
+  listSipMediaApplications(options?: PageOptions): Promise<ApiResponse[]>;
+  getSipMediaApplication(sipMediaApplicationId: string): Promise<ApiResponse>;
+  createSipMediaApplication(
+    options: { name: string; lambdaArn: string; awsRegion?: string; tags?: Tag[] }
+  ): Promise<ApiResponse>;
+  updateSipMediaApplication(sipMediaApplicationId: string, options: { name?: string; lambdaArn?: string }): Promise<ApiResponse>;
+  deleteSipMediaApplication(sipMediaApplicationId: string): Promise<ApiResponse | null>;
+  iterateSipRules(options?: PageOptions & { sipMediaApplicationId?: string }): AsyncGenerator<ApiResponse>;
+  listSipRules(options?: PageOptions & { sipMediaApplicationId?: string }): Promise<ApiResponse[]>;
+  getSipRule(sipRuleId: string): Promise<ApiResponse>;
+  createSipRule(options: {
+    name: string; triggerType: 'ToPhoneNumber' | 'RequestUriHostname'; triggerValue: string;
+    targetApplications: SipRuleTargetApplication[]; disabled?: boolean
+  }): Promise<ApiResponse>;
+  updateSipRule(
+    sipRuleId: string, options: { name: string; disabled?: boolean; targetApplications?: SipRuleTargetApplication[] }
+  ): Promise<ApiResponse>;
+  deleteSipRule(sipRuleId: string): Promise<ApiResponse | null>;
+  /** E.164 numbers of the enabled ToPhoneNumber rules targeting the application. */
+  listSipMediaApplicationDialInNumbers(sipMediaApplicationId: string): Promise<string[]>;
+}
+
+export function httpTransport(request: TransportRequest): Promise<TransportResponse>;
+export function meetingSourceArn(meetingArn: string): string;
+export function s3BucketArn(bucket: string): string;
+
+export const MAX_CREATE_MEETING_ATTENDEES: number;
+export const MAX_BATCH_ATTENDEES: number;
+export const MAX_BATCH_MEMBERSHIPS: number;
+export const CONCATENATION_ARTIFACTS: ConcatenationArtifact[];
+export const PHONE_NUMBER_PRODUCT_TYPES: PhoneNumberProductType[];
+
+// Errors
+
+export class ChimeApiError extends Error {
+  static exitCode: number;
+  constructor(message: string, info?: { status?: number; code?: string; requestId?: string; retryable?: boolean; cause?: unknown });
+  readonly status?: number;
+  /** AWS error code, e.g. NotFoundException. */
+  readonly code?: string;
+  readonly requestId?: string;
+  readonly retryable: boolean;
+  readonly exitCode: number;
+}
+export class ValidationError extends ChimeApiError {}
+export class ForbiddenError extends ChimeApiError {}
+export class NotFoundError extends ChimeApiError {}
+export class ThrottlingError extends ChimeApiError {}
+export class ServiceError extends ChimeApiError {}
+export class NetworkError extends ChimeApiError {}
+
+export class DryRunError extends Error {
+  constructor(request: SignedRequest);
+  readonly request: SignedRequest;
+  readonly exitCode: 0;
+}
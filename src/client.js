@@ -0,0 +1,1121 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { buildSignedHeaders, buildQueryString } from './signer.js';
+import {
+  ChimeApiError, ValidationError, ForbiddenError, NotFoundError, ThrottlingError, ServiceError, NetworkError,
+  DryRunError
+} from './errors.js';
+
+export {
+  ChimeApiError, ValidationError, ForbiddenError, NotFoundError, ThrottlingError, ServiceError, NetworkError,
+  DryRunError
+} from './errors.js';
+
+// ============================================================
+// Chime Client
+// ============================================================
+// ChimeClient is the package's library entry point: everything it needs
+// (credentials, region, endpoint, retry policy, HTTP transport) comes in
+// through the constructor, so it reads no CLI config or global state. The
+// CLI builds one from its flags and profiles in api.js.
+
+// Endpoint host prefixes per API surface. The legacy Chime API is global and
+// always signs for us-east-1; the Chime SDK APIs are regional.
+const ENDPOINTS = {
+  chime: { prefix: 'chime', globalRegion: 'us-east-1' },
+  meetings: { prefix: 'meetings-chime' },
+  messaging: { prefix: 'messaging-chime' },
+  identity: { prefix: 'identity-chime' },
+  mediaPipelines: { prefix: 'media-pipelines-chime' },
+  voice: { prefix: 'voice-chime' }
+};
+
+const DEFAULT_REGION = 'us-east-1';
+
+const RETRYABLE_CODES = new Set([
+  'ThrottlingException', 'ThrottledClientException', 'TooManyRequestsException',
+  'ServiceUnavailableException', 'ServiceFailureException', 'RequestTimeoutException'
+]);
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED']);
+const SKEW_CODES = new Set(['RequestTimeTooSkewed', 'RequestExpired', 'InvalidSignatureException']);
+const CREDENTIAL_CODES = new Set(['ExpiredTokenException', 'UnrecognizedClientException', 'InvalidClientTokenId']);
+
+const DEFAULT_RETRY = { maxAttempts: 3, baseDelayMs: 200, maxDelayMs: 20000 };
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// Transport
+// ============================================================
+// A transport sends one signed request and resolves with the raw response,
+// whatever its status: `{ status, headers, body }` with the body as text.
+// It rejects only when no response arrived; `error.code` (ECONNRESET, ...)
+// decides whether the client retries.
+
+export async function httpTransport({ method, url, headers, body }) {
+  const response = await axios({
+    method,
+    url,
+    headers,
+    data: body,
+    responseType: 'text',
+    transformResponse: [data => data],
+    validateStatus: () => true
+  });
+  return { status: response.status, headers: response.headers.toJSON(), body: response.data };
+}
+
+function lowerCaseKeys(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ============================================================
+// Errors
+// ============================================================
+
+// AWS reports the error code in x-amzn-ErrorType ("Code:http://..."), in
+// `__type` ("namespace#Code") or in `Code`, depending on the service.
+function awsErrorCode(response) {
+  const raw = response.headers['x-amzn-errortype'] || response.data?.__type || response.data?.Code || response.data?.code;
+  return raw ? String(raw).split(':')[0].split('#').pop() : undefined;
+}
+
+function toNetworkError(error) {
+  return new NetworkError(`No response from AWS Chime API (${error.code || error.message}). Check your internet connection and region/endpoint settings.`, {
+    code: error.code,
+    retryable: RETRYABLE_NETWORK_ERRORS.has(error.code),
+    cause: error
+  });
+}
+
+function toApiError(response) {
+  const { status, data, headers } = response;
+  const code = awsErrorCode(response);
+  const requestId = headers['x-amzn-requestid'] || headers['x-amz-request-id'];
+  const details = data?.message || data?.Message || (typeof data === 'string' ? data : JSON.stringify(data));
+  const suffix = [code, requestId && `request ID ${requestId}`].filter(Boolean).join(', ');
+  const describe = (summary) => `${summary}${details ? `: ${details}` : ''}${suffix ? ` (${suffix})` : ''}`;
+  const info = { status, code, requestId };
+
+  if (status === 429 || (RETRYABLE_CODES.has(code) && status < 500)) {
+    return new ThrottlingError(describe('Rate limit exceeded'), { ...info, retryable: true });
+  }
+  if (status >= 500) {
+    return new ServiceError(describe(`Service error (${status})`), { ...info, retryable: true });
+  }
+  if (status === 401 || status === 403 || CREDENTIAL_CODES.has(code)) {
+    return new ForbiddenError(describe('Authentication failed'), info);
+  }
+  if (status === 404) {
+    return new NotFoundError(describe('Resource not found'), info);
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(describe(`Request rejected (${status})`), info);
+  }
+  return new ChimeApiError(describe(`API Error (${status})`), info);
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+// ============================================================
+// Request Helpers
+// ============================================================
+
+export const MAX_CREATE_MEETING_ATTENDEES = 10;
+
+function meetingRequestBody({
+  clientRequestToken, externalMeetingId, mediaRegion, meetingHostId, meetingFeatures,
+  notificationsConfiguration, tags, tenantIds, primaryMeetingId
+}, defaultRegion) {
+  const body = {
+    ClientRequestToken: clientRequestToken || crypto.randomUUID(),
+    MediaRegion: mediaRegion || defaultRegion
+  };
+  if (externalMeetingId) body.ExternalMeetingId = externalMeetingId;
+  if (meetingHostId) body.MeetingHostId = meetingHostId;
+  if (meetingFeatures && Object.keys(meetingFeatures).length > 0) body.MeetingFeatures = meetingFeatures;
+  if (notificationsConfiguration && Object.keys(notificationsConfiguration).length > 0) {
+    body.NotificationsConfiguration = notificationsConfiguration;
+  }
+  if (tags?.length) body.Tags = tags;
+  if (tenantIds?.length) body.TenantIds = tenantIds;
+  if (primaryMeetingId) body.PrimaryMeetingId = primaryMeetingId;
+  return body;
+}
+
+export const MAX_BATCH_ATTENDEES = 100;
+
+function channelPath(channelArn) {
+  return `/channels/${encodeURIComponent(channelArn)}`;
+}
+
+export const MAX_BATCH_MEMBERSHIPS = 100;
+
+function messagePath(channelArn, messageId) {
+  return `${channelPath(channelArn)}/messages/${encodeURIComponent(messageId)}`;
+}
+
+function appInstancePath(appInstanceArn) {
+  return `/app-instances/${encodeURIComponent(appInstanceArn)}`;
+}
+
+function appInstanceUserPath(appInstanceUserArn) {
+  return `/app-instance-users/${encodeURIComponent(appInstanceUserArn)}`;
+}
+
+// Capture pipelines name their source as arn:aws:chime::<account>:meeting:<id>,
+// not the regional MeetingArn the Meetings API returns.
+export function meetingSourceArn(meetingArn) {
+  const [, partition, , , accountId, resource] = meetingArn.split(':');
+  return `arn:${partition}:chime::${accountId}:meeting:${resource.split('/').pop()}`;
+}
+
+// Accepts a bucket ARN, `s3://bucket/prefix` or `bucket/prefix`.
+export function s3BucketArn(bucket) {
+  if (bucket.startsWith('arn:')) return bucket;
+  return `arn:aws:s3:::${bucket.replace(/^s3:\/\//, '').replace(/\/+$/, '')}`;
+}
+
+function capturePipelinePath(mediaPipelineId) {
+  return `/sdk-media-capture-pipelines/${encodeURIComponent(mediaPipelineId)}`;
+}
+
+export const CONCATENATION_ARTIFACTS = [
+  'Audio', 'Video', 'Content', 'DataChannel', 'TranscriptionMessages', 'MeetingEvents', 'CompositedVideo'
+];
+
+// Phone numbers are ordered for one of these products and can only be
+// associated with resources of that kind.
+export const PHONE_NUMBER_PRODUCT_TYPES = ['VoiceConnector', 'SipMediaApplicationDialIn'];
+
+function phoneNumberPath(phoneNumberId) {
+  return `/phone-numbers/${encodeURIComponent(phoneNumberId)}`;
+}
+
+function voiceConnectorPath(voiceConnectorId) {
+  return `/voice-connectors/${encodeURIComponent(voiceConnectorId)}`;
+}
+
+function sipMediaApplicationPath(sipMediaApplicationId) {
+  return `/sip-media-applications/${encodeURIComponent(sipMediaApplicationId)}`;
+}
+
+function sipRulePath(sipRuleId) {
+  return `/sip-rules/${encodeURIComponent(sipRuleId)}`;
+}
+
+// ============================================================
+// Client
+// ============================================================
+
+export class ChimeClient {
+  #credentials;
+  #transport;
+  #onRequest;
+  // Difference between the server clock and ours, learned from skew errors.
+  #clockOffsetMs = 0;
+
+  /**
+   * `credentials` is `{ accessKeyId, secretAccessKey, sessionToken }` or an
+   * async function returning it, called before every signed attempt so it
+   * can refresh temporary credentials. `endpoint` replaces every service
+   * host (for proxies and the mock server). `retry` takes `maxAttempts`,
+   * `baseDelayMs` and `maxDelayMs`. `chimeBearer` is the default app
+   * instance user for messaging calls. With `dryRun`, mutating calls reject
+   * with a DryRunError holding the signed request instead of sending it.
+   * `onRequest` observes each attempt: `{ type: 'request', request }`, then
+   * `{ type: 'response', request, status, headers, data, ms }` or `{ type:
+   * 'error', request, error, ms }` when no response arrived.
+   */
+  constructor({
+    credentials, region = DEFAULT_REGION, endpoint, retry = {}, transport = httpTransport,
+    chimeBearer, dryRun = false, onRequest
+  } = {}) {
+    if (!credentials) {
+      throw new TypeError('ChimeClient needs credentials: { accessKeyId, secretAccessKey, sessionToken } or an async function returning them');
+    }
+    this.region = region;
+    this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    this.chimeBearer = chimeBearer || null;
+    this.dryRun = dryRun;
+    this.#credentials = typeof credentials === 'function' ? credentials : async () => credentials;
+    this.#transport = transport;
+    this.#onRequest = onRequest;
+  }
+
+  resolveEndpoint(service) {
+    const endpoint = ENDPOINTS[service];
+    if (!endpoint) throw new Error(`Unknown service '${service}'`);
+
+    const region = endpoint.globalRegion || this.region;
+    if (this.endpoint) return { baseUrl: this.endpoint, host: new URL(this.endpoint).host, region };
+
+    const host = `${endpoint.prefix}.${region}.amazonaws.com`;
+    return { baseUrl: `https://${host}`, host, region };
+  }
+
+  /**
+   * Signs and sends one API call, retrying throttling, 5xx and network
+   * failures with full-jitter backoff and correcting for clock skew.
+   * Resolves with the parsed response body; failures reject with a
+   * ChimeApiError subclass. `service` is one of chime, meetings, messaging,
+   * identity, mediaPipelines or voice.
+   */
+  async request(service, method, path, body = null, params = null, extraHeaders = {}) {
+    const queryString = params ? buildQueryString(params) : '';
+    const { baseUrl, host, region } = this.resolveEndpoint(service);
+    const url = baseUrl + path + (queryString ? `?${queryString}` : '');
+    // Learning the clock offset earns one re-signed attempt outside the
+    // retry budget, so a skewed clock recovers even with maxAttempts 1.
+    let maxAttempts = this.retry.maxAttempts;
+    let skewCorrected = false;
+
+    for (let attempt = 1; ; attempt++) {
+      const { accessKeyId, secretAccessKey, sessionToken } = await this.#credentials();
+      const { headers, bodyStr, canonicalRequest, stringToSign } = buildSignedHeaders({
+        method, path, body, queryString, host, region, headers: extraHeaders,
+        accessKeyId, secretAccessKey, sessionToken, clockOffsetMs: this.#clockOffsetMs
+      });
+      const request = { method, url, headers, body: bodyStr, canonicalRequest, stringToSign, attempt, maxAttempts };
+
+      // Reads still go out on a dry run so callers can look things up.
+      if (method !== 'GET' && this.dryRun) throw new DryRunError(request);
+      this.#notify({ type: 'request', request });
+
+      const started = Date.now();
+      let response;
+      try {
+        const raw = await this.#transport({ method, url, headers, body: bodyStr || undefined });
+        response = { status: raw.status, headers: lowerCaseKeys(raw.headers), data: parseBody(raw.body) };
+      } catch (error) {
+        this.#notify({ type: 'error', request, error, ms: Date.now() - started });
+        const networkError = toNetworkError(error);
+        if (attempt >= maxAttempts || !networkError.retryable) throw networkError;
+        await sleep(this.#backoffDelay(attempt));
+        continue;
+      }
+      this.#notify({
+        type: 'response', request, status: response.status, headers: response.headers, data: response.data, ms: Date.now() - started
+      });
+      if (response.status >= 200 && response.status < 300) return response.data;
+
+      const apiError = toApiError(response);
+      if (!skewCorrected && this.#correctClockSkew(response)) {
+        skewCorrected = true;
+        maxAttempts++;
+        continue;
+      }
+      if (attempt >= maxAttempts || !apiError.retryable) throw apiError;
+      await sleep(this.#backoffDelay(attempt, response));
+    }
+  }
+
+  #notify(event) {
+    if (this.#onRequest) this.#onRequest(event);
+  }
+
+  // Full-jitter exponential backoff, honouring Retry-After when the server sends it.
+  #backoffDelay(attempt, response) {
+    const retryAfter = parseInt(response?.headers['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+    return Math.random() * Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+  }
+
+  // Returns true when the failure was caused by our clock being off, after
+  // adjusting the offset used for signing.
+  #correctClockSkew(response) {
+    const serverDate = Date.parse(response.headers.date);
+    if (!serverDate) return false;
+    const offset = serverDate - Date.now();
+    if (!SKEW_CODES.has(awsErrorCode(response)) || Math.abs(offset - this.#clockOffsetMs) < MAX_CLOCK_SKEW_MS) return false;
+    this.#clockOffsetMs = offset;
+    return true;
+  }
+
+  /**
+   * Async iterator over every item of a paginated list operation, following
+   * NextToken. Stops after `limit` items or `maxPages` pages when given;
+   * `onPage` receives each page's NextToken so callers can resume later with
+   * `startingToken`.
+   */
+  async* #paginate(service, path, itemsKey, { params = {}, headers, pageSize, startingToken, limit, maxPages, onPage } = {}) {
+    let nextToken = startingToken;
+    let count = 0;
+    let pages = 0;
+    do {
+      const query = { ...params };
+      if (pageSize) query['max-results'] = pageSize;
+      if (nextToken) query['next-token'] = nextToken;
+
+      const data = await this.request(service, 'GET', path, null, query, headers);
+      nextToken = data?.NextToken;
+      pages++;
+      if (onPage) onPage({ nextToken });
+
+      for (const item of data?.[itemsKey] || []) {
+        yield item;
+        if (limit && ++count >= limit) return;
+      }
+    } while (nextToken && !(maxPages && pages >= maxPages));
+  }
+
+  // ============================================================
+  // MEETINGS
+  // ============================================================
+
+  // ListMeetings only exists on the legacy Chime API; the Chime SDK Meetings
+  // API has no list operation.
+  iterateMeetings(options = {}) {
+    return this.#paginate('chime', '/meetings', 'Meetings', options);
+  }
+
+  async listMeetings(options = {}) {
+    return await collect(this.iterateMeetings(options));
+  }
+
+  async getMeeting(meetingId) {
+    return await this.request('meetings', 'GET', `/meetings/${encodeURIComponent(meetingId)}`);
+  }
+
+  async createMeeting(options) {
+    return await this.request('meetings', 'POST', '/meetings', meetingRequestBody(options, this.region));
+  }
+
+  // Creates the meeting and up to MAX_CREATE_MEETING_ATTENDEES attendees in
+  // one call. Resolves with `{ Meeting, Attendees, Errors }`.
+  async createMeetingWithAttendees(options, attendees) {
+    const body = { ...meetingRequestBody(options, this.region), Attendees: attendees };
+    return await this.request('meetings', 'POST', '/meetings', body, { operation: 'create-attendees' });
+  }
+
+  async deleteMeeting(meetingId) {
+    return await this.request('meetings', 'DELETE', `/meetings/${encodeURIComponent(meetingId)}`);
+  }
+
+  // Live transcription runs through Amazon Transcribe or Transcribe Medical;
+  // `transcriptionConfiguration` holds EngineTranscribeSettings or
+  // EngineTranscribeMedicalSettings.
+  async startMeetingTranscription(meetingId, transcriptionConfiguration) {
+    return await this.request('meetings', 'POST', `/meetings/${encodeURIComponent(meetingId)}/transcription`,
+      { TranscriptionConfiguration: transcriptionConfiguration }, { operation: 'start' });
+  }
+
+  async stopMeetingTranscription(meetingId) {
+    return await this.request('meetings', 'POST', `/meetings/${encodeURIComponent(meetingId)}/transcription`,
+      null, { operation: 'stop' });
+  }
+
+  // ============================================================
+  // ATTENDEES
+  // ============================================================
+
+  iterateAttendees(meetingId, options = {}) {
+    return this.#paginate('meetings', `/meetings/${encodeURIComponent(meetingId)}/attendees`, 'Attendees', options);
+  }
+
+  async listAttendees(meetingId, options = {}) {
+    return await collect(this.iterateAttendees(meetingId, options));
+  }
+
+  async getAttendee(meetingId, attendeeId) {
+    return await this.request('meetings', 'GET', `/meetings/${encodeURIComponent(meetingId)}/attendees/${encodeURIComponent(attendeeId)}`);
+  }
+
+  async createAttendee(meetingId, { externalUserId, capabilities }) {
+    const body = { ExternalUserId: externalUserId };
+    if (capabilities) body.Capabilities = capabilities;
+    return await this.request('meetings', 'POST', `/meetings/${encodeURIComponent(meetingId)}/attendees`, body);
+  }
+
+  // `capabilities` is `{ Audio, Video, Content }`; the API requires all three.
+  async updateAttendeeCapabilities(meetingId, attendeeId, capabilities) {
+    return await this.request('meetings', 'PUT',
+      `/meetings/${encodeURIComponent(meetingId)}/attendees/${encodeURIComponent(attendeeId)}/capabilities`,
+      { Capabilities: capabilities });
+  }
+
+  // Applies `capabilities` to every attendee in the meeting except those listed.
+  async batchUpdateAttendeeCapabilitiesExcept(meetingId, excludedAttendeeIds, capabilities) {
+    const body = {
+      ExcludedAttendeeIds: excludedAttendeeIds.map(attendeeId => ({ AttendeeId: attendeeId })),
+      Capabilities: capabilities
+    };
+    return await this.request('meetings', 'PUT', `/meetings/${encodeURIComponent(meetingId)}/attendees/capabilities`,
+      body, { operation: 'batch-update-except' });
+  }
+
+  // Creates attendees through BatchCreateAttendee in API-sized chunks. Resolves
+  // with the combined created attendees and per-attendee errors; `onBatch`
+  // reports progress. When a batch call fails outright, the error is rethrown
+  // with `partial: { attendees, errors, unsent }` so the attendees created by
+  // earlier batches, and their join tokens, are not lost.
+  async batchCreateAttendees(meetingId, attendees, { onBatch } = {}) {
+    const created = [];
+    const errors = [];
+    for (let i = 0; i < attendees.length; i += MAX_BATCH_ATTENDEES) {
+      const batch = attendees.slice(i, i + MAX_BATCH_ATTENDEES);
+      let data;
+      try {
+        data = await this.request('meetings', 'POST', `/meetings/${encodeURIComponent(meetingId)}/attendees`,
+          { Attendees: batch }, { operation: 'batch-create' });
+      } catch (error) {
+        error.partial = { attendees: created, errors, unsent: attendees.slice(i) };
+        throw error;
+      }
+      created.push(...(data?.Attendees || []));
+      errors.push(...(data?.Errors || []));
+      if (onBatch) onBatch({ done: Math.min(i + batch.length, attendees.length), total: attendees.length });
+    }
+    return { attendees: created, errors };
+  }
+
+  async deleteAttendee(meetingId, attendeeId) {
+    return await this.request('meetings', 'DELETE', `/meetings/${encodeURIComponent(meetingId)}/attendees/${encodeURIComponent(attendeeId)}`);
+  }
+
+  // ============================================================
+  // TAGS
+  // ============================================================
+
+  // Each API tags its own resources: meetings through Meetings, channels
+  // through Messaging, app instances and users through Identity.
+  async listTagsForResource(resourceArn, { chimeBearer } = {}) {
+    const service = /:meeting\//.test(resourceArn) ? 'meetings' : /\/channel\//.test(resourceArn) ? 'messaging' : 'identity';
+    const headers = service === 'messaging' ? this.#bearerHeaders(chimeBearer) : {};
+    const data = await this.request(service, 'GET', '/tags', null, { arn: resourceArn }, headers);
+    return data.Tags || [];
+  }
+
+  // ============================================================
+  // CHANNELS (Chime SDK Messaging)
+  // ============================================================
+
+  // Messaging calls act on behalf of an app instance user named in the
+  // x-amz-chime-bearer header. Message calls cannot work without it.
+  #bearerHeaders(chimeBearer, { required = false } = {}) {
+    const bearer = chimeBearer || this.chimeBearer;
+    if (!bearer && required) {
+      throw new ValidationError('An app instance user ARN is required. Pass chimeBearer to the call or to the ChimeClient constructor', {
+        code: 'MissingChimeBearer'
+      });
+    }
+    return bearer ? { 'x-amz-chime-bearer': bearer } : {};
+  }
+
+  iterateChannels({ appInstanceArn, privacy, maxResults, chimeBearer, ...options } = {}) {
+    const params = {};
+    if (appInstanceArn) params['app-instance-arn'] = appInstanceArn;
+    if (privacy) params.privacy = privacy;
+    return this.#paginate('messaging', '/channels', 'Channels', {
+      ...options, pageSize: options.pageSize || maxResults, params, headers: this.#bearerHeaders(chimeBearer)
+    });
+  }
+
+  async listChannels(options = {}) {
+    return await collect(this.iterateChannels(options));
+  }
+
+  async getChannel(channelArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'GET', channelPath(channelArn), null, null, this.#bearerHeaders(chimeBearer));
+  }
+
+  async createChannel({
+    appInstanceArn, name, mode = 'UNRESTRICTED', privacy = 'PUBLIC', metadata, clientRequestToken, chimeBearer
+  }) {
+    const body = {
+      AppInstanceArn: appInstanceArn,
+      Name: name,
+      Mode: mode,
+      Privacy: privacy,
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (metadata) body.Metadata = metadata;
+    return await this.request('messaging', 'POST', '/channels', body, null, this.#bearerHeaders(chimeBearer));
+  }
+
+  // Privacy is fixed at creation; only the name, mode and metadata can change.
+  async updateChannel(channelArn, { name, mode, metadata = '', chimeBearer }) {
+    return await this.request('messaging', 'PUT', channelPath(channelArn), { Name: name, Mode: mode, Metadata: metadata },
+      null, this.#bearerHeaders(chimeBearer));
+  }
+
+  async deleteChannel(channelArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'DELETE', channelPath(channelArn), null, null, this.#bearerHeaders(chimeBearer));
+  }
+
+  // ============================================================
+  // CHANNEL MEMBERSHIPS, MODERATORS AND BANS (Chime SDK Messaging)
+  // ============================================================
+
+  iterateChannelMemberships(channelArn, { type, chimeBearer, ...options } = {}) {
+    return this.#paginate('messaging', `${channelPath(channelArn)}/memberships`, 'ChannelMemberships', {
+      ...options, params: type ? { type } : {}, headers: this.#bearerHeaders(chimeBearer, { required: true })
+    });
+  }
+
+  async listChannelMemberships(channelArn, options = {}) {
+    return await collect(this.iterateChannelMemberships(channelArn, options));
+  }
+
+  async createChannelMembership(channelArn, memberArn, { type = 'DEFAULT', chimeBearer } = {}) {
+    const body = { MemberArn: memberArn, Type: type };
+    return await this.request('messaging', 'POST', `${channelPath(channelArn)}/memberships`, body, null,
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async deleteChannelMembership(channelArn, memberArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'DELETE', `${channelPath(channelArn)}/memberships/${encodeURIComponent(memberArn)}`,
+      null, null, this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  // Splits memberArns into API-sized batches. Resolves with the combined
+  // created members and per-member errors; `onBatch` reports progress.
+  async batchCreateChannelMemberships(channelArn, memberArns, { type = 'DEFAULT', chimeBearer, onBatch } = {}) {
+    const headers = this.#bearerHeaders(chimeBearer, { required: true });
+    const members = [];
+    const errors = [];
+    for (let i = 0; i < memberArns.length; i += MAX_BATCH_MEMBERSHIPS) {
+      const batch = memberArns.slice(i, i + MAX_BATCH_MEMBERSHIPS);
+      let data;
+      try {
+        data = await this.request('messaging', 'POST', `${channelPath(channelArn)}/memberships`,
+          { Type: type, MemberArns: batch }, { operation: 'batch-create' }, headers);
+      } catch (error) {
+        error.partial = { members, errors, unsent: memberArns.slice(i) };
+        throw error;
+      }
+      members.push(...(data?.BatchChannelMemberships?.Members || []));
+      errors.push(...(data?.Errors || []));
+      if (onBatch) onBatch({ done: Math.min(i + batch.length, memberArns.length), total: memberArns.length });
+    }
+    return { members, errors };
+  }
+
+  iterateChannelModerators(channelArn, { chimeBearer, ...options } = {}) {
+    return this.#paginate('messaging', `${channelPath(channelArn)}/moderators`, 'ChannelModerators', {
+      ...options, headers: this.#bearerHeaders(chimeBearer, { required: true })
+    });
+  }
+
+  async listChannelModerators(channelArn, options = {}) {
+    return await collect(this.iterateChannelModerators(channelArn, options));
+  }
+
+  async createChannelModerator(channelArn, moderatorArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'POST', `${channelPath(channelArn)}/moderators`, { ChannelModeratorArn: moderatorArn },
+      null, this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async deleteChannelModerator(channelArn, moderatorArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'DELETE', `${channelPath(channelArn)}/moderators/${encodeURIComponent(moderatorArn)}`,
+      null, null, this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  iterateChannelBans(channelArn, { chimeBearer, ...options } = {}) {
+    return this.#paginate('messaging', `${channelPath(channelArn)}/bans`, 'ChannelBans', {
+      ...options, headers: this.#bearerHeaders(chimeBearer, { required: true })
+    });
+  }
+
+  async listChannelBans(channelArn, options = {}) {
+    return await collect(this.iterateChannelBans(channelArn, options));
+  }
+
+  async createChannelBan(channelArn, memberArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'POST', `${channelPath(channelArn)}/bans`, { MemberArn: memberArn },
+      null, this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async deleteChannelBan(channelArn, memberArn, { chimeBearer } = {}) {
+    return await this.request('messaging', 'DELETE', `${channelPath(channelArn)}/bans/${encodeURIComponent(memberArn)}`,
+      null, null, this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  // ============================================================
+  // CHANNEL MESSAGES (Chime SDK Messaging)
+  // ============================================================
+
+  async sendChannelMessage(channelArn, {
+    content, type = 'STANDARD', persistence = 'PERSISTENT', metadata, contentType,
+    pushNotification, messageAttributes, clientRequestToken, chimeBearer
+  }) {
+    const body = {
+      Content: content,
+      Type: type,
+      Persistence: persistence,
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (metadata) body.Metadata = metadata;
+    if (contentType) body.ContentType = contentType;
+    if (pushNotification) body.PushNotification = pushNotification;
+    if (messageAttributes) body.MessageAttributes = messageAttributes;
+    return await this.request('messaging', 'POST', `${channelPath(channelArn)}/messages`, body, null,
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  iterateChannelMessages(channelArn, { notBefore, notAfter, sortOrder, chimeBearer, ...options } = {}) {
+    const params = {};
+    if (notBefore) params['not-before'] = new Date(notBefore).toISOString();
+    if (notAfter) params['not-after'] = new Date(notAfter).toISOString();
+    if (sortOrder) params['sort-order'] = sortOrder;
+    return this.#paginate('messaging', `${channelPath(channelArn)}/messages`, 'ChannelMessages', {
+      ...options, params, headers: this.#bearerHeaders(chimeBearer, { required: true })
+    });
+  }
+
+  async listChannelMessages(channelArn, options = {}) {
+    return await collect(this.iterateChannelMessages(channelArn, options));
+  }
+
+  async getChannelMessage(channelArn, messageId, { chimeBearer } = {}) {
+    return await this.request('messaging', 'GET', messagePath(channelArn, messageId), null, null,
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async updateChannelMessage(channelArn, messageId, { content, metadata, contentType, chimeBearer }) {
+    const body = { Content: content };
+    if (metadata) body.Metadata = metadata;
+    if (contentType) body.ContentType = contentType;
+    return await this.request('messaging', 'PUT', messagePath(channelArn, messageId), body, null,
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async redactChannelMessage(channelArn, messageId, { chimeBearer } = {}) {
+    return await this.request('messaging', 'POST', messagePath(channelArn, messageId), null, { operation: 'redact' },
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  async deleteChannelMessage(channelArn, messageId, { chimeBearer } = {}) {
+    return await this.request('messaging', 'DELETE', messagePath(channelArn, messageId), null, null,
+      this.#bearerHeaders(chimeBearer, { required: true }));
+  }
+
+  // ============================================================
+  // APP INSTANCES (Chime SDK Identity)
+  // ============================================================
+
+  iterateAppInstances(options = {}) {
+    return this.#paginate('identity', '/app-instances', 'AppInstances', options);
+  }
+
+  async listAppInstances(options = {}) {
+    return await collect(this.iterateAppInstances(options));
+  }
+
+  async getAppInstance(appInstanceArn) {
+    return await this.request('identity', 'GET', appInstancePath(appInstanceArn));
+  }
+
+  async createAppInstance({ name, metadata, tags, clientRequestToken }) {
+    const body = {
+      Name: name,
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (metadata) body.Metadata = metadata;
+    if (tags) body.Tags = tags;
+    return await this.request('identity', 'POST', '/app-instances', body);
+  }
+
+  async updateAppInstance(appInstanceArn, { name, metadata = '' }) {
+    return await this.request('identity', 'PUT', appInstancePath(appInstanceArn), { Name: name, Metadata: metadata });
+  }
+
+  async deleteAppInstance(appInstanceArn) {
+    return await this.request('identity', 'DELETE', appInstancePath(appInstanceArn));
+  }
+
+  async getAppInstanceRetentionSettings(appInstanceArn) {
+    return await this.request('identity', 'GET', `${appInstancePath(appInstanceArn)}/retention-settings`);
+  }
+
+  async putAppInstanceRetentionSettings(appInstanceArn, { retentionDays }) {
+    const body = { AppInstanceRetentionSettings: { ChannelRetentionSettings: { RetentionDays: retentionDays } } };
+    return await this.request('identity', 'PUT', `${appInstancePath(appInstanceArn)}/retention-settings`, body);
+  }
+
+  // ============================================================
+  // APP INSTANCE USERS AND ADMINS (Chime SDK Identity)
+  // ============================================================
+
+  iterateAppInstanceUsers(appInstanceArn, options = {}) {
+    return this.#paginate('identity', '/app-instance-users', 'AppInstanceUsers', {
+      ...options, params: { 'app-instance-arn': appInstanceArn }
+    });
+  }
+
+  async listAppInstanceUsers(appInstanceArn, options = {}) {
+    return await collect(this.iterateAppInstanceUsers(appInstanceArn, options));
+  }
+
+  async getAppInstanceUser(appInstanceUserArn) {
+    return await this.request('identity', 'GET', appInstanceUserPath(appInstanceUserArn));
+  }
+
+  async createAppInstanceUser({ appInstanceArn, userId, name, metadata, tags, clientRequestToken }) {
+    const body = {
+      AppInstanceArn: appInstanceArn,
+      AppInstanceUserId: userId,
+      Name: name,
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (metadata) body.Metadata = metadata;
+    if (tags) body.Tags = tags;
+    return await this.request('identity', 'POST', '/app-instance-users', body);
+  }
+
+  async updateAppInstanceUser(appInstanceUserArn, { name, metadata = '' }) {
+    return await this.request('identity', 'PUT', appInstanceUserPath(appInstanceUserArn), { Name: name, Metadata: metadata });
+  }
+
+  async deleteAppInstanceUser(appInstanceUserArn) {
+    return await this.request('identity', 'DELETE', appInstanceUserPath(appInstanceUserArn));
+  }
+
+  iterateAppInstanceAdmins(appInstanceArn, options = {}) {
+    return this.#paginate('identity', `${appInstancePath(appInstanceArn)}/admins`, 'AppInstanceAdmins', options);
+  }
+
+  async listAppInstanceAdmins(appInstanceArn, options = {}) {
+    return await collect(this.iterateAppInstanceAdmins(appInstanceArn, options));
+  }
+
+  async createAppInstanceAdmin(appInstanceArn, adminArn) {
+    return await this.request('identity', 'POST', `${appInstancePath(appInstanceArn)}/admins`, { AppInstanceAdminArn: adminArn });
+  }
+
+  async deleteAppInstanceAdmin(appInstanceArn, adminArn) {
+    return await this.request('identity', 'DELETE', `${appInstancePath(appInstanceArn)}/admins/${encodeURIComponent(adminArn)}`);
+  }
+
+  // ============================================================
+  // MEDIA CAPTURE PIPELINES (Chime SDK Media Pipelines)
+  // ============================================================
+
+  iterateMediaCapturePipelines(options = {}) {
+    return this.#paginate('mediaPipelines', '/sdk-media-capture-pipelines', 'MediaCapturePipelines', options);
+  }
+
+  async listMediaCapturePipelines(options = {}) {
+    return await collect(this.iterateMediaCapturePipelines(options));
+  }
+
+  async getMediaCapturePipeline(mediaPipelineId) {
+    return await this.request('mediaPipelines', 'GET', capturePipelinePath(mediaPipelineId));
+  }
+
+  // Starts recording a meeting to S3. `artifactsConfiguration` is the API's
+  // ArtifactsConfiguration (Audio, Video, Content, CompositedVideo);
+  // `selectedVideoStreams` limits video capture to the given attendees.
+  async createMediaCapturePipeline({
+    meetingArn, bucket, artifactsConfiguration, selectedVideoStreams, kmsKeyId, sinkIamRoleArn, tags, clientRequestToken
+  }) {
+    const meetingConfiguration = { ArtifactsConfiguration: artifactsConfiguration };
+    if (selectedVideoStreams) meetingConfiguration.SourceConfiguration = { SelectedVideoStreams: selectedVideoStreams };
+    const body = {
+      SourceType: 'ChimeSdkMeeting',
+      SourceArn: meetingSourceArn(meetingArn),
+      SinkType: 'S3Bucket',
+      SinkArn: s3BucketArn(bucket),
+      ChimeSdkMeetingConfiguration: meetingConfiguration,
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (kmsKeyId) body.SseAwsKeyId = kmsKeyId;
+    if (sinkIamRoleArn) body.SinkIamRoleArn = sinkIamRoleArn;
+    if (tags?.length) body.Tags = tags;
+    return await this.request('mediaPipelines', 'POST', '/sdk-media-capture-pipelines', body);
+  }
+
+  // Stopping a capture pipeline is a delete; artifacts already written stay in S3.
+  async deleteMediaCapturePipeline(mediaPipelineId) {
+    return await this.request('mediaPipelines', 'DELETE', capturePipelinePath(mediaPipelineId));
+  }
+
+  // Joins a capture pipeline's chunked artifacts into single files in `bucket`.
+  // Artifacts not listed in `artifacts` are disabled.
+  async createMediaConcatenationPipeline({
+    mediaPipelineArn, bucket, artifacts = CONCATENATION_ARTIFACTS, tags, clientRequestToken
+  }) {
+    const artifactsConfiguration = Object.fromEntries(CONCATENATION_ARTIFACTS.map(name =>
+      [name, { State: artifacts.includes(name) ? 'Enabled' : 'Disabled' }]));
+    const body = {
+      Sources: [{
+        Type: 'MediaCapturePipeline',
+        MediaCapturePipelineSourceConfiguration: {
+          MediaPipelineArn: mediaPipelineArn,
+          ChimeSdkMeetingConfiguration: { ArtifactsConfiguration: artifactsConfiguration }
+        }
+      }],
+      Sinks: [{ Type: 'S3Bucket', S3BucketSinkConfiguration: { Destination: s3BucketArn(bucket) } }],
+      ClientRequestToken: clientRequestToken || crypto.randomUUID()
+    };
+    if (tags?.length) body.Tags = tags;
+    return await this.request('mediaPipelines', 'POST', '/sdk-media-concatenation-pipelines', body);
+  }
+
+  async getMediaConcatenationPipeline(mediaPipelineId) {
+    return await this.request('mediaPipelines', 'GET', `/sdk-media-concatenation-pipelines/${encodeURIComponent(mediaPipelineId)}`);
+  }
+
+  // ============================================================
+  // PHONE NUMBERS (Chime SDK Voice)
+  // ============================================================
+
+  // Searches the numbers available to order. Give an area code, a city and
+  // state, a country, or a toll-free prefix; `phoneNumberType` is Local or
+  // TollFree.
+  iterateAvailablePhoneNumbers({ areaCode, city, state, country, tollFreePrefix, phoneNumberType, ...options } = {}) {
+    return this.#paginate('voice', '/search', 'E164PhoneNumbers', {
+      ...options,
+      params: {
+        type: 'phone-numbers',
+        'area-code': areaCode,
+        city,
+        state,
+        country,
+        'toll-free-prefix': tollFreePrefix,
+        'phone-number-type': phoneNumberType
+      }
+    });
+  }
+
+  async searchAvailablePhoneNumbers(options = {}) {
+    return await collect(this.iterateAvailablePhoneNumbers(options));
+  }
+
+  // Orders are fulfilled asynchronously; poll getPhoneNumberOrder until the
+  // Status is Successful, Partial or Failed.
+  async createPhoneNumberOrder({ productType, e164PhoneNumbers, name }) {
+    const body = { ProductType: productType, E164PhoneNumbers: e164PhoneNumbers };
+    if (name) body.Name = name;
+    return await this.request('voice', 'POST', '/phone-number-orders', body);
+  }
+
+  async getPhoneNumberOrder(phoneNumberOrderId) {
+    return await this.request('voice', 'GET', `/phone-number-orders/${encodeURIComponent(phoneNumberOrderId)}`);
+  }
+
+  iteratePhoneNumberOrders(options = {}) {
+    return this.#paginate('voice', '/phone-number-orders', 'PhoneNumberOrders', options);
+  }
+
+  async listPhoneNumberOrders(options = {}) {
+    return await collect(this.iteratePhoneNumberOrders(options));
+  }
+
+  // `filterName` is VoiceConnectorId, VoiceConnectorGroupId or SipRuleId.
+  iteratePhoneNumbers({ status, productType, filterName, filterValue, ...options } = {}) {
+    return this.#paginate('voice', '/phone-numbers', 'PhoneNumbers', {
+      ...options,
+      params: { status, 'product-type': productType, 'filter-name': filterName, 'filter-value': filterValue }
+    });
+  }
+
+  async listPhoneNumbers(options = {}) {
+    return await collect(this.iteratePhoneNumbers(options));
+  }
+
+  async getPhoneNumber(phoneNumberId) {
+    return await this.request('voice', 'GET', phoneNumberPath(phoneNumberId));
+  }
+
+  async updatePhoneNumber(phoneNumberId, { productType, callingName, name }) {
+    const body = {};
+    if (productType) body.ProductType = productType;
+    if (callingName !== undefined) body.CallingName = callingName;
+    if (name !== undefined) body.Name = name;
+    return await this.request('voice', 'POST', phoneNumberPath(phoneNumberId), body);
+  }
+
+  // Deleted numbers wait in a queue for 7 days before they are released.
+  async deletePhoneNumber(phoneNumberId) {
+    return await this.request('voice', 'DELETE', phoneNumberPath(phoneNumberId));
+  }
+
+  // Resolves with `{ PhoneNumberErrors }` for numbers that could not be
+  // associated; `force` moves numbers already on another voice connector.
+  async associatePhoneNumbersWithVoiceConnector(voiceConnectorId, e164PhoneNumbers, { force = false } = {}) {
+    return await this.request('voice', 'POST', voiceConnectorPath(voiceConnectorId),
+      { E164PhoneNumbers: e164PhoneNumbers, ForceAssociate: force }, { operation: 'associate-phone-numbers' });
+  }
+
+  async disassociatePhoneNumbersFromVoiceConnector(voiceConnectorId, e164PhoneNumbers) {
+    return await this.request('voice', 'POST', voiceConnectorPath(voiceConnectorId),
+      { E164PhoneNumbers: e164PhoneNumbers }, { operation: 'disassociate-phone-numbers' });
+  }
+
+  // ============================================================
+  // VOICE CONNECTORS (Chime SDK Voice)
+  // ============================================================
+
+  iterateVoiceConnectors(options = {}) {
+    return this.#paginate('voice', '/voice-connectors', 'VoiceConnectors', options);
+  }
+
+  async listVoiceConnectors(options = {}) {
+    return await collect(this.iterateVoiceConnectors(options));
+  }
+
+  async getVoiceConnector(voiceConnectorId) {
+    return await this.request('voice', 'GET', voiceConnectorPath(voiceConnectorId));
+  }
+
+  // `awsRegion` is where the voice connector runs; it defaults to the client region.
+  async createVoiceConnector({ name, awsRegion, requireEncryption = true, tags }) {
+    const body = { Name: name, RequireEncryption: requireEncryption, AwsRegion: awsRegion || this.region };
+    if (tags?.length) body.Tags = tags;
+    return await this.request('voice', 'POST', '/voice-connectors', body);
+  }
+
+  async updateVoiceConnector(voiceConnectorId, { name, requireEncryption }) {
+    return await this.request('voice', 'PUT', voiceConnectorPath(voiceConnectorId),
+      { Name: name, RequireEncryption: requireEncryption });
+  }
+
+  // Fails while phone numbers are still associated.
+  async deleteVoiceConnector(voiceConnectorId) {
+    return await this.request('voice', 'DELETE', voiceConnectorPath(voiceConnectorId));
+  }
+
+  // Termination carries calls from your SIP infrastructure out to the PSTN:
+  // `{ CallingRegions, CidrAllowedList, CpsLimit, DefaultPhoneNumber, Disabled }`.
+  async getVoiceConnectorTermination(voiceConnectorId) {
+    return await this.request('voice', 'GET', `${voiceConnectorPath(voiceConnectorId)}/termination`);
+  }
+
+  async putVoiceConnectorTermination(voiceConnectorId, termination) {
+    return await this.request('voice', 'PUT', `${voiceConnectorPath(voiceConnectorId)}/termination`, { Termination: termination });
+  }
+
+  async deleteVoiceConnectorTermination(voiceConnectorId) {
+    return await this.request('voice', 'DELETE', `${voiceConnectorPath(voiceConnectorId)}/termination`);
+  }
+
+  // Origination routes inbound PSTN calls to your SIP hosts:
+  // `{ Routes: [{ Host, Port, Protocol, Priority, Weight }], Disabled }`.
+  async getVoiceConnectorOrigination(voiceConnectorId) {
+    return await this.request('voice', 'GET', `${voiceConnectorPath(voiceConnectorId)}/origination`);
+  }
+
+  async putVoiceConnectorOrigination(voiceConnectorId, origination) {
+    return await this.request('voice', 'PUT', `${voiceConnectorPath(voiceConnectorId)}/origination`, { Origination: origination });
+  }
+
+  async deleteVoiceConnectorOrigination(voiceConnectorId) {
+    return await this.request('voice', 'DELETE', `${voiceConnectorPath(voiceConnectorId)}/origination`);
+  }
+
+  // SIP digest credentials for termination. Passwords are write-only; the
+  // list call returns usernames.
+  async listVoiceConnectorTerminationCredentials(voiceConnectorId) {
+    const data = await this.request('voice', 'GET', `${voiceConnectorPath(voiceConnectorId)}/termination/credentials`);
+    return data.Usernames || [];
+  }
+
+  async putVoiceConnectorTerminationCredentials(voiceConnectorId, credentials) {
+    return await this.request('voice', 'POST', `${voiceConnectorPath(voiceConnectorId)}/termination/credentials`,
+      { Credentials: credentials }, { operation: 'put' });
+  }
+
+  async deleteVoiceConnectorTerminationCredentials(voiceConnectorId, usernames) {
+    return await this.request('voice', 'POST', `${voiceConnectorPath(voiceConnectorId)}/termination/credentials`,
+      { Usernames: usernames }, { operation: 'delete' });
+  }
+
+  // ============================================================
+  // SIP MEDIA APPLICATIONS AND RULES (Chime SDK Voice)
+  // ============================================================
+
+  iterateSipMediaApplications(options = {}) {
+    return this.#paginate('voice', '/sip-media-applications', 'SipMediaApplications', options);
+  }
+
+  async listSipMediaApplications(options = {}) {
+    return await collect(this.iterateSipMediaApplications(options));
+  }
+
+  async getSipMediaApplication(sipMediaApplicationId) {
+    return await this.request('voice', 'GET', sipMediaApplicationPath(sipMediaApplicationId));
+  }
+
+  // A SIP media application hands each call to the Lambda function in
+  // `lambdaArn`, which must be in `awsRegion` (default: the client region).
+  async createSipMediaApplication({ name, lambdaArn, awsRegion, tags }) {
+    const body = { Name: name, AwsRegion: awsRegion || this.region, Endpoints: [{ LambdaArn: lambdaArn }] };
+    if (tags?.length) body.Tags = tags;
+    return await this.request('voice', 'POST', '/sip-media-applications', body);
+  }
+
+  async updateSipMediaApplication(sipMediaApplicationId, { name, lambdaArn }) {
+    const body = {};
+    if (name) body.Name = name;
+    if (lambdaArn) body.Endpoints = [{ LambdaArn: lambdaArn }];
+    return await this.request('voice', 'PUT', sipMediaApplicationPath(sipMediaApplicationId), body);
+  }
+
+  async deleteSipMediaApplication(sipMediaApplicationId) {
+    return await this.request('voice', 'DELETE', sipMediaApplicationPath(sipMediaApplicationId));
+  }
+
+  iterateSipRules({ sipMediaApplicationId, ...options } = {}) {
+    return this.#paginate('voice', '/sip-rules', 'SipRules', {
+      ...options, params: { 'sip-media-application': sipMediaApplicationId }
+    });
+  }
+
+  async listSipRules(options = {}) {
+    return await collect(this.iterateSipRules(options));
+  }
+
+  async getSipRule(sipRuleId) {
+    return await this.request('voice', 'GET', sipRulePath(sipRuleId));
+  }
+
+  // A rule routes calls to a phone number (`ToPhoneNumber`, an E.164 number
+  // ordered for SipMediaApplicationDialIn) or to a host
+  // (`RequestUriHostname`) to its target applications in priority order:
+  // `[{ SipMediaApplicationId, Priority, AwsRegion }]`.
+  async createSipRule({ name, triggerType, triggerValue, targetApplications, disabled = false }) {
+    return await this.request('voice', 'POST', '/sip-rules', {
+      Name: name, TriggerType: triggerType, TriggerValue: triggerValue, TargetApplications: targetApplications, Disabled: disabled
+    });
+  }
+
+  // The API requires the name on every update.
+  async updateSipRule(sipRuleId, { name, disabled, targetApplications }) {
+    const body = { Name: name };
+    if (disabled !== undefined) body.Disabled = disabled;
+    if (targetApplications) body.TargetApplications = targetApplications;
+    return await this.request('voice', 'PUT', sipRulePath(sipRuleId), body);
+  }
+
+  // Rules must be disabled before they can be deleted.
+  async deleteSipRule(sipRuleId) {
+    return await this.request('voice', 'DELETE', sipRulePath(sipRuleId));
+  }
+
+  // The numbers that dial into a SIP media application: the trigger values
+  // of its enabled ToPhoneNumber rules.
+  async listSipMediaApplicationDialInNumbers(sipMediaApplicationId) {
+    const rules = await this.listSipRules({ sipMediaApplicationId });
+    return rules
+      .filter(rule => rule.TriggerType === 'ToPhoneNumber' && !rule.Disabled)
+      .map(rule => rule.TriggerValue);
+  }
+}
@@ -0,0 +1,188 @@
+import { cachedResources } from './resource-cache.js';
+
+// ============================================================
+// Command Lines
+// ============================================================
+// The shell and the completion scripts both work from the commander tree:
+// they split a line into words, follow subcommands, and skip options along
+// with their values to find which positional argument is being typed.
+
+/**
+ * Splits a line into words the way a POSIX shell would for simple input:
+ * single and double quotes group, backslash escapes one character. A line
+ * ending in unquoted whitespace gets an empty last word, which is the word
+ * being completed.
+ */
+export function splitWords(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      else if (c === '\\' && quote === '"' && i + 1 < line.length) word += line[++i];
+      else word += c;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+      word ??= '';
+    } else if (c === '\\' && i + 1 < line.length) {
+      word = (word ?? '') + line[++i];
+    } else if (/\s/.test(c)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else {
+      word = (word ?? '') + c;
+    }
+  }
+  if (quote) throw new Error('Unterminated quote');
+  words.push(word ?? '');
+  return words;
+}
+
+function findOption(command, flag) {
+  for (let current = command; current; current = current.parent) {
+    const option = current.options.find(o => o.long === flag || o.short === flag);
+    if (option) return option;
+  }
+  return null;
+}
+
+function findSubcommand(command, name) {
+  return command.commands.find(sub => sub.name() === name || sub.aliases().includes(name));
+}
+
+/**
+ * Follows `words` through the commander tree. Returns the command reached,
+ * its positional arguments as typed with their indexes in `words`, the
+ * option awaiting a value (when the last word is one), and the values of
+ * options seen on the way, keyed by attribute name (`profile`, `region`, ...).
+ */
+export function resolveCommand(program, words) {
+  let command = program;
+  const positionals = [];
+  const positionalIndexes = [];
+  const values = {};
+  let pending = null;
+  words.forEach((word, index) => {
+    if (pending) {
+      values[pending.attributeName()] = word;
+      pending = null;
+    } else if (word.startsWith('-') && word !== '-') {
+      const [flag, inline] = word.split(/=(.*)/s);
+      const option = findOption(command, flag);
+      if (option && (option.required || option.optional)) {
+        if (inline !== undefined) values[option.attributeName()] = inline;
+        else pending = option;
+      }
+    } else if (positionals.length === 0 && findSubcommand(command, word)) {
+      command = findSubcommand(command, word);
+    } else {
+      positionals.push(word);
+      positionalIndexes.push(index);
+    }
+  });
+  return { command, positionals, positionalIndexes, pending, values };
+}
+
+// ============================================================
+// Completion
+// ============================================================
+
+// Positional arguments whose values can come from the resource cache.
+export const ARGUMENT_KINDS = { 'meeting-id': 'meetings', 'attendee-id': 'attendees', 'channel-arn': 'channels' };
+
+function argumentCandidates(command, positionals, scope) {
+  const argument = command.registeredArguments[positionals.length];
+  const kind = argument && ARGUMENT_KINDS[argument.name()];
+  if (!kind) return [];
+  const meetingIndex = command.registeredArguments.findIndex(arg => arg.name() === 'meeting-id');
+  return cachedResources(kind, { meetingId: positionals[meetingIndex], scope });
+}
+
+/**
+ * Returns `[{ value, label }]` completions for the last word of `words`
+ * (everything typed after the program name): subcommands, options, option
+ * choices, or cached meeting IDs, attendee IDs and channel ARNs.
+ * `scope` overrides the profile and region the cache is read for.
+ */
+export function complete(program, words, scope = {}) {
+  const current = words[words.length - 1] ?? '';
+  const { command, positionals, pending, values } = resolveCommand(program, words.slice(0, -1));
+  const cacheScope = { profile: values.profile || scope.profile, region: values.region || scope.region };
+  const help = command.createHelp();
+
+  let candidates;
+  if (pending) {
+    candidates = (pending.argChoices || []).map(value => ({ value, label: '' }));
+  } else if (current.startsWith('-')) {
+    const options = [];
+    for (let owner = command; owner; owner = owner.parent) options.push(...help.visibleOptions(owner));
+    candidates = options.filter(o => o.long).map(o => ({ value: o.long, label: o.description }));
+  } else {
+    candidates = argumentCandidates(command, positionals, cacheScope);
+    if (positionals.length === 0) {
+      const subcommands = help.visibleCommands(command).filter(sub => sub.name() !== 'help');
+      candidates = [...subcommands.map(sub => ({ value: sub.name(), label: sub.description() })), ...candidates];
+    }
+  }
+  return candidates.filter(candidate => candidate.value.startsWith(current));
+}
+
+// ============================================================
+// Shell Scripts
+// ============================================================
+// Each script asks `awschime __complete` for candidates, passing the words
+// typed so far; the last one is the word being completed. Candidates come
+// back one per line as value<TAB>label.
+
+const SCRIPTS = {
+  bash: `# awschime completion for bash. Add to ~/.bashrc:
+#   source <(awschime completion bash)
+_awschime_complete() {
+  local line="\${COMP_LINE:0:COMP_POINT}"
+  local -a words
+  read -ra words <<< "$line"
+  [[ "$line" =~ [[:space:]]$ ]] && words+=("")
+  local current="\${words[-1]}"
+  local IFS=$'\\n'
+  local candidates
+  candidates=$(awschime __complete -- "\${words[@]:1}" 2>/dev/null | cut -f1)
+  COMPREPLY=($(compgen -W "$candidates" -- "$current"))
+  # ARNs contain colons, which bash treats as word breaks.
+  if [[ "$current" == *:* && "$COMP_WORDBREAKS" == *:* ]]; then
+    local prefix="\${current%"\${current##*:}"}"
+    local i
+    for i in "\${!COMPREPLY[@]}"; do COMPREPLY[i]="\${COMPREPLY[i]#"$prefix"}"; done
+  fi
+}
+complete -o default -F _awschime_complete awschime
+`,
+  zsh: `#compdef awschime
+# awschime completion for zsh. Add to ~/.zshrc:
+#   source <(awschime completion zsh)
+_awschime() {
+  local -a candidates
+  local line
+  for line in "\${(@f)$(awschime __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}"; do
+    [[ -n "$line" ]] && candidates+=("\${\${line%%$'\\t'*}//:/\\\\:}:\${line#*$'\\t'}")
+  done
+  _describe -t values 'awschime' candidates
+}
+compdef _awschime awschime
+`,
+  fish: `# awschime completion for fish. Save as ~/.config/fish/completions/awschime.fish:
+#   awschime completion fish > ~/.config/fish/completions/awschime.fish
+function __awschime_complete
+  set -l words (commandline -opc)
+  awschime __complete -- $words[2..-1] (commandline -ct | string collect -a) 2>/dev/null
+end
+complete -c awschime -f -a '(__awschime_complete)'
+`
+};
+
+export const COMPLETION_SHELLS = Object.keys(SCRIPTS);
+
+export function completionScript(shell) {
+  return SCRIPTS[shell];
+}
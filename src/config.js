@@ -1,19 +1,138 @@
 import Conf from 'conf';
+import path from 'path';
+import { loadSharedProfile } from './shared-files.js';
 
 const config = new Conf({ projectName: '@ktmcp-cli/awschime' });
 
-export function getConfig(key) {
-  return config.get(key);
+const DEFAULT_REGION = 'us-east-1';
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Per-invocation overrides set from global CLI flags; never persisted.
+const runtime = {};
+
+// ============================================================
+// Profiles
+// ============================================================
+// The default profile lives at the top level of the store so configs written
+// before profiles existed keep working. Named profiles live under
+// `profiles.<name>`.
+
+// Resolution order: --profile flag, AWS_PROFILE, `config use`, default
+export function getActiveProfile() {
+  return runtime.profile
+    || process.env.AWS_PROFILE
+    || config.get('activeProfile')
+    || DEFAULT_PROFILE;
+}
+
+export function isProfileFromFlag() {
+  return !!runtime.profile;
+}
+
+function profileKey(key, profile = getActiveProfile()) {
+  return profile === DEFAULT_PROFILE ? key : `profiles.${profile}.${key}`;
+}
+
+export function getProfileNames() {
+  return [DEFAULT_PROFILE, ...Object.keys(config.get('profiles') || {})];
+}
+
+export function setActiveProfile(profile) {
+  if (profile === DEFAULT_PROFILE) config.delete('activeProfile');
+  else config.set('activeProfile', profile);
+}
+
+// ============================================================
+// Values
+// ============================================================
+
+export function getConfig(key, profile) {
+  return config.get(profileKey(key, profile));
 }
 
-export function setConfig(key, value) {
-  config.set(key, value);
+export function setConfig(key, value, profile) {
+  config.set(profileKey(key, profile), value);
 }
 
 export function isConfigured() {
-  return !!(config.get('accessKeyId') && config.get('secretAccessKey'));
+  return !!(getConfig('accessKeyId') && getConfig('secretAccessKey'));
+}
+
+export function getAllConfig(profile = getActiveProfile()) {
+  if (profile === DEFAULT_PROFILE) {
+    const { profiles, activeProfile, ...rest } = config.store;
+    return rest;
+  }
+  return config.get(`profiles.${profile}`) || {};
+}
+
+export function setRuntimeOptions(options) {
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) runtime[key] = value;
+  }
+}
+
+// Resolution order: --region flag, AWS_REGION / AWS_DEFAULT_REGION, profile
+// config, region from ~/.aws/config, default
+export function getRegion() {
+  return runtime.region
+    || process.env.AWS_REGION
+    || process.env.AWS_DEFAULT_REGION
+    || getConfig('region')
+    || loadSharedProfile(getActiveProfile())?.region
+    || DEFAULT_REGION;
+}
+
+// Resolution order: --endpoint-url flag, AWS_ENDPOINT_URL, profile config
+export function getEndpointUrl() {
+  return runtime.endpointUrl
+    || process.env.AWS_ENDPOINT_URL
+    || getConfig('endpointUrl')
+    || null;
+}
+
+// Resolution order: --max-attempts flag, AWS_MAX_ATTEMPTS, profile config, default
+export function getMaxAttempts() {
+  const value = runtime.maxAttempts
+    || process.env.AWS_MAX_ATTEMPTS
+    || getConfig('maxAttempts')
+    || DEFAULT_MAX_ATTEMPTS;
+  return Math.max(1, parseInt(value) || DEFAULT_MAX_ATTEMPTS);
+}
+
+// App instance user ARN sent as x-amz-chime-bearer on messaging calls.
+// Resolution order: --chime-bearer flag, AWS_CHIME_BEARER, profile config
+export function getChimeBearer() {
+  return runtime.chimeBearer
+    || process.env.AWS_CHIME_BEARER
+    || getConfig('chimeBearer')
+    || null;
+}
+
+// Join link template for `meetings invite`, e.g.
+// https://meet.example.com/join/{meetingId}?attendee={attendeeId}
+// Resolution order: AWSCHIME_JOIN_URL, profile config
+export function getJoinUrlTemplate() {
+  return process.env.AWSCHIME_JOIN_URL
+    || getConfig('joinUrlTemplate')
+    || null;
+}
+
+// SIP media application whose phone numbers `meetings create --dial-in`
+// prints. Resolution order: AWSCHIME_DIAL_IN_SMA, profile config
+export function getDialInSipMediaApplicationId() {
+  return process.env.AWSCHIME_DIAL_IN_SMA
+    || getConfig('dialInSipMediaApplicationId')
+    || null;
+}
+
+// --dry-run: mutating requests are signed and shown but never sent.
+export function isDryRun() {
+  return !!runtime.dryRun;
 }
 
-export function getAllConfig() {
-  return config.store;
+// Directory holding the config file; also used for on-disk caches.
+export function getConfigDir() {
+  return path.dirname(config.path);
 }
@@ -0,0 +1,184 @@
+import { exec } from 'child_process';
+import readline from 'readline/promises';
+import { promisify } from 'util';
+import { getConfig, getActiveProfile, isProfileFromFlag, getRegion } from './config.js';
+import { loadSharedProfile } from './shared-files.js';
+import { assumeRole } from './sts.js';
+
+const execAsync = promisify(exec);
+
+// Refresh temporary credentials this long before they actually expire.
+const EXPIRY_WINDOW_MS = 5 * 60 * 1000;
+
+let cached = null;
+
+// ============================================================
+// Providers
+// ============================================================
+// Each provider returns credentials or null when it has nothing to offer.
+
+function fromEnv() {
+  const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+  if (!accessKeyId || !secretAccessKey) return null;
+  return {
+    accessKeyId,
+    secretAccessKey,
+    sessionToken: process.env.AWS_SESSION_TOKEN,
+    source: 'environment'
+  };
+}
+
+function fromConfigStore(profile) {
+  const accessKeyId = getConfig('accessKeyId', profile);
+  const secretAccessKey = getConfig('secretAccessKey', profile);
+  if (!accessKeyId || !secretAccessKey) return null;
+  return {
+    accessKeyId,
+    secretAccessKey,
+    sessionToken: getConfig('sessionToken', profile),
+    source: `awschime config (${profile})`
+  };
+}
+
+async function fromCredentialProcess(command, profile) {
+  let stdout;
+  try {
+    ({ stdout } = await execAsync(command, { timeout: 60000 }));
+  } catch (error) {
+    throw new Error(`credential_process for profile '${profile}' failed: ${error.stderr?.trim() || error.message}`);
+  }
+
+  let output;
+  try {
+    output = JSON.parse(stdout);
+  } catch {
+    throw new Error(`credential_process for profile '${profile}' did not print valid JSON`);
+  }
+  if (output.Version !== 1 || !output.AccessKeyId || !output.SecretAccessKey) {
+    throw new Error(`credential_process for profile '${profile}' returned an unsupported payload`);
+  }
+  return {
+    accessKeyId: output.AccessKeyId,
+    secretAccessKey: output.SecretAccessKey,
+    sessionToken: output.SessionToken,
+    expiration: output.Expiration ? new Date(output.Expiration) : undefined,
+    source: `credential_process (${profile})`
+  };
+}
+
+async function fromSharedFiles(profile) {
+  const settings = loadSharedProfile(profile);
+  if (!settings) return null;
+
+  if (settings.aws_access_key_id && settings.aws_secret_access_key) {
+    return {
+      accessKeyId: settings.aws_access_key_id,
+      secretAccessKey: settings.aws_secret_access_key,
+      sessionToken: settings.aws_session_token,
+      source: `shared credentials (${profile})`
+    };
+  }
+  if (settings.credential_process) {
+    return await fromCredentialProcess(settings.credential_process, profile);
+  }
+  return null;
+}
+
+// Role settings may come from `awschime config set` or from ~/.aws/config;
+// the awschime profile wins.
+function roleSettings(profile) {
+  const shared = loadSharedProfile(profile) || {};
+  const roleArn = getConfig('roleArn', profile) || shared.role_arn;
+  if (!roleArn) return null;
+  return {
+    roleArn,
+    sourceProfile: getConfig('sourceProfile', profile) || shared.source_profile,
+    externalId: getConfig('externalId', profile) || shared.external_id,
+    mfaSerial: getConfig('mfaSerial', profile) || shared.mfa_serial,
+    roleSessionName: getConfig('roleSessionName', profile) || shared.role_session_name,
+    durationSeconds: getConfig('durationSeconds', profile) || shared.duration_seconds
+  };
+}
+
+async function promptTokenCode(mfaSerial) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`MFA device ${mfaSerial} requires a token code, but stdin is not a terminal`);
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return (await rl.question(`Enter MFA code for ${mfaSerial}: `)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+async function fromAssumeRole(profile, visited) {
+  const role = roleSettings(profile);
+  if (!role) return null;
+  if (!role.sourceProfile) {
+    throw new Error(`Profile '${profile}' sets role_arn but no source_profile`);
+  }
+
+  // A profile may name itself as source_profile to use its own static keys.
+  const sourceCredentials = role.sourceProfile === profile
+    ? fromConfigStore(profile) || await fromSharedFiles(profile)
+    : await fromProfile(role.sourceProfile, visited);
+  if (!sourceCredentials) {
+    throw new Error(`No credentials found for source_profile '${role.sourceProfile}'`);
+  }
+
+  const credentials = await assumeRole({
+    ...role,
+    sourceCredentials,
+    region: getRegion(),
+    getTokenCode: promptTokenCode,
+    minValidityMs: EXPIRY_WINDOW_MS
+  });
+  return { ...credentials, source: `assumed role ${role.roleArn} (${profile})` };
+}
+
+async function fromProfile(profile, visited = new Set()) {
+  if (visited.has(profile)) {
+    throw new Error(`source_profile loop detected at profile '${profile}'`);
+  }
+  visited.add(profile);
+
+  return await fromAssumeRole(profile, visited)
+    || fromConfigStore(profile)
+    || await fromSharedFiles(profile);
+}
+
+// ============================================================
+// Chain
+// ============================================================
+
+function isFresh(credentials) {
+  return !credentials.expiration || credentials.expiration.getTime() - Date.now() > EXPIRY_WINDOW_MS;
+}
+
+/**
+ * Resolves credentials the way the AWS CLI does: environment variables
+ * (unless --profile was passed explicitly), then the active profile. A
+ * profile with role_arn assumes that role from its source_profile; otherwise
+ * the awschime config store is tried, then ~/.aws/credentials and
+ * ~/.aws/config including credential_process. Results are kept in memory
+ * until they near expiry.
+ */
+export async function resolveCredentials() {
+  if (cached && isFresh(cached)) return cached;
+
+  const profile = getActiveProfile();
+  const credentials = (!isProfileFromFlag() && fromEnv())
+    || await fromProfile(profile);
+
+  if (!credentials) {
+    throw new Error(`No AWS credentials found for profile '${profile}'. Set AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY, configure ~/.aws/credentials, or run: awschime config set --access-key-id <id> --secret-access-key <secret>`);
+  }
+  cached = credentials;
+  return credentials;
+}
+
+export function clearCredentialCache() {
+  cached = null;
+}
@@ -0,0 +1,65 @@
+// ============================================================
+// Error Hierarchy
+// ============================================================
+// Every failure returned by the Chime APIs is surfaced as a ChimeApiError
+// subclass carrying the HTTP status, the AWS error code and the request ID.
+// Each class maps to its own process exit code so scripts can branch on it.
+
+export class ChimeApiError extends Error {
+  static exitCode = 1;
+
+  constructor(message, { status, code, requestId, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.retryable = retryable;
+  }
+
+  get exitCode() {
+    return this.constructor.exitCode;
+  }
+}
+
+export class ValidationError extends ChimeApiError {
+  static exitCode = 3;
+}
+
+export class ForbiddenError extends ChimeApiError {
+  static exitCode = 4;
+}
+
+export class NotFoundError extends ChimeApiError {
+  static exitCode = 5;
+}
+
+export class ThrottlingError extends ChimeApiError {
+  static exitCode = 6;
+}
+
+export class ServiceError extends ChimeApiError {
+  static exitCode = 7;
+}
+
+export class NetworkError extends ChimeApiError {
+  static exitCode = 8;
+}
+
+// Thrown in place of sending a mutating request under --dry-run. It carries
+// the fully signed request so the caller can print it; it is not a failure.
+export class DryRunError extends Error {
+  constructor(request) {
+    super(`Dry run: ${request.method} ${request.url} was not sent`);
+    this.name = 'DryRunError';
+    this.request = request;
+  }
+
+  get exitCode() {
+    return 0;
+  }
+}
+
+export function exitCodeFor(error) {
+  return error?.exitCode ?? 1;
+}
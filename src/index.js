@@ -1,11 +1,59 @@
-import { Command } from 'commander';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { Writable } from 'stream';
+import readline from 'readline/promises';
+import { Command, Option, Argument, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getConfig, setConfig, isConfigured, getAllConfig } from './config.js';
 import {
-  listMeetings, getMeeting, createMeeting, deleteMeeting,
-  listAttendees, getAttendee, createAttendee, deleteAttendee,
-  listChannels, getChannel, createChannel, deleteChannel
+  getConfig, setConfig, getAllConfig, setRuntimeOptions, getRegion, getEndpointUrl,
+  getActiveProfile, getProfileNames, setActiveProfile, getMaxAttempts, getChimeBearer, getJoinUrlTemplate,
+  getDialInSipMediaApplicationId
+} from './config.js';
+import { resolveCredentials } from './credentials.js';
+import { listSharedProfiles } from './shared-files.js';
+import { exitCodeFor, DryRunError } from './errors.js';
+import { readRoster, CAPABILITY_VALUES, capabilitiesFrom } from './roster.js';
+import { OUTPUT_FORMATS, applyQuery, selectFields, formatOutput } from './output.js';
+import { createMockServer } from './mock-server.js';
+import { watchMeetings } from './watch.js';
+import { ARCHIVE_FORMATS, exportChannel, readArchive, importChannel } from './archive.js';
+import { loadManifest, buildPlan, applyPlan } from './manifest.js';
+import { findMeetings, findChannels, deleteAll, parseDuration } from './prune.js';
+import { JOURNAL_TYPES, journalFile, readJournal, findEntry } from './journal.js';
+import { inverseOf } from './undo.js';
+import { checkJoinUrlTemplate, prepareAttendees, writeInvite, fileStems } from './invite.js';
+import { COMPLETION_SHELLS, complete, completionScript } from './completion.js';
+import { startShell } from './shell.js';
+import {
+  iterateMeetings, getMeeting, createMeeting, createMeetingWithAttendees, MAX_CREATE_MEETING_ATTENDEES, deleteMeeting,
+  startMeetingTranscription, stopMeetingTranscription,
+  iterateAttendees, getAttendee, createAttendee, deleteAttendee, batchCreateAttendees, MAX_BATCH_ATTENDEES,
+  updateAttendeeCapabilities, batchUpdateAttendeeCapabilitiesExcept, listAttendees,
+  iterateChannels, getChannel, createChannel, deleteChannel,
+  sendChannelMessage, iterateChannelMessages, getChannelMessage, updateChannelMessage,
+  redactChannelMessage, deleteChannelMessage,
+  iterateChannelMemberships, createChannelMembership, deleteChannelMembership, batchCreateChannelMemberships,
+  MAX_BATCH_MEMBERSHIPS, iterateChannelModerators, createChannelModerator, deleteChannelModerator,
+  iterateChannelBans, createChannelBan, deleteChannelBan,
+  iterateAppInstances, getAppInstance, createAppInstance, updateAppInstance, deleteAppInstance,
+  getAppInstanceRetentionSettings, putAppInstanceRetentionSettings,
+  iterateAppInstanceUsers, getAppInstanceUser, createAppInstanceUser, updateAppInstanceUser, deleteAppInstanceUser,
+  iterateAppInstanceAdmins, createAppInstanceAdmin, deleteAppInstanceAdmin,
+  iterateMediaCapturePipelines, getMediaCapturePipeline, createMediaCapturePipeline, deleteMediaCapturePipeline,
+  createMediaConcatenationPipeline, getMediaConcatenationPipeline, CONCATENATION_ARTIFACTS,
+  iterateAvailablePhoneNumbers, createPhoneNumberOrder, getPhoneNumberOrder, iteratePhoneNumberOrders,
+  iteratePhoneNumbers, getPhoneNumber, updatePhoneNumber, deletePhoneNumber,
+  associatePhoneNumbersWithVoiceConnector, disassociatePhoneNumbersFromVoiceConnector, PHONE_NUMBER_PRODUCT_TYPES,
+  iterateVoiceConnectors, getVoiceConnector, createVoiceConnector, updateVoiceConnector, deleteVoiceConnector,
+  getVoiceConnectorTermination, putVoiceConnectorTermination, deleteVoiceConnectorTermination,
+  getVoiceConnectorOrigination, putVoiceConnectorOrigination, deleteVoiceConnectorOrigination,
+  listVoiceConnectorTerminationCredentials, putVoiceConnectorTerminationCredentials,
+  deleteVoiceConnectorTerminationCredentials,
+  iterateSipMediaApplications, getSipMediaApplication, createSipMediaApplication, updateSipMediaApplication,
+  deleteSipMediaApplication, iterateSipRules, getSipRule, createSipRule, updateSipRule, deleteSipRule,
+  listSipMediaApplicationDialInNumbers,
+  setRequestObserver
 } from './api.js';
 
 const program = new Command();
@@ -22,6 +70,14 @@ function printError(message) {
   console.error(chalk.red('✗') + ' ' + message);
 }
 
+const MAX_COLUMN_WIDTH = 40;
+
+// --no-truncate wins; otherwise `config set --default-truncate false` turns it off.
+function truncationEnabled() {
+  if (program.getOptionValueSource('truncate') === 'cli') return program.opts().truncate;
+  return getConfig('truncate') !== false;
+}
+
 function printTable(data, columns) {
   if (!data || data.length === 0) {
     console.log(chalk.yellow('No results found.'));
@@ -35,7 +91,7 @@ function printTable(data, columns) {
       const val = String(col.format ? col.format(row[col.key], row) : (row[col.key] ?? ''));
       if (val.length > widths[col.key]) widths[col.key] = val.length;
     });
-    widths[col.key] = Math.min(widths[col.key], 40);
+    if (truncationEnabled()) widths[col.key] = Math.min(widths[col.key], MAX_COLUMN_WIDTH);
   });
 
   const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
@@ -57,6 +113,109 @@ function printJson(data) {
   console.log(JSON.stringify(data, null, 2));
 }
 
+// A command's --json flag is shorthand for --output json.
+function outputSettings(options = {}) {
+  const globals = program.opts();
+  return {
+    format: options.json ? 'json' : globals.output || getConfig('output') || 'table',
+    query: globals.query,
+    fields: globals.fields ? globals.fields.split(',').map(field => field.trim()).filter(Boolean) : undefined
+  };
+}
+
+// True when the command should skip its human-readable view and hand its
+// result to printResult.
+function isStructuredOutput(options) {
+  const { format, query, fields } = outputSettings(options);
+  return format !== 'table' || !!query || !!fields;
+}
+
+function cellValue(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Prints a command result honouring --output, --query and --fields. In
+ * table format `columns` is used for lists unless a query or field list
+ * reshaped the data, in which case columns are derived from the keys.
+ */
+function printResult(data, options, columns) {
+  const { format, query, fields } = outputSettings(options);
+  const result = selectFields(applyQuery(data, query), fields);
+
+  if (format === 'json') { printJson(result ?? null); return; }
+  if (format !== 'table') { process.stdout.write(formatOutput(result, format, { fields })); return; }
+
+  if (Array.isArray(result) && result.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+    const keys = fields || [...new Set(result.flatMap(item => Object.keys(item)))];
+    printTable(result, columns && !query && !fields
+      ? columns
+      : keys.map(key => ({ key, label: key, format: cellValue })));
+  } else if (Array.isArray(result)) {
+    result.forEach(item => console.log(cellValue(item)));
+  } else if (result && typeof result === 'object') {
+    const width = Math.max(0, ...Object.keys(result).map(key => key.length));
+    Object.entries(result).forEach(([key, value]) => {
+      console.log(chalk.cyan(key.padEnd(width)) + '  ' + cellValue(value));
+    });
+  } else {
+    console.log(cellValue(result));
+  }
+}
+
+// Chime returns timestamps as epoch seconds in JSON; accept ISO strings too.
+function formatTimestamp(value) {
+  if (value === undefined || value === null || value === '') return 'N/A';
+  const date = typeof value === 'number' && value < 1e12 ? new Date(value * 1000) : new Date(value);
+  return date.toLocaleString();
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Commander option parser for repeatable --tag key=value flags.
+function collectTags(value, previous = []) {
+  const eq = value.indexOf('=');
+  if (eq < 1) throw new InvalidArgumentError('Use key=value.');
+  return [...previous, { Key: value.slice(0, eq), Value: value.slice(eq + 1) }];
+}
+
+// Reads a list of identifiers from a file (- for stdin): either a JSON array
+// or one entry per line, skipping blank lines and # comments.
+async function readListFile(file) {
+  const text = file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8');
+  if (text.trim().startsWith('[')) return JSON.parse(text).map(String);
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+// Message text comes from --file (- for stdin), the positional argument, or
+// piped stdin, in that order. A single trailing newline from files is dropped.
+async function readMessageContent(content, options) {
+  if (options.file) {
+    const text = options.file === '-' ? await readStdin() : fs.readFileSync(options.file, 'utf8');
+    return text.replace(/\r?\n$/, '');
+  }
+  if (content !== undefined && content !== '-') return content;
+  if (content === '-' || !process.stdin.isTTY) return (await readStdin()).replace(/\r?\n$/, '');
+  throw new Error('No message content. Pass it as an argument, with --file, or on stdin');
+}
+
+// Asks a yes/no question on stderr. Without a terminal there is nobody to
+// answer, so the caller is told to pass --yes instead.
+async function confirm(question) {
+  if (!process.stdin.isTTY) throw new Error('Refusing to continue without confirmation; pass --yes to run non-interactively');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
 async function withSpinner(message, fn) {
   const spinner = ora(message).start();
   try {
@@ -69,13 +228,214 @@ async function withSpinner(message, fn) {
   }
 }
 
-function requireAuth() {
-  if (!isConfigured()) {
-    printError('AWS credentials not configured.');
-    console.log('\nRun the following to configure:');
-    console.log(chalk.cyan('  awschime config set --access-key-id <id> --secret-access-key <secret>'));
-    process.exit(1);
+function parseCount(value) {
+  const n = parseInt(value);
+  if (!(n >= 1) || String(n) !== value) throw new InvalidArgumentError('Use a whole number of 1 or more.');
+  return n;
+}
+
+function addPaginationOptions(command) {
+  return command
+    .option('--all', 'Fetch every page')
+    .option('--limit <n>', 'Stop after this many results (fetches pages as needed)', parseCount)
+    .option('--page-size <n>', 'Results requested per API call', parseCount)
+    .option('--starting-token <token>', 'Resume from a NextToken printed by a previous call');
+}
+
+// Without --all or --limit only the first page is fetched; its NextToken is
+// returned so the caller can tell the user how to continue.
+async function collectPages(iterate, options) {
+  const firstPageOnly = !options.all && !options.limit;
+  let nextToken;
+  const items = [];
+  const iterator = iterate({
+    pageSize: options.pageSize,
+    startingToken: options.startingToken,
+    limit: options.limit,
+    maxPages: firstPageOnly ? 1 : undefined,
+    onPage: (page) => { nextToken = page.nextToken; }
+  });
+  for await (const item of iterator) items.push(item);
+  return { items, nextToken: firstPageOnly ? nextToken : undefined };
+}
+
+function printNextToken(nextToken) {
+  if (!nextToken) return;
+  console.error(chalk.dim(`More results available. Use --all, or --starting-token ${nextToken}`));
+}
+
+async function requireAuth() {
+  try {
+    await resolveCredentials();
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+// ============================================================
+// Bulk Deletes (prune)
+// ============================================================
+
+function parseConcurrency(value) {
+  const n = parseInt(value);
+  if (!(n >= 1 && n <= 50) || String(n) !== value) throw new InvalidArgumentError('Use a whole number from 1 to 50.');
+  return n;
+}
+
+function parseAge(value) {
+  const ms = parseDuration(value);
+  if (!ms) throw new InvalidArgumentError('Use a number followed by m, h, d or w, e.g. 7d.');
+  return ms;
+}
+
+function addPruneOptions(command) {
+  return command
+    .option('--tag <key=value>', 'Only resources with this tag (repeatable; all must match)', collectTags)
+    .option('--concurrency <n>', 'Deletions to run in parallel', parseConcurrency, 5)
+    .option('--yes', 'Delete without asking for confirmation');
+}
+
+// Shows the matches, then, unless this is a dry run, asks and deletes them
+// `--concurrency` at a time. Exits with 1 when any deletion failed.
+async function pruneMatches(items, { noun, columns, id, remove, options }) {
+  const structured = isStructuredOutput(options);
+  const dryRun = program.opts().dryRun;
+  if (!structured) {
+    if (items.length === 0) console.log(chalk.yellow(`No ${noun}s match.`));
+    else printTable(items, columns);
+  }
+  if (items.length === 0 || dryRun) {
+    if (structured) printResult({ Matched: items.map(id) }, options);
+    else if (dryRun && items.length > 0) console.log(chalk.dim(`Dry run: ${items.length} ${noun}(s) would be deleted.`));
+    return;
+  }
+
+  if (!options.yes && !(await confirm(`Delete ${items.length} ${noun}(s)?`))) {
+    console.error(chalk.yellow('Nothing deleted.'));
+    return;
+  }
+
+  const spinner = ora(`Deleting ${noun}s... 0/${items.length}`).start();
+  let result;
+  try {
+    result = await deleteAll(items, remove, {
+      concurrency: options.concurrency,
+      onProgress: ({ done, total, failed }) => {
+        spinner.text = `Deleting ${noun}s... ${done}/${total}${failed ? chalk.red(` (${failed} failed)`) : ''}`;
+      }
+    });
+  } finally {
+    spinner.stop();
+  }
+
+  if (structured) {
+    printResult({
+      Matched: items.map(id),
+      Deleted: result.deleted.map(id),
+      Failed: result.failed.map(({ item, error }) => ({ Id: id(item), Error: error.message }))
+    }, options);
+  } else {
+    result.failed.forEach(({ item, error }) => printError(`${id(item)}: ${error.message}`));
+    const summary = `Deleted ${result.deleted.length} of ${items.length} ${noun}(s)`;
+    if (result.failed.length === 0) printSuccess(summary);
+    else console.log(chalk.yellow(`${summary}; ${result.failed.length} failed`));
+  }
+  if (result.failed.length > 0) process.exit(1);
+}
+
+// ============================================================
+// Request Inspection (--dry-run, --debug, --as-curl)
+// ============================================================
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Session tokens are long-lived enough to be worth keeping out of logs.
+function redactToken(value) {
+  return `${String(value).slice(0, 16)}…`;
+}
+
+// The host header is left out; curl derives it from the URL. The session
+// token is read from $AWS_SESSION_TOKEN when the command runs rather than
+// written out, which keeps the signature valid without leaking the token.
+function toCurl(request) {
+  const lines = [`curl -X ${request.method} ${shellQuote(request.url)}`];
+  for (const [name, value] of Object.entries(request.headers)) {
+    if (name === 'x-amz-security-token') lines.push(`  -H "${name}: $AWS_SESSION_TOKEN"`);
+    else if (name !== 'host') lines.push(`  -H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (request.body) lines.push(`  --data-raw ${shellQuote(request.body)}`);
+  return lines.join(' \\\n');
+}
+
+function displayHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) =>
+    `${name}: ${name === 'x-amz-security-token' ? redactToken(value) : value}`
+  );
+}
+
+// The canonical request lists every signed header, the token included.
+function displayCanonicalRequest(canonicalRequest) {
+  return canonicalRequest.replace(/^(x-amz-security-token:)(.*)$/m, (line, name, value) => name + redactToken(value));
+}
+
+function prettyBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    return body;
+  }
+}
+
+function indent(text) {
+  return text.split('\n').map(line => `    ${line}`).join('\n');
+}
+
+function printDryRun(request) {
+  if (program.opts().asCurl) {
+    console.log(toCurl(request));
+    return;
+  }
+  console.log(chalk.bold('Dry run: request signed but not sent\n'));
+  console.log(chalk.cyan(`${request.method} ${request.url}`));
+  displayHeaders(request.headers).forEach(line => console.log(line));
+  if (request.body) console.log('\n' + prettyBody(request.body));
+}
+
+function logRequestEvent(event, { debug, asCurl }) {
+  const log = (text) => console.error(chalk.dim(text));
+  const { request } = event;
+  if (event.type === 'request') {
+    if (asCurl) console.error(toCurl(request));
+    if (!debug) return;
+    log(`[debug] ${request.method} ${request.url} (attempt ${request.attempt}/${request.maxAttempts})`);
+    log(`[debug] Canonical request:\n${indent(displayCanonicalRequest(request.canonicalRequest))}`);
+    log(`[debug] String to sign:\n${indent(request.stringToSign)}`);
+    return;
+  }
+  if (!debug) return;
+  if (event.type === 'response') {
+    log(`[debug] Response ${event.status} in ${event.ms}ms`);
+    log(indent(displayHeaders(event.headers).join('\n')));
+  } else {
+    log(`[debug] No response after ${event.ms}ms (${event.error.code || event.error.message})`);
+  }
+}
+
+// Every command's catch block ends here. A dry run surfaces as an error so
+// the command stops before using a response it never got.
+function exitWithError(error) {
+  if (error instanceof DryRunError) {
+    printDryRun(error.request);
+    process.exit(0);
+  }
+  // The client names its own option; point CLI users at the flag instead.
+  if (error.code === 'MissingChimeBearer') {
+    error.message = 'An app instance user ARN is required. Pass --chime-bearer <arn> or run: awschime config set --default-chime-bearer <arn>';
   }
+  printError(error.message);
+  process.exit(exitCodeFor(error));
 }
 
 // ============================================================
@@ -85,7 +445,25 @@ function requireAuth() {
 program
   .name('awschime')
   .description(chalk.bold('Amazon Chime CLI') + ' - Meeting and communications from your terminal')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--region <region>', 'AWS control region (overrides AWS_REGION and config)')
+  .option('--endpoint-url <url>', 'Send all requests to this endpoint instead of the AWS default')
+  .option('--profile <name>', 'Named profile from awschime config or ~/.aws (overrides AWS_PROFILE)')
+  .option('--max-attempts <n>', 'Attempts per request for throttling, 5xx and network errors (overrides AWS_MAX_ATTEMPTS)')
+  .option('--chime-bearer <arn>', 'App instance user ARN to act as on messaging calls (overrides AWS_CHIME_BEARER)')
+  .addOption(new Option('--output <format>', 'Output format (default from config, else table)').choices(OUTPUT_FORMATS))
+  .option('--query <expression>', 'JMESPath expression applied to the result before output')
+  .option('--fields <list>', 'Comma-separated fields (dotted paths) to output or show as table columns')
+  .option('--no-truncate', 'Show full values in table output')
+  .option('--dry-run', 'Sign mutating requests and print them instead of sending them')
+  .option('--debug', 'Log canonical requests, strings to sign and responses to stderr')
+  .option('--as-curl', 'Print each request as a curl command (to stdout with --dry-run, else stderr)');
+
+program.hook('preAction', () => {
+  const { region, endpointUrl, profile, maxAttempts, chimeBearer, dryRun, debug, asCurl } = program.opts();
+  setRuntimeOptions({ region, endpointUrl, profile, maxAttempts, chimeBearer, dryRun });
+  if (debug || asCurl) setRequestObserver(event => logRequestEvent(event, { debug, asCurl }));
+});
 
 // ============================================================
 // CONFIG
@@ -93,19 +471,67 @@ program
 
 const configCmd = program.command('config').description('Manage CLI configuration');
 
+// option name -> [config key, label]
+const CONFIG_SETTINGS = {
+  accessKeyId: ['accessKeyId', 'Access Key ID'],
+  secretAccessKey: ['secretAccessKey', 'Secret Access Key'],
+  sessionToken: ['sessionToken', 'Session Token'],
+  defaultRegion: ['region', 'Region'],
+  defaultEndpointUrl: ['endpointUrl', 'Endpoint URL'],
+  roleArn: ['roleArn', 'Role ARN'],
+  sourceProfile: ['sourceProfile', 'Source profile'],
+  externalId: ['externalId', 'External ID'],
+  mfaSerial: ['mfaSerial', 'MFA serial'],
+  roleSessionName: ['roleSessionName', 'Role session name'],
+  durationSeconds: ['durationSeconds', 'Role session duration'],
+  maxAttempts: ['maxAttempts', 'Max attempts'],
+  defaultChimeBearer: ['chimeBearer', 'Chime bearer'],
+  defaultJoinUrl: ['joinUrlTemplate', 'Join URL template'],
+  defaultDialInSma: ['dialInSipMediaApplicationId', 'Dial-in SIP media application'],
+  defaultOutput: ['output', 'Default output format'],
+  defaultTruncate: ['truncate', 'Table truncation']
+};
+
+const NUMERIC_SETTINGS = new Set(['durationSeconds', 'maxAttempts']);
+
 configCmd
   .command('set')
-  .description('Set configuration values')
+  .description('Set configuration values for the active profile (select with --profile)')
   .option('--access-key-id <id>', 'AWS Access Key ID')
   .option('--secret-access-key <secret>', 'AWS Secret Access Key')
   .option('--session-token <token>', 'AWS Session Token (for temporary credentials)')
+  .option('--default-region <region>', 'Default AWS control region')
+  .option('--default-endpoint-url <url>', 'Default endpoint URL override')
+  .option('--role-arn <arn>', 'IAM role to assume before each session')
+  .option('--source-profile <name>', 'Profile whose credentials assume --role-arn')
+  .option('--external-id <id>', 'External ID required by the role trust policy')
+  .option('--mfa-serial <arn>', 'MFA device ARN; prompts for a code when the role is assumed')
+  .option('--role-session-name <name>', 'Session name for the assumed role')
+  .option('--duration-seconds <n>', 'Assumed role session duration in seconds')
+  .option('--max-attempts <n>', 'Default attempts per request before giving up')
+  .option('--default-chime-bearer <arn>', 'Default app instance user ARN for messaging calls')
+  .option('--default-join-url <template>', 'Join link template for meetings invite, e.g. https://meet.example.com/{meetingId}')
+  .option('--default-dial-in-sma <id>', 'SIP media application whose numbers meetings create --dial-in prints')
+  .addOption(new Option('--default-output <format>', 'Default output format').choices(OUTPUT_FORMATS))
+  .addOption(new Option('--default-truncate <on|off>', 'Truncate long table values by default').choices(['on', 'off']))
   .action((options) => {
-    if (options.accessKeyId) { setConfig('accessKeyId', options.accessKeyId); printSuccess('Access Key ID set'); }
-    if (options.secretAccessKey) { setConfig('secretAccessKey', options.secretAccessKey); printSuccess('Secret Access Key set'); }
-    if (options.sessionToken) { setConfig('sessionToken', options.sessionToken); printSuccess('Session Token set'); }
-    if (!options.accessKeyId && !options.secretAccessKey && !options.sessionToken) {
-      printError('No options provided. Use --access-key-id, --secret-access-key, or --session-token');
+    if (getActiveProfile().includes('.')) {
+      printError('Profile names cannot contain dots');
+      process.exit(1);
     }
+    const provided = Object.keys(CONFIG_SETTINGS).filter(name => options[name] !== undefined);
+    if (provided.length === 0) {
+      printError('No options provided. Run: awschime config set --help');
+      return;
+    }
+    provided.forEach(name => {
+      const [key, label] = CONFIG_SETTINGS[name];
+      let value = options[name];
+      if (NUMERIC_SETTINGS.has(name)) value = parseInt(value);
+      if (name === 'defaultTruncate') value = value === 'on';
+      setConfig(key, value);
+      printSuccess(`${label} set`);
+    });
   });
 
 configCmd
@@ -123,42 +549,89 @@ configCmd
 
 configCmd
   .command('list')
-  .description('List all configuration values')
-  .action(() => {
-    const all = getAllConfig();
+  .description('List configuration values and profiles')
+  .action(async () => {
+    const profile = getActiveProfile();
+    const all = getAllConfig(profile);
+    let credentialSource;
+    try {
+      credentialSource = chalk.green((await resolveCredentials()).source);
+    } catch {
+      credentialSource = chalk.red('none found');
+    }
+
     console.log(chalk.bold('\nAmazon Chime CLI Configuration\n'));
-    console.log('Access Key ID:     ', all.accessKeyId ? chalk.green(all.accessKeyId) : chalk.red('not set'));
-    console.log('Secret Access Key: ', all.secretAccessKey ? chalk.green('*'.repeat(8)) : chalk.red('not set'));
+    console.log('Profile:           ', chalk.cyan(profile));
+    console.log('Credentials:       ', credentialSource);
+    console.log('Access Key ID:     ', all.accessKeyId ? chalk.green(all.accessKeyId) : chalk.dim('not set'));
+    console.log('Secret Access Key: ', all.secretAccessKey ? chalk.green('*'.repeat(8)) : chalk.dim('not set'));
     console.log('Session Token:     ', all.sessionToken ? chalk.green('set') : chalk.dim('not set'));
+    console.log('Region:            ', chalk.green(getRegion()));
+    console.log('Endpoint URL:      ', getEndpointUrl() ? chalk.green(getEndpointUrl()) : chalk.dim('AWS default'));
+    console.log('Max Attempts:      ', chalk.green(getMaxAttempts()));
+    console.log('Chime Bearer:      ', getChimeBearer() ? chalk.green(getChimeBearer()) : chalk.dim('not set'));
+    console.log('Join URL:          ', getJoinUrlTemplate() ? chalk.green(getJoinUrlTemplate()) : chalk.dim('not set'));
+    console.log('Dial-in SMA:       ', getDialInSipMediaApplicationId() ? chalk.green(getDialInSipMediaApplicationId()) : chalk.dim('not set'));
+    console.log('Output:            ', chalk.green(all.output || 'table'), all.truncate === false ? chalk.dim('(no truncation)') : '');
+    if (all.roleArn) {
+      console.log('Role ARN:          ', chalk.green(all.roleArn));
+      console.log('Source Profile:    ', all.sourceProfile ? chalk.green(all.sourceProfile) : chalk.red('not set'));
+      if (all.externalId) console.log('External ID:       ', chalk.green(all.externalId));
+      if (all.mfaSerial) console.log('MFA Serial:        ', chalk.green(all.mfaSerial));
+    }
+
+    console.log(chalk.bold('\nProfiles\n'));
+    const shared = listSharedProfiles();
+    const names = [...new Set([...getProfileNames(), ...shared])];
+    names.forEach(name => {
+      const marker = name === profile ? chalk.green('*') : ' ';
+      const sources = [];
+      if (getProfileNames().includes(name)) sources.push('awschime');
+      if (shared.includes(name)) sources.push('~/.aws');
+      console.log(`${marker} ${name.padEnd(20)} ${chalk.dim(sources.join(', '))}`);
+    });
     console.log('');
   });
 
+configCmd
+  .command('use <profile>')
+  .description('Make a profile the default for future commands')
+  .action((profile) => {
+    // Same rule as config set, which could never write to such a profile.
+    if (profile.includes('.')) {
+      printError('Profile names cannot contain dots');
+      process.exit(1);
+    }
+    setActiveProfile(profile);
+    printSuccess(`Now using profile '${profile}'`);
+  });
+
 // ============================================================
 // MEETINGS
 // ============================================================
 
 const meetingsCmd = program.command('meetings').description('Manage Chime meetings');
 
-meetingsCmd
+addPaginationOptions(meetingsCmd
   .command('list')
-  .description('List active meetings')
+  .description('List active meetings'))
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const meetings = await withSpinner('Fetching meetings...', () => listMeetings());
-
-      if (options.json) { printJson(meetings); return; }
+      const { items: meetings, nextToken } = await withSpinner('Fetching meetings...', () =>
+        collectPages(iterateMeetings, options)
+      );
 
-      printTable(meetings, [
+      printResult(meetings, options, [
         { key: 'MeetingId', label: 'Meeting ID' },
         { key: 'ExternalMeetingId', label: 'External ID' },
         { key: 'MediaRegion', label: 'Region' },
         { key: 'MeetingArn', label: 'ARN', format: (v) => v ? v.split('/').pop() : '' }
       ]);
+      printNextToken(nextToken);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
@@ -167,12 +640,12 @@ meetingsCmd
   .description('Get details of a specific meeting')
   .option('--json', 'Output as JSON')
   .action(async (meetingId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const result = await withSpinner('Fetching meeting...', () => getMeeting(meetingId));
       const meeting = result.Meeting || result;
 
-      if (options.json) { printJson(meeting); return; }
+      if (isStructuredOutput(options)) { printResult(meeting, options); return; }
 
       console.log(chalk.bold('\nMeeting Details\n'));
       console.log('Meeting ID:     ', chalk.cyan(meeting.MeetingId));
@@ -180,36 +653,107 @@ meetingsCmd
       console.log('Region:         ', meeting.MediaRegion || 'N/A');
       console.log('ARN:            ', meeting.MeetingArn || 'N/A');
       if (meeting.MediaPlacement) {
-        console.log('\nMedia Endpoints:');
-        console.log('  Audio Host:   ', meeting.MediaPlacement.AudioHostUrl || 'N/A');
-        console.log('  Signaling:    ', meeting.MediaPlacement.SignalingUrl || 'N/A');
+        console.log('\nMedia Placement:');
+        const width = Math.max(...Object.keys(meeting.MediaPlacement).map(key => key.length));
+        Object.entries(meeting.MediaPlacement).forEach(([key, url]) => console.log(`  ${key.padEnd(width)}  ${url}`));
       }
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
+function collectValues(value, previous = []) {
+  return [...previous, value];
+}
+
+// AttendeeFeatures.MaxCount accepts 1 to 250.
+function parseMaxAttendees(value) {
+  const n = parseInt(value);
+  if (!(n >= 1 && n <= 250) || String(n) !== value) throw new InvalidArgumentError('Use a whole number from 1 to 250.');
+  return n;
+}
+
+function meetingOptionsFrom(options) {
+  const meetingFeatures = {};
+  if (options.echoReduction) meetingFeatures.Audio = { EchoReduction: options.echoReduction };
+  if (options.maxVideoResolution) meetingFeatures.Video = { MaxResolution: options.maxVideoResolution };
+  if (options.maxContentResolution) meetingFeatures.Content = { MaxResolution: options.maxContentResolution };
+  if (options.maxAttendees) meetingFeatures.Attendee = { MaxCount: options.maxAttendees };
+
+  const notificationsConfiguration = {};
+  if (options.snsTopicArn) notificationsConfiguration.SnsTopicArn = options.snsTopicArn;
+  if (options.sqsQueueArn) notificationsConfiguration.SqsQueueArn = options.sqsQueueArn;
+  if (options.lambdaFunctionArn) notificationsConfiguration.LambdaFunctionArn = options.lambdaFunctionArn;
+
+  return {
+    clientRequestToken: options.clientRequestToken,
+    externalMeetingId: options.externalId,
+    mediaRegion: options.mediaRegion,
+    meetingHostId: options.hostId,
+    meetingFeatures,
+    notificationsConfiguration,
+    tags: options.tag,
+    tenantIds: options.tenantId,
+    primaryMeetingId: options.primaryMeetingId
+  };
+}
+
 meetingsCmd
   .command('create')
   .description('Create a new meeting')
   .option('--external-id <id>', 'External meeting ID for your system')
-  .option('--region <region>', 'Media region (us-east-1, us-west-2, eu-west-1, etc.)', 'us-east-1')
+  .option('--media-region <region>', 'Media region (defaults to the control region)')
   .option('--host-id <id>', 'Meeting host ID')
+  .option('--client-request-token <token>', 'Idempotency token (generated when omitted)')
+  .addOption(new Option('--echo-reduction <value>', 'Echo reduction feature').choices(['AVAILABLE', 'UNAVAILABLE']))
+  .addOption(new Option('--max-video-resolution <value>', 'Maximum attendee video resolution').choices(['None', 'HD', 'FHD']))
+  .addOption(new Option('--max-content-resolution <value>', 'Maximum content share resolution').choices(['None', 'FHD', 'UHD']))
+  .option('--max-attendees <n>', 'Attendee capacity of the meeting (1-250)', parseMaxAttendees)
+  .option('--sns-topic-arn <arn>', 'SNS topic for meeting event notifications')
+  .option('--sqs-queue-arn <arn>', 'SQS queue for meeting event notifications')
+  .option('--lambda-function-arn <arn>', 'Lambda function for meeting event notifications')
+  .option('--tag <key=value>', 'Tag to apply, e.g. for cost allocation (repeatable)', collectTags)
+  .option('--tenant-id <id>', 'Tenant ID (repeatable)', collectValues)
+  .option('--primary-meeting-id <id>', 'Create a replica of this primary meeting')
+  .option('--attendees <file>', `Roster (CSV/JSON) of up to ${MAX_CREATE_MEETING_ATTENDEES} attendees created atomically with the meeting`)
+  .option('--dial-in [sip-media-application-id]', 'Print the dial-in numbers of this SIP media application (default: config)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
+      const meetingOptions = meetingOptionsFrom(options);
+      const roster = options.attendees ? readRoster(options.attendees) : null;
+      if (roster && (roster.length === 0 || roster.length > MAX_CREATE_MEETING_ATTENDEES)) {
+        throw new Error(`--attendees takes 1 to ${MAX_CREATE_MEETING_ATTENDEES} attendees (found ${roster.length}). Use 'attendees import' for larger rosters`);
+      }
+      const dialInSma = options.dialIn === true ? getDialInSipMediaApplicationId() : options.dialIn;
+      if (options.dialIn === true && !dialInSma) {
+        throw new Error('--dial-in needs a SIP media application ID, or set one with: awschime config set --default-dial-in-sma <id>');
+      }
+
       const result = await withSpinner('Creating meeting...', () =>
-        createMeeting({
-          externalMeetingId: options.externalId,
-          mediaRegion: options.region,
-          meetingHostId: options.hostId
-        })
+        roster ? createMeetingWithAttendees(meetingOptions, roster) : createMeeting(meetingOptions)
       );
       const meeting = result.Meeting || result;
 
-      if (options.json) { printJson(meeting); return; }
+      // The meeting exists by now, so a failed lookup only warns.
+      let dialIn;
+      if (dialInSma) {
+        try {
+          const phoneNumbers = await withSpinner('Looking up dial-in numbers...', () =>
+            listSipMediaApplicationDialInNumbers(dialInSma)
+          );
+          dialIn = { SipMediaApplicationId: dialInSma, PhoneNumbers: phoneNumbers };
+        } catch (error) {
+          console.error(chalk.yellow(`Could not look up dial-in numbers: ${error.message}`));
+        }
+      }
+
+      if (isStructuredOutput(options)) {
+        const data = roster ? result : meeting;
+        printResult(dialIn ? { ...data, DialIn: dialIn } : data, options);
+        return;
+      }
 
       printSuccess('Meeting created');
       console.log('Meeting ID:  ', chalk.cyan(meeting.MeetingId));
@@ -217,24 +761,373 @@ meetingsCmd
       if (meeting.MediaPlacement?.AudioHostUrl) {
         console.log('Audio Host:  ', meeting.MediaPlacement.AudioHostUrl);
       }
+      if (dialIn) {
+        console.log('Dial-in:     ', dialIn.PhoneNumbers.length
+          ? chalk.cyan(dialIn.PhoneNumbers.join(', '))
+          : chalk.yellow(`no enabled phone number rules target ${dialInSma}`));
+      }
+      if (roster) {
+        console.log('');
+        printTable(result.Attendees || [], [
+          { key: 'ExternalUserId', label: 'External User ID' },
+          { key: 'AttendeeId', label: 'Attendee ID' }
+        ]);
+        if (result.Errors?.length) {
+          printError(`${result.Errors.length} attendee(s) failed`);
+          printTable(result.Errors, [
+            { key: 'ExternalUserId', label: 'External User ID' },
+            { key: 'ErrorCode', label: 'Error' },
+            { key: 'ErrorMessage', label: 'Message' }
+          ]);
+          process.exit(1);
+        }
+      }
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
+    }
+  });
+
+meetingsCmd
+  .command('invite <meeting-id>')
+  .description('Write a join bundle and calendar invite per attendee, creating attendees as needed')
+  .requiredOption('--attendees <file>', 'Roster (CSV/JSON) of external user IDs; existing attendees are reused')
+  .option('--out-dir <dir>', 'Directory for <user>.json bundles and <user>.ics invites', 'invites')
+  .option('--join-url <template>', 'Join link template; placeholders {meetingId}, {externalMeetingId}, {attendeeId}, {externalUserId}, {joinToken}, {region}')
+  .option('--start <time>', 'Invite start time (ISO 8601; default now)')
+  .option('--duration <minutes>', 'Invite length in minutes', '60')
+  .option('--title <text>', 'Invite title (default: the external meeting ID)')
+  .option('--organizer <email>', 'Organizer address; makes the invite a request to attendees with email IDs')
+  .option('--no-ics', 'Write join bundles only')
+  .option('--json', 'Output as JSON')
+  .action(async (meetingId, options) => {
+    await requireAuth();
+    try {
+      let ics = null;
+      if (options.ics) {
+        const joinUrlTemplate = options.joinUrl || getJoinUrlTemplate();
+        if (!joinUrlTemplate) {
+          throw new Error('No join URL template. Pass --join-url, set AWSCHIME_JOIN_URL or run: awschime config set --default-join-url <template> (or use --no-ics)');
+        }
+        checkJoinUrlTemplate(joinUrlTemplate);
+        const start = options.start ? new Date(options.start) : new Date();
+        if (Number.isNaN(start.getTime())) throw new Error(`Invalid --start time '${options.start}'`);
+        const durationMinutes = parseInt(options.duration);
+        if (!(durationMinutes > 0)) throw new Error('--duration must be a positive number of minutes');
+        ics = { joinUrlTemplate, start, durationMinutes, organizer: options.organizer };
+      }
+
+      const roster = readRoster(options.attendees);
+      if (roster.length === 0) throw new Error(`No attendees found in ${options.attendees}`);
+
+      const spinner = ora('Preparing attendees...').start();
+      let prepared;
+      try {
+        prepared = await prepareAttendees(meetingId, roster, {
+          onBatch: ({ done, total }) => { spinner.text = `Creating attendees... ${done}/${total}`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+      const { meeting, results } = prepared;
+      if (ics) ics.title = options.title || meeting.ExternalMeetingId || 'Amazon Chime meeting';
+      const stems = fileStems(results.map(({ entry }) => entry.ExternalUserId));
+
+      const rows = results.map(({ entry, attendee, status, error }) => {
+        const row = { ExternalUserId: entry.ExternalUserId, AttendeeId: attendee?.AttendeeId, Status: status };
+        if (!attendee) return { ...row, Error: error };
+        const files = writeInvite(options.outDir, meeting, attendee, ics, stems.get(entry.ExternalUserId));
+        return { ...row, Bundle: files.bundle, Invite: files.invite };
+      });
+      const failed = rows.filter(row => row.Status === 'failed');
+
+      if (isStructuredOutput(options)) {
+        printResult(rows, options);
+      } else {
+        printTable(rows, [
+          { key: 'ExternalUserId', label: 'External User ID' },
+          { key: 'AttendeeId', label: 'Attendee ID' },
+          { key: 'Status', label: 'Status' },
+          { key: 'Bundle', label: 'Files', format: (v, row) => row.Error || [v, row.Invite].filter(Boolean).join(', ') }
+        ]);
+        printSuccess(`${rows.length - failed.length} of ${rows.length} invite(s) written to ${options.outDir}`);
+        if (failed.length > 0) printError(`${failed.length} attendee(s) failed`);
+      }
+      // A batch call that failed outright exits with its own error code.
+      if (prepared.error) exitWithError(prepared.error);
+      if (failed.length > 0) process.exit(1);
+    } catch (error) {
+      exitWithError(error);
     }
   });
 
 meetingsCmd
   .command('delete <meeting-id>')
   .description('Delete a meeting')
-  .action(async (meetingId) => {
-    requireAuth();
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (meetingId, options) => {
+    await requireAuth();
     try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Delete meeting ${meetingId}?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
       await withSpinner(`Deleting meeting ${meetingId}...`, () => deleteMeeting(meetingId));
       printSuccess(`Meeting '${meetingId}' deleted`);
     } catch (error) {
-      printError(error.message);
+      exitWithError(error);
+    }
+  });
+
+addPruneOptions(meetingsCmd
+  .command('prune')
+  .description('Delete every meeting matching the filters')
+  .option('--external-id <pattern>', 'External meeting ID glob (load-test-*) or /regex/')
+  .option('--media-region <region>', 'Only meetings hosted in this media region')
+  .option('--older-than <age>', 'Only meetings created from here longer ago than this, per the journal (30m, 12h, 7d, 2w)', parseAge)
+  .option('--empty', 'Only meetings with no attendees'))
+  .action(async (options) => {
+    if (!options.externalId && !options.mediaRegion && !options.olderThan && !options.empty && !options.tag) {
+      printError('Pass at least one filter: --external-id, --media-region, --older-than, --tag or --empty');
+      process.exit(1);
+    }
+    await requireAuth();
+    try {
+      const meetings = await withSpinner('Finding meetings...', () => findMeetings({
+        externalId: options.externalId,
+        mediaRegion: options.mediaRegion,
+        olderThanMs: options.olderThan,
+        tags: options.tag,
+        empty: options.empty
+      }));
+      await pruneMatches(meetings, {
+        noun: 'meeting',
+        columns: [
+          { key: 'MeetingId', label: 'Meeting ID' },
+          { key: 'ExternalMeetingId', label: 'External ID' },
+          { key: 'MediaRegion', label: 'Region' },
+          ...(options.olderThan ? [{ key: 'CreatedTimestamp', label: 'Created', format: (v) => formatTimestamp(v) }] : [])
+        ],
+        id: (meeting) => meeting.MeetingId,
+        remove: (meeting) => deleteMeeting(meeting.MeetingId),
+        options
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// Live table rows are printed as events arrive, so widths are fixed up front.
+function watchRow(time, type, meetingId, attendee) {
+  return [time.padEnd(8), type.padEnd(16), meetingId.padEnd(36), attendee].join('  ');
+}
+
+function printWatchHeader() {
+  const header = watchRow('Time', 'Event', 'Meeting ID', 'Attendee');
+  console.log(chalk.bold(chalk.cyan(header)));
+  console.log(chalk.dim('─'.repeat(header.length + 36)));
+}
+
+function printWatchRow(event) {
+  const color = /added|created/.test(event.type) ? chalk.green : chalk.red;
+  const attendee = event.attendeeId ? `${event.externalUserId} ${chalk.dim(`(${event.attendeeId})`)}` : '';
+  const time = new Date(event.time).toLocaleTimeString([], { hour12: false });
+  console.log(watchRow(time, event.type, event.meetingId, attendee).replace(event.type, color(event.type)));
+}
+
+// Runs the --exec hook with the event as JSON on stdin and its main fields
+// in the environment. A failing hook is reported but does not stop watching.
+function runEventHook(command, event) {
+  return new Promise(resolve => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: {
+        ...process.env,
+        AWSCHIME_EVENT: event.type,
+        AWSCHIME_MEETING_ID: event.meetingId,
+        AWSCHIME_EXTERNAL_MEETING_ID: event.externalMeetingId ?? '',
+        AWSCHIME_ATTENDEE_ID: event.attendeeId ?? '',
+        AWSCHIME_EXTERNAL_USER_ID: event.externalUserId ?? ''
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event) + '\n');
+    child.on('error', (error) => {
+      console.error(chalk.yellow(`--exec hook failed for ${event.type}: ${error.message}`));
+      resolve();
+    });
+    child.on('close', (code) => {
+      if (code !== 0) console.error(chalk.yellow(`--exec hook exited with code ${code} for ${event.type}`));
+      resolve();
+    });
+  });
+}
+
+meetingsCmd
+  .command('watch [meeting-id]')
+  .description('Poll a meeting (or --all) and report attendee join/leave events')
+  .option('--all', 'Watch every active meeting')
+  .option('--interval <seconds>', 'Seconds between polls', '5')
+  .option('--exec <command>', 'Shell command run per event (event JSON on stdin, AWSCHIME_* variables set)')
+  .action(async (meetingId, options) => {
+    if (!meetingId === !options.all) {
+      printError('Pass a meeting ID or --all');
       process.exit(1);
     }
+    await requireAuth();
+
+    const streaming = outputSettings().format !== 'table';
+    const controller = new AbortController();
+    process.on('SIGINT', () => controller.abort());
+
+    try {
+      await watchMeetings({
+        meetingId,
+        intervalMs: Math.max(1, parseFloat(options.interval) || 5) * 1000,
+        signal: controller.signal,
+        onSnapshot: (snapshot) => {
+          const attendees = [...snapshot.values()].reduce((sum, entry) => sum + entry.attendees.size, 0);
+          const scope = meetingId ? `meeting ${meetingId}` : `${snapshot.size} meeting(s)`;
+          console.error(chalk.dim(`Watching ${scope} with ${attendees} attendee(s) every ${options.interval}s. Press Ctrl+C to stop.`));
+          if (!streaming) printWatchHeader();
+        },
+        onEvent: async (event) => {
+          if (streaming) console.log(JSON.stringify(event));
+          else printWatchRow(event);
+          if (options.exec) await runEventHook(options.exec, event);
+        },
+        onError: (error) => console.error(chalk.yellow(`Poll failed, retrying next interval: ${error.message}`))
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+    process.exit(0);
+  });
+
+const transcribeCmd = meetingsCmd.command('transcribe').description('Start or stop live transcription (Amazon Transcribe)');
+
+function collectList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Transcribe Medical takes a much smaller set of settings than Transcribe.
+const STANDARD_ONLY_OPTIONS = {
+  identifyLanguage: '--identify-language',
+  languageOptions: '--language-options',
+  preferredLanguage: '--preferred-language',
+  vocabularyFilter: '--vocabulary-filter',
+  languageModel: '--language-model',
+  stabilization: '--stabilization',
+  redactPii: '--redact-pii',
+  piiEntityTypes: '--pii-entity-types'
+};
+
+function single(list, flag) {
+  if (list.length > 1) throw new Error(`${flag} takes one name unless --identify-language is set`);
+  return list[0];
+}
+
+function transcriptionConfigurationFrom(options) {
+  if (options.identifyPii && options.redactPii) {
+    throw new Error('Use either --identify-pii or --redact-pii, not both');
+  }
+
+  if (options.medical) {
+    const unsupported = Object.keys(STANDARD_ONLY_OPTIONS).filter(key => options[key] !== undefined);
+    if (unsupported.length > 0) {
+      throw new Error(`Transcribe Medical does not support ${unsupported.map(key => STANDARD_ONLY_OPTIONS[key]).join(', ')}`);
+    }
+    const settings = {
+      LanguageCode: options.language || 'en-US',
+      Specialty: options.specialty || 'PRIMARYCARE',
+      Type: options.type || 'CONVERSATION'
+    };
+    if (options.vocabulary) settings.VocabularyName = single(options.vocabulary, '--vocabulary');
+    if (options.engineRegion) settings.Region = options.engineRegion;
+    if (options.identifyPii) settings.ContentIdentificationType = 'PHI';
+    return { EngineTranscribeMedicalSettings: settings };
+  }
+
+  if (options.specialty || options.type) throw new Error('--specialty and --type require --medical');
+  const settings = {};
+  if (options.identifyLanguage) {
+    if (options.language) throw new Error('Use either --language or --identify-language, not both');
+    if (!options.languageOptions) throw new Error('--identify-language needs --language-options, e.g. en-US,es-US');
+    settings.IdentifyLanguage = true;
+    settings.LanguageOptions = options.languageOptions.join(',');
+    if (options.preferredLanguage) settings.PreferredLanguage = options.preferredLanguage;
+    // With language identification the API takes one vocabulary (and filter) per language.
+    if (options.vocabulary) settings.VocabularyNames = options.vocabulary.join(',');
+    if (options.vocabularyFilter) settings.VocabularyFilterNames = options.vocabularyFilter.join(',');
+  } else {
+    if (options.languageOptions || options.preferredLanguage) {
+      throw new Error('--language-options and --preferred-language require --identify-language');
+    }
+    settings.LanguageCode = options.language || 'en-US';
+    if (options.vocabulary) settings.VocabularyName = single(options.vocabulary, '--vocabulary');
+    if (options.vocabularyFilter) settings.VocabularyFilterName = single(options.vocabularyFilter, '--vocabulary-filter');
+  }
+  if (options.vocabularyFilter) settings.VocabularyFilterMethod = options.vocabularyFilterMethod;
+  if (options.languageModel) settings.LanguageModelName = options.languageModel;
+  if (options.stabilization) {
+    settings.EnablePartialResultsStabilization = true;
+    settings.PartialResultsStability = options.stabilization;
+  }
+  if (options.identifyPii) settings.ContentIdentificationType = 'PII';
+  if (options.redactPii) settings.ContentRedactionType = 'PII';
+  if (options.piiEntityTypes) {
+    if (!options.identifyPii && !options.redactPii) throw new Error('--pii-entity-types requires --identify-pii or --redact-pii');
+    settings.PiiEntityTypes = options.piiEntityTypes.join(',');
+  }
+  if (options.engineRegion) settings.Region = options.engineRegion;
+  return { EngineTranscribeSettings: settings };
+}
+
+transcribeCmd
+  .command('start <meeting-id>')
+  .description('Start live transcription of a meeting')
+  .option('--language <code>', 'Language code, e.g. en-US (default en-US)')
+  .option('--identify-language', 'Identify the language automatically from --language-options')
+  .option('--language-options <list>', 'Comma-separated candidate languages for --identify-language', collectList)
+  .option('--preferred-language <code>', 'Language to favour with --identify-language')
+  .option('--vocabulary <name>', 'Custom vocabulary (comma-separated, one per language, with --identify-language)', collectList)
+  .option('--vocabulary-filter <name>', 'Vocabulary filter (comma-separated with --identify-language)', collectList)
+  .addOption(new Option('--vocabulary-filter-method <method>', 'How filtered words are handled')
+    .choices(['remove', 'mask', 'tag']).default('mask'))
+  .option('--language-model <name>', 'Custom language model')
+  .addOption(new Option('--stabilization <level>', 'Enable partial-result stabilization at this level')
+    .choices(['low', 'medium', 'high']))
+  .option('--identify-pii', 'Label personal information in transcripts (PHI with --medical)')
+  .option('--redact-pii', 'Redact personal information from transcripts')
+  .option('--pii-entity-types <list>', 'Comma-separated PII types to identify or redact, e.g. NAME,SSN', collectList)
+  .option('--engine-region <region>', 'Region the Transcribe engine runs in, or "auto" (default: closest to the media region)')
+  .option('--medical', 'Use Amazon Transcribe Medical')
+  .addOption(new Option('--specialty <specialty>', 'Medical specialty (with --medical)')
+    .choices(['PRIMARYCARE', 'CARDIOLOGY', 'NEUROLOGY', 'ONCOLOGY', 'RADIOLOGY', 'UROLOGY']))
+  .addOption(new Option('--type <type>', 'Medical transcription type (with --medical)').choices(['CONVERSATION', 'DICTATION']))
+  .action(async (meetingId, options) => {
+    await requireAuth();
+    try {
+      const configuration = transcriptionConfigurationFrom(options);
+      await withSpinner('Starting transcription...', () => startMeetingTranscription(meetingId, configuration));
+      const engine = options.medical ? 'Amazon Transcribe Medical' : 'Amazon Transcribe';
+      printSuccess(`Transcription started for meeting ${meetingId} (${engine})`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+transcribeCmd
+  .command('stop <meeting-id>')
+  .description('Stop live transcription of a meeting')
+  .action(async (meetingId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Stopping transcription...', () => stopMeetingTranscription(meetingId));
+      printSuccess(`Transcription stopped for meeting ${meetingId}`);
+    } catch (error) {
+      exitWithError(error);
+    }
   });
 
 // ============================================================
@@ -243,25 +1136,42 @@ meetingsCmd
 
 const attendeesCmd = program.command('attendees').description('Manage meeting attendees');
 
-attendeesCmd
+function formatCapabilities(capabilities) {
+  if (!capabilities) return 'N/A';
+  return [capabilities.Audio, capabilities.Video, capabilities.Content].join('/');
+}
+
+function addCapabilityOptions(command) {
+  return command
+    .addOption(new Option('--audio <capability>', 'Audio capability').choices(CAPABILITY_VALUES))
+    .addOption(new Option('--video <capability>', 'Video capability').choices(CAPABILITY_VALUES))
+    .addOption(new Option('--content <capability>', 'Content-share capability').choices(CAPABILITY_VALUES));
+}
+
+function hasCapabilityOptions(options) {
+  return !!(options.audio || options.video || options.content);
+}
+
+addPaginationOptions(attendeesCmd
   .command('list <meeting-id>')
-  .description('List attendees in a meeting')
+  .description('List attendees in a meeting'))
   .option('--json', 'Output as JSON')
   .action(async (meetingId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
-      const attendees = await withSpinner('Fetching attendees...', () => listAttendees(meetingId));
-
-      if (options.json) { printJson(attendees); return; }
+      const { items: attendees, nextToken } = await withSpinner('Fetching attendees...', () =>
+        collectPages((opts) => iterateAttendees(meetingId, opts), options)
+      );
 
-      printTable(attendees, [
+      printResult(attendees, options, [
         { key: 'AttendeeId', label: 'Attendee ID' },
         { key: 'ExternalUserId', label: 'External User ID' },
+        { key: 'Capabilities', label: 'Audio/Video/Content', format: formatCapabilities },
         { key: 'JoinToken', label: 'Join Token', format: (v) => v ? v.substring(0, 20) + '...' : 'N/A' }
       ]);
+      printNextToken(nextToken);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
@@ -270,45 +1180,49 @@ attendeesCmd
   .description('Get details of a specific attendee')
   .option('--json', 'Output as JSON')
   .action(async (meetingId, attendeeId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const result = await withSpinner('Fetching attendee...', () => getAttendee(meetingId, attendeeId));
       const attendee = result.Attendee || result;
 
-      if (options.json) { printJson(attendee); return; }
+      if (isStructuredOutput(options)) { printResult(attendee, options); return; }
 
       console.log(chalk.bold('\nAttendee Details\n'));
       console.log('Attendee ID:      ', chalk.cyan(attendee.AttendeeId));
       console.log('External User ID: ', attendee.ExternalUserId || 'N/A');
+      console.log('Capabilities:     ', formatCapabilities(attendee.Capabilities));
       console.log('Join Token:       ', attendee.JoinToken ? attendee.JoinToken.substring(0, 30) + '...' : 'N/A');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
-attendeesCmd
+addCapabilityOptions(attendeesCmd
   .command('create <meeting-id>')
   .description('Add an attendee to a meeting')
-  .requiredOption('--user-id <id>', 'External user ID for the attendee')
+  .requiredOption('--user-id <id>', 'External user ID for the attendee'))
   .option('--json', 'Output as JSON')
   .action(async (meetingId, options) => {
-    requireAuth();
+    await requireAuth();
     try {
+      // Capabilities not given default to SendReceive, as the API does.
+      const capabilities = hasCapabilityOptions(options)
+        ? capabilitiesFrom(options, { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' })
+        : undefined;
       const result = await withSpinner('Creating attendee...', () =>
-        createAttendee(meetingId, { externalUserId: options.userId })
+        createAttendee(meetingId, { externalUserId: options.userId, capabilities })
       );
       const attendee = result.Attendee || result;
 
-      if (options.json) { printJson(attendee); return; }
+      if (isStructuredOutput(options)) { printResult(attendee, options); return; }
 
       printSuccess('Attendee added to meeting');
       console.log('Attendee ID:  ', chalk.cyan(attendee.AttendeeId));
       console.log('User ID:      ', attendee.ExternalUserId);
+      console.log('Capabilities: ', formatCapabilities(attendee.Capabilities));
       console.log('Join Token:   ', attendee.JoinToken ? attendee.JoinToken.substring(0, 30) + '...' : 'N/A');
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
@@ -316,71 +1230,430 @@ attendeesCmd
   .command('delete <meeting-id> <attendee-id>')
   .description('Remove an attendee from a meeting')
   .action(async (meetingId, attendeeId) => {
-    requireAuth();
+    await requireAuth();
     try {
       await withSpinner('Removing attendee...', () => deleteAttendee(meetingId, attendeeId));
       printSuccess(`Attendee '${attendeeId}' removed from meeting`);
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
-// ============================================================
-// CHANNELS
-// ============================================================
-
-const channelsCmd = program.command('channels').description('Manage Chime messaging channels');
-
-channelsCmd
-  .command('list')
-  .description('List messaging channels')
-  .option('--app-instance-arn <arn>', 'App Instance ARN')
-  .option('--max-results <n>', 'Maximum results', '20')
+addCapabilityOptions(attendeesCmd
+  .command('update-capabilities <meeting-id> <attendee-id>')
+  .description('Change what an attendee can send and receive'))
   .option('--json', 'Output as JSON')
-  .action(async (options) => {
-    requireAuth();
+  .action(async (meetingId, attendeeId, options) => {
+    if (!hasCapabilityOptions(options)) {
+      printError('Pass at least one of --audio, --video or --content');
+      process.exit(1);
+    }
+    await requireAuth();
     try {
-      const channels = await withSpinner('Fetching channels...', () =>
-        listChannels({ appInstanceArn: options.appInstanceArn, maxResults: parseInt(options.maxResults) })
-      );
+      const result = await withSpinner('Updating capabilities...', async () => {
+        // Capabilities left out keep their current values.
+        let current = {};
+        if (!options.audio || !options.video || !options.content) {
+          const existing = await getAttendee(meetingId, attendeeId);
+          current = (existing.Attendee || existing).Capabilities || {};
+        }
+        return updateAttendeeCapabilities(meetingId, attendeeId, capabilitiesFrom(options, current));
+      });
+      const attendee = result.Attendee || result;
 
-      if (options.json) { printJson(channels); return; }
+      if (isStructuredOutput(options)) { printResult(attendee, options); return; }
 
-      printTable(channels, [
-        { key: 'ChannelArn', label: 'Channel ARN', format: (v) => v ? v.split('/').pop() : '' },
-        { key: 'Name', label: 'Name' },
-        { key: 'Mode', label: 'Mode' },
-        { key: 'Privacy', label: 'Privacy' },
-        { key: 'LastMessageTimestamp', label: 'Last Message', format: (v) => v ? new Date(v).toLocaleString() : 'N/A' }
-      ]);
+      printSuccess(`Attendee '${attendeeId}' capabilities updated`);
+      console.log('Capabilities: ', formatCapabilities(attendee.Capabilities));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
-channelsCmd
-  .command('get <channel-arn>')
+addCapabilityOptions(attendeesCmd
+  .command('restrict <meeting-id>')
+  .description('Set capabilities for every attendee except the listed ones (e.g. presenters)')
+  .requiredOption('--except <ids>', 'Comma-separated attendee IDs or external user IDs to leave unchanged'))
+  .action(async (meetingId, options) => {
+    if (!options.audio || !options.video || !options.content) {
+      printError('restrict overwrites all three capabilities for everyone else; pass --audio, --video and --content');
+      process.exit(1);
+    }
+    await requireAuth();
+    try {
+      const capabilities = capabilitiesFrom(options, {});
+      const wanted = options.except.split(',').map(id => id.trim()).filter(Boolean);
+      const excluded = await withSpinner('Resolving attendees...', async () => {
+        const attendees = await listAttendees(meetingId);
+        return wanted.map(id => {
+          const match = attendees.find(a => a.AttendeeId === id || a.ExternalUserId === id);
+          if (!match) throw new Error(`No attendee '${id}' in meeting ${meetingId}`);
+          return match.AttendeeId;
+        });
+      });
+      await withSpinner('Updating capabilities...', () =>
+        batchUpdateAttendeeCapabilitiesExcept(meetingId, [...new Set(excluded)], capabilities)
+      );
+      printSuccess(`All attendees except ${wanted.join(', ')} set to ${formatCapabilities(capabilities)} (audio/video/content)`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// Writes ExternalUserId → AttendeeId/JoinToken for the attendees created
+// (unless `mappingFile` is null) and, when some failed or were never sent,
+// their roster entries as a retry file.
+function writeImportFiles(roster, { attendees, errors, unsent = [] }, { mappingFile, retryFile }) {
+  const mapping = attendees.map(a => ({
+    ExternalUserId: a.ExternalUserId,
+    AttendeeId: a.AttendeeId,
+    JoinToken: a.JoinToken
+  }));
+  if (mappingFile) {
+    fs.writeFileSync(mappingFile, formatOutput(mapping, mappingFile.toLowerCase().endsWith('.csv') ? 'csv' : 'json'),
+      { mode: 0o600 });
+  }
+
+  const failedIds = new Set([...errors, ...unsent].map(e => e.ExternalUserId));
+  if (failedIds.size > 0) {
+    const retry = roster.filter(entry => failedIds.has(entry.ExternalUserId));
+    fs.writeFileSync(retryFile, JSON.stringify(retry, null, 2) + '\n');
+  }
+  return { mapping, failedIds };
+}
+
+function retryMappingFile(retryFile) {
+  return retryFile.replace(/\.json$/, '') + '.mapping.json';
+}
+
+attendeesCmd
+  .command('import <meeting-id>')
+  .description(`Create attendees in bulk from a CSV or JSON roster (${MAX_BATCH_ATTENDEES} per API call)`)
+  .requiredOption('--file <path>', 'Roster with an ExternalUserId column and optional Audio/Video/Content capabilities')
+  .option('--mapping-file <path>', 'Where to write ExternalUserId → AttendeeId/JoinToken (.json or .csv)')
+  .option('--retry-file <path>', 'Where to write roster entries that failed')
+  .option('--json', 'Output as JSON')
+  .action(async (meetingId, options) => {
+    await requireAuth();
+    try {
+      const roster = readRoster(options.file);
+      if (roster.length === 0) throw new Error(`No attendees found in ${options.file}`);
+      const mappingFile = options.mappingFile || `attendees-${meetingId}.json`;
+      const retryFile = options.retryFile || mappingFile.replace(/(\.\w+)?$/, '.retry.json');
+
+      const spinner = ora(`Creating ${roster.length} attendees...`).start();
+      let result;
+      try {
+        result = await batchCreateAttendees(meetingId, roster, {
+          onBatch: ({ done, total }) => { spinner.text = `Creating attendees... ${done}/${total}`; }
+        });
+      } catch (error) {
+        // Keep what earlier batches created and queue the rest for a rerun.
+        // When nothing was created, an existing mapping file is left alone.
+        const { partial } = error;
+        if (partial && !(error instanceof DryRunError)) {
+          const created = partial.attendees.length > 0;
+          writeImportFiles(roster, partial, { mappingFile: created ? mappingFile : null, retryFile });
+          spinner.stop();
+          printError(`Stopped after ${partial.attendees.length} of ${roster.length} attendee(s); ${partial.unsent.length} not sent`);
+          if (created) console.error('Mapping file: ', chalk.cyan(mappingFile));
+          console.error('Retry with:   ', chalk.cyan(`awschime attendees import ${meetingId} --file ${retryFile} --mapping-file ${retryMappingFile(retryFile)}`));
+        }
+        throw error;
+      } finally {
+        spinner.stop();
+      }
+
+      const { mapping, failedIds } = writeImportFiles(roster, result, { mappingFile, retryFile });
+
+      if (isStructuredOutput(options)) {
+        printResult({ created: mapping.length, mappingFile, errors: result.errors, retryFile: failedIds.size > 0 ? retryFile : undefined }, options);
+      } else {
+        printSuccess(`${mapping.length} of ${roster.length} attendee(s) created`);
+        console.log('Mapping file: ', chalk.cyan(mappingFile));
+        if (result.errors.length > 0) {
+          printError(`${result.errors.length} attendee(s) failed`);
+          printTable(result.errors, [
+            { key: 'ExternalUserId', label: 'External User ID' },
+            { key: 'ErrorCode', label: 'Error' },
+            { key: 'ErrorMessage', label: 'Message' }
+          ]);
+          console.log('Retry with:   ', chalk.cyan(`awschime attendees import ${meetingId} --file ${retryFile} --mapping-file ${retryMappingFile(retryFile)}`));
+        }
+      }
+      if (result.errors.length > 0) process.exit(1);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// RECORDINGS (Chime SDK Media Pipelines)
+// ============================================================
+
+const recordingsCmd = program.command('recordings').description('Record meetings to S3 with media capture pipelines');
+
+// Builds the capture pipeline's ArtifactsConfiguration. Audio is always
+// captured; --composited records one grid video instead of per-attendee streams.
+function recordingOptionsFrom(options) {
+  if (options.composited && options.audio && options.audio !== 'AudioWithCompositedVideo') {
+    throw new Error('--composited records audio as AudioWithCompositedVideo; drop --audio or use that value');
+  }
+  const composited = options.composited || options.audio === 'AudioWithCompositedVideo';
+  const artifactsConfiguration = {
+    Audio: { MuxType: composited ? 'AudioWithCompositedVideo' : options.audio || 'AudioOnly' },
+    Video: { State: options.video ? 'Enabled' : 'Disabled', MuxType: 'VideoOnly' },
+    Content: { State: options.content ? 'Enabled' : 'Disabled', MuxType: 'ContentOnly' }
+  };
+  if (composited) {
+    artifactsConfiguration.CompositedVideo = {
+      Layout: 'GridView',
+      Resolution: options.resolution,
+      GridViewConfiguration: { ContentShareLayout: options.layout }
+    };
+  }
+
+  let selectedVideoStreams;
+  if (options.attendeeId || options.externalUserId) {
+    selectedVideoStreams = {};
+    if (options.attendeeId) selectedVideoStreams.AttendeeIds = options.attendeeId;
+    if (options.externalUserId) selectedVideoStreams.ExternalUserIds = options.externalUserId;
+  }
+
+  return {
+    bucket: options.bucket,
+    artifactsConfiguration,
+    selectedVideoStreams,
+    kmsKeyId: options.kmsKeyId,
+    sinkIamRoleArn: options.sinkRoleArn,
+    tags: options.tag,
+    clientRequestToken: options.clientRequestToken
+  };
+}
+
+function printPipeline(pipeline) {
+  console.log('Pipeline ID:  ', chalk.cyan(pipeline.MediaPipelineId));
+  console.log('Status:       ', pipeline.Status || 'N/A');
+  console.log('Source:       ', pipeline.SourceArn || 'N/A');
+  console.log('Sink:         ', pipeline.SinkArn || 'N/A');
+  console.log('Created:      ', formatTimestamp(pipeline.CreatedTimestamp));
+  console.log('Updated:      ', formatTimestamp(pipeline.UpdatedTimestamp));
+}
+
+recordingsCmd
+  .command('start <meeting-id>')
+  .description('Start recording a meeting to an S3 bucket')
+  .requiredOption('--bucket <bucket>', 'Destination bucket ARN, or bucket[/prefix]')
+  .addOption(new Option('--audio <mux>', 'Audio artifact mux type')
+    .choices(['AudioOnly', 'AudioWithActiveSpeakerVideo', 'AudioWithCompositedVideo']))
+  .option('--video', 'Capture each attendee\'s video stream')
+  .option('--content', 'Capture the content-share stream')
+  .option('--composited', 'Record a single composited grid video with the audio')
+  .addOption(new Option('--layout <layout>', 'Content-share layout for --composited')
+    .choices(['PresenterOnly', 'Horizontal', 'Vertical', 'ActiveSpeakerOnly']).default('PresenterOnly'))
+  .addOption(new Option('--resolution <resolution>', 'Composited video resolution').choices(['HD', 'FHD']).default('FHD'))
+  .option('--attendee-id <id>', 'Only capture video from this attendee (repeatable)', collectValues)
+  .option('--external-user-id <id>', 'Only capture video from this external user (repeatable)', collectValues)
+  .option('--kms-key-id <id>', 'KMS key for server-side encryption of the artifacts')
+  .option('--sink-role-arn <arn>', 'IAM role the pipeline assumes to write to the bucket')
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--client-request-token <token>', 'Idempotency token')
+  .option('--json', 'Output as JSON')
+  .action(async (meetingId, options) => {
+    await requireAuth();
+    try {
+      const recordingOptions = recordingOptionsFrom(options);
+      const result = await withSpinner('Starting recording...', async () => {
+        const meeting = await getMeeting(meetingId);
+        return createMediaCapturePipeline({ meetingArn: (meeting.Meeting || meeting).MeetingArn, ...recordingOptions });
+      });
+      const pipeline = result.MediaCapturePipeline || result;
+
+      if (isStructuredOutput(options)) { printResult(pipeline, options); return; }
+
+      printSuccess(`Recording started for meeting ${meetingId}`);
+      printPipeline(pipeline);
+      console.log(chalk.dim(`\nStop it with: awschime recordings stop ${pipeline.MediaPipelineId}`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+addPaginationOptions(recordingsCmd
+  .command('list')
+  .description('List media capture pipelines'))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: pipelines, nextToken } = await withSpinner('Fetching recordings...', () =>
+        collectPages(iterateMediaCapturePipelines, options)
+      );
+
+      printResult(pipelines, options, [
+        { key: 'MediaPipelineId', label: 'Pipeline ID' },
+        { key: 'MediaPipelineArn', label: 'ARN' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+recordingsCmd
+  .command('get <pipeline-id>')
+  .description('Get a capture pipeline, or a concatenation pipeline with --concatenation')
+  .option('--concatenation', 'The ID is a concatenation pipeline from `recordings concatenate`')
+  .option('--json', 'Output as JSON')
+  .action(async (pipelineId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching recording...', () =>
+        options.concatenation ? getMediaConcatenationPipeline(pipelineId) : getMediaCapturePipeline(pipelineId)
+      );
+      const pipeline = result.MediaCapturePipeline || result.MediaConcatenationPipeline || result;
+
+      if (isStructuredOutput(options)) { printResult(pipeline, options); return; }
+
+      console.log(chalk.bold('\nRecording Details\n'));
+      if (options.concatenation) {
+        console.log('Pipeline ID:  ', chalk.cyan(pipeline.MediaPipelineId));
+        console.log('Status:       ', pipeline.Status || 'N/A');
+        console.log('Source:       ', pipeline.Sources?.[0]?.MediaCapturePipelineSourceConfiguration?.MediaPipelineArn || 'N/A');
+        console.log('Destination:  ', pipeline.Sinks?.[0]?.S3BucketSinkConfiguration?.Destination || 'N/A');
+        console.log('Created:      ', formatTimestamp(pipeline.CreatedTimestamp));
+        console.log('Updated:      ', formatTimestamp(pipeline.UpdatedTimestamp));
+        return;
+      }
+      printPipeline(pipeline);
+      const artifacts = pipeline.ChimeSdkMeetingConfiguration?.ArtifactsConfiguration;
+      if (artifacts) {
+        console.log(chalk.bold('\nArtifacts:'));
+        console.log('  Audio:      ', artifacts.Audio?.MuxType || 'N/A');
+        console.log('  Video:      ', artifacts.Video?.State || 'N/A');
+        console.log('  Content:    ', artifacts.Content?.State || 'N/A');
+        if (artifacts.CompositedVideo) {
+          console.log('  Composited: ', `${artifacts.CompositedVideo.Resolution} ${artifacts.CompositedVideo.GridViewConfiguration?.ContentShareLayout || ''}`.trim());
+        }
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+recordingsCmd
+  .command('stop <pipeline-id>')
+  .description('Stop a recording (artifacts already written stay in S3)')
+  .action(async (pipelineId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Stopping recording...', () => deleteMediaCapturePipeline(pipelineId));
+      printSuccess(`Recording '${pipelineId}' stopped`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+function parseArtifacts(value) {
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  return names.map(name => {
+    const match = CONCATENATION_ARTIFACTS.find(artifact => artifact.toLowerCase() === name.toLowerCase());
+    if (!match) throw new InvalidArgumentError(`Unknown artifact '${name}'. Use: ${CONCATENATION_ARTIFACTS.join(', ')}`);
+    return match;
+  });
+}
+
+recordingsCmd
+  .command('concatenate <pipeline-id>')
+  .description('Join a finished recording\'s chunks into single files')
+  .requiredOption('--bucket <bucket>', 'Destination bucket ARN, or bucket[/prefix]')
+  .option('--artifacts <list>', `Comma-separated artifacts to join (default: all of ${CONCATENATION_ARTIFACTS.join(', ')})`, parseArtifacts)
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--client-request-token <token>', 'Idempotency token')
+  .option('--json', 'Output as JSON')
+  .action(async (pipelineId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Creating concatenation pipeline...', async () => {
+        let mediaPipelineArn = pipelineId;
+        if (!pipelineId.startsWith('arn:')) {
+          const capture = await getMediaCapturePipeline(pipelineId);
+          mediaPipelineArn = (capture.MediaCapturePipeline || capture).MediaPipelineArn;
+        }
+        return createMediaConcatenationPipeline({
+          mediaPipelineArn,
+          bucket: options.bucket,
+          artifacts: options.artifacts,
+          tags: options.tag,
+          clientRequestToken: options.clientRequestToken
+        });
+      });
+      const pipeline = result.MediaConcatenationPipeline || result;
+
+      if (isStructuredOutput(options)) { printResult(pipeline, options); return; }
+
+      printSuccess('Concatenation pipeline created');
+      console.log('Pipeline ID:  ', chalk.cyan(pipeline.MediaPipelineId));
+      console.log('Status:       ', pipeline.Status || 'N/A');
+      console.log(chalk.dim(`\nCheck progress with: awschime recordings get ${pipeline.MediaPipelineId} --concatenation`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// CHANNELS
+// ============================================================
+
+const channelsCmd = program.command('channels').description('Manage Chime messaging channels');
+
+addPaginationOptions(channelsCmd
+  .command('list')
+  .description('List messaging channels'))
+  .option('--app-instance-arn <arn>', 'App Instance ARN')
+  .option('--max-results <n>', 'Alias for --page-size', parseCount)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: channels, nextToken } = await withSpinner('Fetching channels...', () =>
+        collectPages((opts) => iterateChannels({ ...opts, appInstanceArn: options.appInstanceArn }),
+          { ...options, pageSize: options.pageSize || options.maxResults })
+      );
+
+      printResult(channels, options, [
+        { key: 'ChannelArn', label: 'Channel ARN', format: (v) => v ? v.split('/').pop() : '' },
+        { key: 'Name', label: 'Name' },
+        { key: 'Mode', label: 'Mode' },
+        { key: 'Privacy', label: 'Privacy' },
+        { key: 'LastMessageTimestamp', label: 'Last Message', format: (v) => formatTimestamp(v) }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+channelsCmd
+  .command('get <channel-arn>')
   .description('Get details of a specific channel')
   .option('--json', 'Output as JSON')
   .action(async (channelArn, options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const result = await withSpinner('Fetching channel...', () => getChannel(channelArn));
       const channel = result.Channel || result;
 
-      if (options.json) { printJson(channel); return; }
+      if (isStructuredOutput(options)) { printResult(channel, options); return; }
 
       console.log(chalk.bold('\nChannel Details\n'));
       console.log('Name:     ', chalk.bold(channel.Name));
       console.log('ARN:      ', chalk.cyan(channel.ChannelArn));
       console.log('Mode:     ', channel.Mode);
       console.log('Privacy:  ', channel.Privacy);
-      console.log('Created:  ', channel.CreatedTimestamp ? new Date(channel.CreatedTimestamp).toLocaleString() : 'N/A');
+      console.log('Created:  ', formatTimestamp(channel.CreatedTimestamp));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
@@ -393,7 +1666,7 @@ channelsCmd
   .option('--privacy <privacy>', 'Channel privacy (PUBLIC|PRIVATE)', 'PUBLIC')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    await requireAuth();
     try {
       const result = await withSpinner('Creating channel...', () =>
         createChannel({
@@ -405,28 +1678,2079 @@ channelsCmd
       );
       const channelArn = result.ChannelArn || result;
 
-      if (options.json) { printJson(result); return; }
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
 
       printSuccess(`Channel '${options.name}' created`);
       console.log('Channel ARN: ', chalk.cyan(typeof channelArn === 'string' ? channelArn : JSON.stringify(channelArn)));
     } catch (error) {
-      printError(error.message);
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
 channelsCmd
   .command('delete <channel-arn>')
   .description('Delete a messaging channel')
-  .action(async (channelArn) => {
-    requireAuth();
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (channelArn, options) => {
+    await requireAuth();
     try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Delete channel ${channelArn} and all of its messages?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
       await withSpinner(`Deleting channel...`, () => deleteChannel(channelArn));
       printSuccess(`Channel deleted`);
     } catch (error) {
-      printError(error.message);
+      exitWithError(error);
+    }
+  });
+
+addPruneOptions(channelsCmd
+  .command('prune')
+  .description('Delete every channel in an app instance matching the filters')
+  .requiredOption('--app-instance-arn <arn>', 'App instance whose channels are considered')
+  .option('--name <pattern>', 'Channel name glob (loadtest-*) or /regex/')
+  .option('--older-than <age>', 'Only channels created longer ago than this (30m, 12h, 7d, 2w)', parseAge))
+  .action(async (options) => {
+    if (!options.name && !options.olderThan && !options.tag) {
+      printError('Pass at least one filter: --name, --older-than or --tag (use --name \'*\' for every channel)');
       process.exit(1);
     }
+    await requireAuth();
+    try {
+      const channels = await withSpinner('Finding channels...', () => findChannels({
+        appInstanceArn: options.appInstanceArn,
+        name: options.name,
+        olderThanMs: options.olderThan,
+        tags: options.tag
+      }));
+      await pruneMatches(channels, {
+        noun: 'channel',
+        columns: [
+          { key: 'ChannelArn', label: 'Channel ARN', format: (v) => v ? v.split('/').pop() : '' },
+          { key: 'Name', label: 'Name' },
+          { key: 'CreatedTimestamp', label: 'Created', format: (v) => v ? formatTimestamp(v) : '' },
+          { key: 'LastMessageTimestamp', label: 'Last Message', format: (v) => formatTimestamp(v) }
+        ],
+        id: (channel) => channel.ChannelArn,
+        remove: (channel) => deleteChannel(channel.ChannelArn),
+        options
+      });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const ARCHIVE_EXTENSIONS = { jsonl: 'jsonl', markdown: 'md', html: 'html' };
+
+function parseTime(value) {
+  if (Number.isNaN(Date.parse(value))) throw new InvalidArgumentError('Use an ISO 8601 date or time, e.g. 2024-01-31T09:00:00Z.');
+  return value;
+}
+
+channelsCmd
+  .command('export <channel-arn>')
+  .description('Archive a channel\'s message history (requires --chime-bearer)')
+  .addOption(new Option('--format <format>', 'Archive format').choices(ARCHIVE_FORMATS).default('jsonl'))
+  .option('--since <time>', 'Only messages sent at or after this time (ISO 8601)', parseTime)
+  .option('--until <time>', 'Only messages sent at or before this time (ISO 8601)', parseTime)
+  .option('--file <path>', 'Where to write the archive (- for stdout; default channel-<id>.<ext>)')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const file = options.file || `channel-${channelArn.split('/').pop()}.${ARCHIVE_EXTENSIONS[options.format]}`;
+      const spinner = ora('Exporting messages...').start();
+      let archive;
+      try {
+        archive = await exportChannel(channelArn, {
+          format: options.format,
+          since: options.since,
+          until: options.until,
+          onProgress: (count) => { spinner.text = `Exporting messages... ${count}`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      if (file === '-') {
+        process.stdout.write(archive.content);
+        return;
+      }
+      fs.writeFileSync(file, archive.content);
+      printSuccess(`Exported ${archive.count} message(s) to ${file}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+function parseImportRate(value) {
+  const rate = Number(value);
+  if (!(rate > 0 && rate < Infinity)) throw new InvalidArgumentError('Use a positive number, e.g. 5 or 0.5.');
+  return rate;
+}
+
+channelsCmd
+  .command('import <channel-arn>')
+  .description('Replay a JSONL channel export into a channel (requires --chime-bearer)')
+  .requiredOption('--file <path>', 'JSONL archive from `channels export`')
+  .option('--rate <n>', 'Messages sent per second', parseImportRate, 5)
+  .option('--checkpoint <path>', 'Progress file used to resume an interrupted import (default <file>.checkpoint.json)')
+  .option('--preserve-senders', 'Send each message as its original sender (same app instance only)')
+  .option('--no-attribution', 'Do not prefix messages with their original sender and time')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const { channel, messages } = readArchive(options.file);
+      if (messages.length === 0) throw new Error(`No messages to import in ${options.file}`);
+      const checkpointFile = options.checkpoint || `${options.file}.checkpoint.json`;
+
+      const spinner = ora(`Importing ${messages.length} message(s)...`).start();
+      let result;
+      try {
+        result = await importChannel(channelArn, messages, {
+          checkpointFile,
+          ratePerSecond: options.rate,
+          preserveSenders: options.preserveSenders,
+          attribution: options.attribution,
+          onProgress: ({ sent, total }) => { spinner.text = `Importing messages... ${sent}/${total}`; }
+        });
+      } catch (error) {
+        spinner.stop();
+        if (fs.existsSync(checkpointFile)) {
+          console.error(chalk.yellow(`Progress saved to ${checkpointFile}. Rerun the same command to resume.`));
+        }
+        throw error;
+      }
+      spinner.stop();
+
+      const source = channel ? ` from '${channel.Name || channel.ChannelArn}'` : '';
+      printSuccess(`Imported ${result.sent} message(s)${source}`);
+      if (result.skipped > 0) console.log(chalk.dim(`Skipped ${result.skipped} message(s) already sent in an earlier run`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// CHANNEL MEMBERS, MODERATORS AND BANS
+// ============================================================
+
+const memberColumns = [
+  { key: 'MemberName', label: 'Name', format: (v, row) => row.Member?.Name || '' },
+  { key: 'MemberArn', label: 'Member ARN', format: (v, row) => row.Member?.Arn || '' }
+];
+
+const membersCmd = channelsCmd.command('members').description('Manage channel members (requires --chime-bearer)');
+
+addPaginationOptions(membersCmd
+  .command('list <channel-arn>')
+  .description('List channel members'))
+  .option('--type <type>', 'Membership type (DEFAULT|HIDDEN)')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const { items: members, nextToken } = await withSpinner('Fetching members...', () =>
+        collectPages((opts) => iterateChannelMemberships(channelArn, { ...opts, type: options.type }), options)
+      );
+
+      printResult(members, options, memberColumns);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+membersCmd
+  .command('add <channel-arn> <member-arn>')
+  .description('Add an app instance user to a channel')
+  .option('--type <type>', 'Membership type (DEFAULT|HIDDEN)', 'DEFAULT')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, memberArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Adding member...', () =>
+        createChannelMembership(channelArn, memberArn, { type: options.type })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess(`Member '${memberArn}' added`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+membersCmd
+  .command('remove <channel-arn> <member-arn>')
+  .description('Remove a member from a channel')
+  .action(async (channelArn, memberArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Removing member...', () => deleteChannelMembership(channelArn, memberArn));
+      printSuccess(`Member '${memberArn}' removed`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// Writes the member ARNs that failed or were never sent, one per line, in
+// the format batch-add reads.
+function writeMemberRetryFile(retryFile, { errors, unsent = [] }) {
+  const arns = [...errors.map(error => error.MemberArn), ...unsent];
+  fs.writeFileSync(retryFile, arns.join('\n') + '\n');
+}
+
+membersCmd
+  .command('batch-add <channel-arn>')
+  .description(`Add many members from a file, ${MAX_BATCH_MEMBERSHIPS} per API call`)
+  .requiredOption('--file <path>', 'File with one app instance user ARN per line, or a JSON array (- for stdin)')
+  .option('--type <type>', 'Membership type (DEFAULT|HIDDEN)', 'DEFAULT')
+  .option('--retry-file <path>', 'Where to write ARNs that failed or were not sent (default members-<channel-id>.retry.txt)')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const memberArns = await readListFile(options.file);
+      if (memberArns.length === 0) throw new Error(`No ARNs found in ${options.file}`);
+      const retryFile = options.retryFile || `members-${channelArn.split('/').pop()}.retry.txt`;
+      const retryCommand = `awschime channels members batch-add ${channelArn} --file ${retryFile}${options.type === 'DEFAULT' ? '' : ` --type ${options.type}`}`;
+
+      const spinner = ora(`Adding ${memberArns.length} members...`).start();
+      let result;
+      try {
+        result = await batchCreateChannelMemberships(channelArn, memberArns, {
+          type: options.type,
+          onBatch: ({ done, total }) => { spinner.text = `Adding members... ${done}/${total}`; }
+        });
+      } catch (error) {
+        // Report what earlier batches added and queue the rest for a rerun.
+        const { partial } = error;
+        if (partial && !(error instanceof DryRunError)) {
+          writeMemberRetryFile(retryFile, partial);
+          spinner.stop();
+          printError(`Stopped after ${partial.members.length} of ${memberArns.length} member(s) added; ${partial.unsent.length} not sent`);
+          console.error('Retry with:   ', chalk.cyan(retryCommand));
+        }
+        throw error;
+      } finally {
+        spinner.stop();
+      }
+      if (result.errors.length > 0) writeMemberRetryFile(retryFile, result);
+
+      if (isStructuredOutput(options)) {
+        printResult({ ...result, retryFile: result.errors.length > 0 ? retryFile : undefined }, options);
+      } else {
+        printSuccess(`${result.members.length} of ${memberArns.length} member(s) added`);
+        if (result.errors.length > 0) {
+          printError(`${result.errors.length} member(s) failed`);
+          printTable(result.errors, [
+            { key: 'MemberArn', label: 'Member ARN' },
+            { key: 'ErrorCode', label: 'Error' },
+            { key: 'ErrorMessage', label: 'Message' }
+          ]);
+          console.log('Retry with:   ', chalk.cyan(retryCommand));
+        }
+      }
+      if (result.errors.length > 0) process.exit(1);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const moderatorsCmd = channelsCmd.command('moderators').description('Manage channel moderators (requires --chime-bearer)');
+
+addPaginationOptions(moderatorsCmd
+  .command('list <channel-arn>')
+  .description('List channel moderators'))
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const { items: moderators, nextToken } = await withSpinner('Fetching moderators...', () =>
+        collectPages((opts) => iterateChannelModerators(channelArn, opts), options)
+      );
+
+      printResult(moderators, options, [
+        { key: 'ModeratorName', label: 'Name', format: (v, row) => row.Moderator?.Name || '' },
+        { key: 'ModeratorArn', label: 'Moderator ARN', format: (v, row) => row.Moderator?.Arn || '' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+moderatorsCmd
+  .command('add <channel-arn> <moderator-arn>')
+  .description('Make an app instance user a channel moderator')
+  .action(async (channelArn, moderatorArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Adding moderator...', () => createChannelModerator(channelArn, moderatorArn));
+      printSuccess(`Moderator '${moderatorArn}' added`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+moderatorsCmd
+  .command('remove <channel-arn> <moderator-arn>')
+  .description('Remove a channel moderator')
+  .action(async (channelArn, moderatorArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Removing moderator...', () => deleteChannelModerator(channelArn, moderatorArn));
+      printSuccess(`Moderator '${moderatorArn}' removed`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const bansCmd = channelsCmd.command('bans').description('Manage channel bans (requires --chime-bearer)');
+
+addPaginationOptions(bansCmd
+  .command('list <channel-arn>')
+  .description('List users banned from a channel'))
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const { items: bans, nextToken } = await withSpinner('Fetching bans...', () =>
+        collectPages((opts) => iterateChannelBans(channelArn, opts), options)
+      );
+
+      printResult(bans, options, memberColumns);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+bansCmd
+  .command('add <channel-arn> <member-arn>')
+  .description('Ban a user from a channel')
+  .action(async (channelArn, memberArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Banning member...', () => createChannelBan(channelArn, memberArn));
+      printSuccess(`Member '${memberArn}' banned`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+bansCmd
+  .command('remove <channel-arn> <member-arn>')
+  .description('Lift a channel ban')
+  .action(async (channelArn, memberArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Removing ban...', () => deleteChannelBan(channelArn, memberArn));
+      printSuccess(`Ban on '${memberArn}' lifted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// MESSAGES
+// ============================================================
+
+const messagesCmd = program.command('messages').description('Send and manage channel messages (requires --chime-bearer)');
+
+function addMessageContentOptions(command) {
+  return command
+    .option('--file <path>', 'Read the message content from a file (- for stdin)')
+    .option('--metadata <text>', 'Message metadata')
+    .option('--content-type <type>', 'Content type of the message, e.g. text/markdown');
+}
+
+addMessageContentOptions(messagesCmd
+  .command('send <channel-arn> [content]')
+  .description('Send a message to a channel (content from argument, --file or stdin)'))
+  .option('--type <type>', 'Message type (STANDARD|CONTROL)', 'STANDARD')
+  .option('--persistence <persistence>', 'Persistence (PERSISTENT|NON_PERSISTENT)', 'PERSISTENT')
+  .option('--push-title <title>', 'Push notification title')
+  .option('--push-body <body>', 'Push notification body')
+  .option('--push-type <type>', 'Push notification type (DEFAULT|VOIP)', 'DEFAULT')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, content, options) => {
+    await requireAuth();
+    try {
+      const text = await readMessageContent(content, options);
+      const pushNotification = options.pushTitle || options.pushBody
+        ? { Title: options.pushTitle, Body: options.pushBody, Type: options.pushType }
+        : undefined;
+      const result = await withSpinner('Sending message...', () =>
+        sendChannelMessage(channelArn, {
+          content: text,
+          type: options.type,
+          persistence: options.persistence,
+          metadata: options.metadata,
+          contentType: options.contentType,
+          pushNotification
+        })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess('Message sent');
+      console.log('Message ID:  ', chalk.cyan(result.MessageId));
+      if (result.Status?.Value) console.log('Status:      ', result.Status.Value);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+addPaginationOptions(messagesCmd
+  .command('list <channel-arn>')
+  .description('List messages in a channel'))
+  .option('--not-before <time>', 'Only messages sent at or after this time (ISO 8601)')
+  .option('--not-after <time>', 'Only messages sent at or before this time (ISO 8601)')
+  .option('--sort-order <order>', 'Sort order (ASCENDING|DESCENDING)', 'DESCENDING')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, options) => {
+    await requireAuth();
+    try {
+      const { items: messages, nextToken } = await withSpinner('Fetching messages...', () =>
+        collectPages((opts) => iterateChannelMessages(channelArn, {
+          ...opts,
+          notBefore: options.notBefore,
+          notAfter: options.notAfter,
+          sortOrder: options.sortOrder
+        }), options)
+      );
+
+      printResult(messages, options, [
+        { key: 'MessageId', label: 'Message ID' },
+        { key: 'Sender', label: 'Sender', format: (v) => v?.Name || v?.Arn?.split('/').pop() || '' },
+        { key: 'CreatedTimestamp', label: 'Sent', format: (v) => formatTimestamp(v) },
+        { key: 'Content', label: 'Content', format: (v, row) => row.Redacted ? '(redacted)' : (v || '').replace(/\s+/g, ' ') }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+messagesCmd
+  .command('get <channel-arn> <message-id>')
+  .description('Get a single channel message')
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, messageId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching message...', () => getChannelMessage(channelArn, messageId));
+      const message = result.ChannelMessage || result;
+
+      if (isStructuredOutput(options)) { printResult(message, options); return; }
+
+      console.log(chalk.bold('\nMessage Details\n'));
+      console.log('Message ID:   ', chalk.cyan(message.MessageId));
+      console.log('Sender:       ', message.Sender?.Name || message.Sender?.Arn || 'N/A');
+      console.log('Type:         ', message.Type || 'N/A');
+      console.log('Persistence:  ', message.Persistence || 'N/A');
+      console.log('Sent:         ', formatTimestamp(message.CreatedTimestamp));
+      if (message.LastEditedTimestamp) console.log('Edited:       ', formatTimestamp(message.LastEditedTimestamp));
+      if (message.Metadata) console.log('Metadata:     ', message.Metadata);
+      console.log('\n' + (message.Redacted ? chalk.dim('(redacted)') : message.Content || ''));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+addMessageContentOptions(messagesCmd
+  .command('update <channel-arn> <message-id> [content]')
+  .description('Edit a message (content from argument, --file or stdin)'))
+  .option('--json', 'Output as JSON')
+  .action(async (channelArn, messageId, content, options) => {
+    await requireAuth();
+    try {
+      const text = await readMessageContent(content, options);
+      const result = await withSpinner('Updating message...', () =>
+        updateChannelMessage(channelArn, messageId, {
+          content: text,
+          metadata: options.metadata,
+          contentType: options.contentType
+        })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess(`Message '${messageId}' updated`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+messagesCmd
+  .command('redact <channel-arn> <message-id>')
+  .description('Redact a message, keeping a placeholder in the channel')
+  .action(async (channelArn, messageId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Redacting message...', () => redactChannelMessage(channelArn, messageId));
+      printSuccess(`Message '${messageId}' redacted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+messagesCmd
+  .command('delete <channel-arn> <message-id>')
+  .description('Delete a message')
+  .action(async (channelArn, messageId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Deleting message...', () => deleteChannelMessage(channelArn, messageId));
+      printSuccess(`Message '${messageId}' deleted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// APP INSTANCES
+// ============================================================
+
+const appInstancesCmd = program.command('app-instances').description('Manage Chime SDK app instances, users and admins');
+
+addPaginationOptions(appInstancesCmd
+  .command('list')
+  .description('List app instances'))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: appInstances, nextToken } = await withSpinner('Fetching app instances...', () =>
+        collectPages(iterateAppInstances, options)
+      );
+
+      printResult(appInstances, options, [
+        { key: 'Name', label: 'Name' },
+        { key: 'AppInstanceArn', label: 'App Instance ARN' },
+        { key: 'Metadata', label: 'Metadata' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstancesCmd
+  .command('get <app-instance-arn>')
+  .description('Get details of an app instance')
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching app instance...', () => getAppInstance(appInstanceArn));
+      const appInstance = result.AppInstance || result;
+
+      if (isStructuredOutput(options)) { printResult(appInstance, options); return; }
+
+      console.log(chalk.bold('\nApp Instance Details\n'));
+      console.log('Name:      ', chalk.bold(appInstance.Name));
+      console.log('ARN:       ', chalk.cyan(appInstance.AppInstanceArn));
+      console.log('Metadata:  ', appInstance.Metadata || 'N/A');
+      console.log('Created:   ', formatTimestamp(appInstance.CreatedTimestamp));
+      console.log('Updated:   ', formatTimestamp(appInstance.LastUpdatedTimestamp));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstancesCmd
+  .command('create')
+  .description('Create an app instance')
+  .requiredOption('--name <name>', 'App instance name')
+  .option('--metadata <text>', 'App instance metadata')
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Creating app instance...', () =>
+        createAppInstance({ name: options.name, metadata: options.metadata, tags: options.tag })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess(`App instance '${options.name}' created`);
+      console.log('App Instance ARN: ', chalk.cyan(result.AppInstanceArn));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstancesCmd
+  .command('update <app-instance-arn>')
+  .description('Update the name or metadata of an app instance')
+  .option('--name <name>', 'New name')
+  .option('--metadata <text>', 'New metadata')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      if (options.name === undefined && options.metadata === undefined) {
+        throw new Error('No changes provided. Use --name or --metadata');
+      }
+      await withSpinner('Updating app instance...', async () => {
+        // The API replaces both fields, so keep whichever one was not given.
+        const current = (await getAppInstance(appInstanceArn)).AppInstance || {};
+        return await updateAppInstance(appInstanceArn, {
+          name: options.name ?? current.Name,
+          metadata: options.metadata ?? current.Metadata
+        });
+      });
+      printSuccess('App instance updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstancesCmd
+  .command('delete <app-instance-arn>')
+  .description('Delete an app instance')
+  .action(async (appInstanceArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Deleting app instance...', () => deleteAppInstance(appInstanceArn));
+      printSuccess('App instance deleted');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+function parseRetentionDays(value) {
+  const n = parseInt(value);
+  if (!(n >= 1 && n <= 5475) || String(n) !== value) throw new InvalidArgumentError('Use a whole number from 1 to 5475.');
+  return n;
+}
+
+const retentionCmd = appInstancesCmd.command('retention').description('Manage channel message retention for an app instance');
+
+retentionCmd
+  .command('get <app-instance-arn>')
+  .description('Show retention settings')
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching retention settings...', () => getAppInstanceRetentionSettings(appInstanceArn));
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      const days = result.AppInstanceRetentionSettings?.ChannelRetentionSettings?.RetentionDays;
+      console.log(chalk.bold('\nRetention Settings\n'));
+      console.log('Channel messages:  ', days ? `${days} day(s)` : chalk.dim('kept indefinitely'));
+      if (result.InitiateDeletionTimestamp) {
+        console.log('Deletion started:  ', formatTimestamp(result.InitiateDeletionTimestamp));
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+retentionCmd
+  .command('put <app-instance-arn>')
+  .description('Set how long channel messages are kept')
+  .requiredOption('--days <n>', 'Retention period in days (1-5475)', parseRetentionDays)
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Updating retention settings...', () =>
+        putAppInstanceRetentionSettings(appInstanceArn, { retentionDays: options.days })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess(`Channel messages will be kept for ${options.days} day(s)`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const appInstanceUsersCmd = appInstancesCmd.command('users').description('Manage app instance users');
+
+addPaginationOptions(appInstanceUsersCmd
+  .command('list <app-instance-arn>')
+  .description('List users of an app instance'))
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const { items: users, nextToken } = await withSpinner('Fetching users...', () =>
+        collectPages((opts) => iterateAppInstanceUsers(appInstanceArn, opts), options)
+      );
+
+      printResult(users, options, [
+        { key: 'Name', label: 'Name' },
+        { key: 'AppInstanceUserArn', label: 'User ARN' },
+        { key: 'Metadata', label: 'Metadata' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceUsersCmd
+  .command('get <app-instance-user-arn>')
+  .description('Get details of an app instance user')
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceUserArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching user...', () => getAppInstanceUser(appInstanceUserArn));
+      const user = result.AppInstanceUser || result;
+
+      if (isStructuredOutput(options)) { printResult(user, options); return; }
+
+      console.log(chalk.bold('\nApp Instance User Details\n'));
+      console.log('Name:      ', chalk.bold(user.Name));
+      console.log('ARN:       ', chalk.cyan(user.AppInstanceUserArn));
+      console.log('Metadata:  ', user.Metadata || 'N/A');
+      console.log('Created:   ', formatTimestamp(user.CreatedTimestamp));
+      console.log('Updated:   ', formatTimestamp(user.LastUpdatedTimestamp));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceUsersCmd
+  .command('create <app-instance-arn>')
+  .description('Create an app instance user')
+  .requiredOption('--user-id <id>', 'User ID, unique within the app instance')
+  .requiredOption('--name <name>', 'Display name')
+  .option('--metadata <text>', 'User metadata')
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Creating user...', () =>
+        createAppInstanceUser({
+          appInstanceArn,
+          userId: options.userId,
+          name: options.name,
+          metadata: options.metadata,
+          tags: options.tag
+        })
+      );
+
+      if (isStructuredOutput(options)) { printResult(result, options); return; }
+
+      printSuccess(`User '${options.name}' created`);
+      console.log('User ARN: ', chalk.cyan(result.AppInstanceUserArn));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceUsersCmd
+  .command('update <app-instance-user-arn>')
+  .description('Update the name or metadata of an app instance user')
+  .option('--name <name>', 'New display name')
+  .option('--metadata <text>', 'New metadata')
+  .action(async (appInstanceUserArn, options) => {
+    await requireAuth();
+    try {
+      if (options.name === undefined && options.metadata === undefined) {
+        throw new Error('No changes provided. Use --name or --metadata');
+      }
+      await withSpinner('Updating user...', async () => {
+        const current = (await getAppInstanceUser(appInstanceUserArn)).AppInstanceUser || {};
+        return await updateAppInstanceUser(appInstanceUserArn, {
+          name: options.name ?? current.Name,
+          metadata: options.metadata ?? current.Metadata
+        });
+      });
+      printSuccess('User updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceUsersCmd
+  .command('delete <app-instance-user-arn>')
+  .description('Delete an app instance user')
+  .action(async (appInstanceUserArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Deleting user...', () => deleteAppInstanceUser(appInstanceUserArn));
+      printSuccess('User deleted');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const appInstanceAdminsCmd = appInstancesCmd.command('admins').description('Manage app instance admins');
+
+addPaginationOptions(appInstanceAdminsCmd
+  .command('list <app-instance-arn>')
+  .description('List admins of an app instance'))
+  .option('--json', 'Output as JSON')
+  .action(async (appInstanceArn, options) => {
+    await requireAuth();
+    try {
+      const { items: admins, nextToken } = await withSpinner('Fetching admins...', () =>
+        collectPages((opts) => iterateAppInstanceAdmins(appInstanceArn, opts), options)
+      );
+
+      printResult(admins, options, [
+        { key: 'AdminName', label: 'Name', format: (v, row) => row.Admin?.Name || '' },
+        { key: 'AdminArn', label: 'Admin ARN', format: (v, row) => row.Admin?.Arn || '' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceAdminsCmd
+  .command('add <app-instance-arn> <admin-arn>')
+  .description('Promote an app instance user to admin')
+  .action(async (appInstanceArn, adminArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Adding admin...', () => createAppInstanceAdmin(appInstanceArn, adminArn));
+      printSuccess(`Admin '${adminArn}' added`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+appInstanceAdminsCmd
+  .command('remove <app-instance-arn> <admin-arn>')
+  .description('Demote an app instance admin')
+  .action(async (appInstanceArn, adminArn) => {
+    await requireAuth();
+    try {
+      await withSpinner('Removing admin...', () => deleteAppInstanceAdmin(appInstanceArn, adminArn));
+      printSuccess(`Admin '${adminArn}' removed`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// PHONE NUMBERS (Chime SDK Voice)
+// ============================================================
+
+const phoneNumbersCmd = program.command('phone-numbers').description('Search, order and manage Chime SDK Voice phone numbers');
+
+// Numbers are passed in E.164 form; catching a typo here beats a failed order.
+function checkE164(numbers) {
+  const invalid = numbers.filter(number => !/^\+[1-9]\d{6,14}$/.test(number));
+  if (invalid.length > 0) throw new Error(`Not E.164 phone number(s): ${invalid.join(', ')}. Use +<country code><number>, e.g. +12065550100`);
+  return numbers;
+}
+
+function phoneNumberAssociations(phoneNumber) {
+  return (phoneNumber.PhoneNumberAssociations || []).map(a => `${a.Name}=${a.Value}`).join(', ');
+}
+
+// Associate and disassociate succeed for the numbers they can and report
+// the rest, so any per-number errors fail the command.
+function reportPhoneNumberErrors(result, verb, count) {
+  const errors = result?.PhoneNumberErrors || [];
+  if (errors.length === 0) {
+    printSuccess(`${count} phone number(s) ${verb}`);
+    return;
+  }
+  printError(`${errors.length} of ${count} phone number(s) not ${verb}`);
+  printTable(errors, [
+    { key: 'PhoneNumberId', label: 'Phone Number' },
+    { key: 'ErrorCode', label: 'Error' },
+    { key: 'ErrorMessage', label: 'Message' }
+  ]);
+  process.exit(1);
+}
+
+addPaginationOptions(phoneNumbersCmd
+  .command('search')
+  .description('Search phone numbers available to order'))
+  .option('--area-code <code>', 'Area code')
+  .option('--city <city>', 'City (with --state)')
+  .option('--state <state>', 'State or province')
+  .option('--country <code>', 'ISO country code, e.g. US')
+  .option('--toll-free-prefix <prefix>', 'Toll-free prefix, e.g. 844')
+  .addOption(new Option('--type <type>', 'Number type').choices(['Local', 'TollFree']))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      if (!options.areaCode && !options.city && !options.state && !options.country && !options.tollFreePrefix) {
+        throw new Error('Give at least one of --area-code, --city, --state, --country or --toll-free-prefix');
+      }
+      const { items: numbers, nextToken } = await withSpinner('Searching phone numbers...', () =>
+        collectPages((opts) => iterateAvailablePhoneNumbers({
+          ...opts,
+          areaCode: options.areaCode,
+          city: options.city,
+          state: options.state,
+          country: options.country,
+          tollFreePrefix: options.tollFreePrefix,
+          phoneNumberType: options.type
+        }), options)
+      );
+
+      if (isStructuredOutput(options)) { printResult(numbers, options); printNextToken(nextToken); return; }
+
+      if (numbers.length === 0) {
+        console.log(chalk.yellow('No results found.'));
+      } else {
+        numbers.forEach(number => console.log(number));
+        console.log(chalk.dim(`\n${numbers.length} result(s). Order with: awschime phone-numbers order --product-type <type> <numbers...>`));
+      }
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('order <numbers...>')
+  .description('Order phone numbers found with search')
+  .addOption(new Option('--product-type <type>', 'What the numbers are for: a voice connector or SIP media application dial-in')
+    .choices(PHONE_NUMBER_PRODUCT_TYPES).makeOptionMandatory())
+  .option('--name <name>', 'Name for the order')
+  .option('--json', 'Output as JSON')
+  .action(async (numbers, options) => {
+    await requireAuth();
+    try {
+      checkE164(numbers);
+      const result = await withSpinner(`Ordering ${numbers.length} phone number(s)...`, () =>
+        createPhoneNumberOrder({ productType: options.productType, e164PhoneNumbers: numbers, name: options.name })
+      );
+      const order = result.PhoneNumberOrder || result;
+
+      if (isStructuredOutput(options)) { printResult(order, options); return; }
+
+      printSuccess(`Order placed for ${numbers.length} phone number(s)`);
+      console.log('Order ID:  ', chalk.cyan(order.PhoneNumberOrderId));
+      console.log('Status:    ', order.Status || 'N/A');
+      console.log(chalk.dim(`Orders complete asynchronously. Check with: awschime phone-numbers orders get ${order.PhoneNumberOrderId}`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const phoneNumberOrdersCmd = phoneNumbersCmd.command('orders').description('Track phone number orders');
+
+addPaginationOptions(phoneNumberOrdersCmd
+  .command('list')
+  .description('List phone number orders'))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: orders, nextToken } = await withSpinner('Fetching orders...', () =>
+        collectPages(iteratePhoneNumberOrders, options)
+      );
+
+      printResult(orders, options, [
+        { key: 'PhoneNumberOrderId', label: 'Order ID' },
+        { key: 'ProductType', label: 'Product Type' },
+        { key: 'Status', label: 'Status' },
+        { key: 'OrderedPhoneNumbers', label: 'Numbers', format: (v) => (v || []).length },
+        { key: 'CreatedTimestamp', label: 'Created', format: formatTimestamp }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumberOrdersCmd
+  .command('get <order-id>')
+  .description('Show the status of each number in an order')
+  .option('--json', 'Output as JSON')
+  .action(async (orderId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching order...', () => getPhoneNumberOrder(orderId));
+      const order = result.PhoneNumberOrder || result;
+
+      if (isStructuredOutput(options)) { printResult(order, options); return; }
+
+      console.log(chalk.bold('\nPhone Number Order\n'));
+      console.log('Order ID:      ', chalk.cyan(order.PhoneNumberOrderId));
+      console.log('Product Type:  ', order.ProductType || 'N/A');
+      console.log('Status:        ', order.Status || 'N/A');
+      console.log('Created:       ', formatTimestamp(order.CreatedTimestamp));
+      console.log('');
+      printTable(order.OrderedPhoneNumbers || [], [
+        { key: 'E164PhoneNumber', label: 'Phone Number' },
+        { key: 'Status', label: 'Status' }
+      ]);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+addPaginationOptions(phoneNumbersCmd
+  .command('list')
+  .description('List the phone numbers in the account'))
+  .option('--status <status>', 'Only numbers in this status, e.g. Assigned or Unassigned')
+  .addOption(new Option('--product-type <type>', 'Only numbers of this product type').choices(PHONE_NUMBER_PRODUCT_TYPES))
+  .option('--voice-connector-id <id>', 'Only numbers associated with this voice connector')
+  .option('--sip-rule-id <id>', 'Only numbers used by this SIP rule')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      if (options.voiceConnectorId && options.sipRuleId) {
+        throw new Error('Use either --voice-connector-id or --sip-rule-id, not both');
+      }
+      const filter = options.voiceConnectorId
+        ? { filterName: 'VoiceConnectorId', filterValue: options.voiceConnectorId }
+        : options.sipRuleId ? { filterName: 'SipRuleId', filterValue: options.sipRuleId } : {};
+      const { items: numbers, nextToken } = await withSpinner('Fetching phone numbers...', () =>
+        collectPages((opts) => iteratePhoneNumbers({
+          ...opts, ...filter, status: options.status, productType: options.productType
+        }), options)
+      );
+
+      printResult(numbers, options, [
+        { key: 'E164PhoneNumber', label: 'Phone Number' },
+        { key: 'PhoneNumberId', label: 'Phone Number ID' },
+        { key: 'ProductType', label: 'Product Type' },
+        { key: 'Status', label: 'Status' },
+        { key: 'PhoneNumberAssociations', label: 'Associations', format: (v, row) => phoneNumberAssociations(row) }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('get <phone-number-id>')
+  .description('Get details of a phone number')
+  .option('--json', 'Output as JSON')
+  .action(async (phoneNumberId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching phone number...', () => getPhoneNumber(phoneNumberId));
+      const phoneNumber = result.PhoneNumber || result;
+
+      if (isStructuredOutput(options)) { printResult(phoneNumber, options); return; }
+
+      console.log(chalk.bold('\nPhone Number Details\n'));
+      console.log('Number:        ', chalk.cyan(phoneNumber.E164PhoneNumber));
+      console.log('ID:            ', phoneNumber.PhoneNumberId);
+      console.log('Name:          ', phoneNumber.Name || 'N/A');
+      console.log('Type:          ', phoneNumber.Type || 'N/A');
+      console.log('Product Type:  ', phoneNumber.ProductType || 'N/A');
+      console.log('Status:        ', phoneNumber.Status || 'N/A');
+      console.log('Calling Name:  ', phoneNumber.CallingName || 'N/A');
+      console.log('Associations:  ', phoneNumberAssociations(phoneNumber) || 'none');
+      console.log('Ordered:       ', formatTimestamp(phoneNumber.CreatedTimestamp));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('update <phone-number-id>')
+  .description('Change the product type, outbound calling name or name of a phone number')
+  .addOption(new Option('--product-type <type>', 'New product type').choices(PHONE_NUMBER_PRODUCT_TYPES))
+  .option('--calling-name <name>', 'Outbound caller ID name')
+  .option('--name <name>', 'New name')
+  .action(async (phoneNumberId, options) => {
+    await requireAuth();
+    try {
+      if (options.productType === undefined && options.callingName === undefined && options.name === undefined) {
+        throw new Error('No changes provided. Use --product-type, --calling-name or --name');
+      }
+      await withSpinner('Updating phone number...', () => updatePhoneNumber(phoneNumberId, options));
+      printSuccess('Phone number updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('delete <phone-number-id>')
+  .description('Release a phone number (it can be restored for 7 days)')
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (phoneNumberId, options) => {
+    await requireAuth();
+    try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Release phone number ${phoneNumberId}?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
+      await withSpinner('Deleting phone number...', () => deletePhoneNumber(phoneNumberId));
+      printSuccess(`Phone number '${phoneNumberId}' queued for release`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('associate <voice-connector-id> <numbers...>')
+  .description('Route phone numbers through a voice connector')
+  .option('--force', 'Move numbers that are already associated with another voice connector')
+  .action(async (voiceConnectorId, numbers, options) => {
+    await requireAuth();
+    try {
+      checkE164(numbers);
+      const result = await withSpinner('Associating phone numbers...', () =>
+        associatePhoneNumbersWithVoiceConnector(voiceConnectorId, numbers, { force: !!options.force })
+      );
+      reportPhoneNumberErrors(result, 'associated', numbers.length);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+phoneNumbersCmd
+  .command('disassociate <voice-connector-id> <numbers...>')
+  .description('Remove phone numbers from a voice connector')
+  .action(async (voiceConnectorId, numbers) => {
+    await requireAuth();
+    try {
+      checkE164(numbers);
+      const result = await withSpinner('Disassociating phone numbers...', () =>
+        disassociatePhoneNumbersFromVoiceConnector(voiceConnectorId, numbers)
+      );
+      reportPhoneNumberErrors(result, 'disassociated', numbers.length);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// VOICE CONNECTORS (Chime SDK Voice)
+// ============================================================
+
+const voiceConnectorsCmd = program.command('voice-connectors').description('Manage SIP trunking voice connectors');
+
+addPaginationOptions(voiceConnectorsCmd
+  .command('list')
+  .description('List voice connectors'))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: connectors, nextToken } = await withSpinner('Fetching voice connectors...', () =>
+        collectPages(iterateVoiceConnectors, options)
+      );
+
+      printResult(connectors, options, [
+        { key: 'Name', label: 'Name' },
+        { key: 'VoiceConnectorId', label: 'Voice Connector ID' },
+        { key: 'AwsRegion', label: 'Region' },
+        { key: 'OutboundHostName', label: 'Outbound Host' },
+        { key: 'RequireEncryption', label: 'Encryption', format: (v) => v ? 'required' : 'off' }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+voiceConnectorsCmd
+  .command('get <voice-connector-id>')
+  .description('Get details of a voice connector')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching voice connector...', () => getVoiceConnector(voiceConnectorId));
+      const connector = result.VoiceConnector || result;
+
+      if (isStructuredOutput(options)) { printResult(connector, options); return; }
+
+      console.log(chalk.bold('\nVoice Connector Details\n'));
+      console.log('Name:           ', chalk.bold(connector.Name));
+      console.log('ID:             ', chalk.cyan(connector.VoiceConnectorId));
+      console.log('ARN:            ', connector.VoiceConnectorArn || 'N/A');
+      console.log('Region:         ', connector.AwsRegion || 'N/A');
+      console.log('Outbound Host:  ', connector.OutboundHostName || 'N/A');
+      console.log('Encryption:     ', connector.RequireEncryption ? 'required' : 'off');
+      console.log('Created:        ', formatTimestamp(connector.CreatedTimestamp));
+      console.log('Updated:        ', formatTimestamp(connector.UpdatedTimestamp));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+voiceConnectorsCmd
+  .command('create')
+  .description('Create a voice connector')
+  .requiredOption('--name <name>', 'Voice connector name')
+  .option('--aws-region <region>', 'Region the voice connector runs in (defaults to the control region)')
+  .option('--no-encryption', 'Allow unencrypted SIP (TLS) and media (SRTP)')
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Creating voice connector...', () =>
+        createVoiceConnector({
+          name: options.name,
+          awsRegion: options.awsRegion,
+          requireEncryption: options.encryption,
+          tags: options.tag
+        })
+      );
+      const connector = result.VoiceConnector || result;
+
+      if (isStructuredOutput(options)) { printResult(connector, options); return; }
+
+      printSuccess(`Voice connector '${options.name}' created`);
+      console.log('Voice Connector ID: ', chalk.cyan(connector.VoiceConnectorId));
+      console.log('Outbound Host:      ', connector.OutboundHostName || 'N/A');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+voiceConnectorsCmd
+  .command('update <voice-connector-id>')
+  .description('Rename a voice connector or change whether it requires encryption')
+  .option('--name <name>', 'New name')
+  .addOption(new Option('--encryption <on|off>', 'Require encrypted SIP and media').choices(['on', 'off']))
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      if (options.name === undefined && options.encryption === undefined) {
+        throw new Error('No changes provided. Use --name or --encryption');
+      }
+      await withSpinner('Updating voice connector...', async () => {
+        // The API replaces both fields, so keep whichever one was not given.
+        const current = (await getVoiceConnector(voiceConnectorId)).VoiceConnector || {};
+        return await updateVoiceConnector(voiceConnectorId, {
+          name: options.name ?? current.Name,
+          requireEncryption: options.encryption === undefined ? current.RequireEncryption : options.encryption === 'on'
+        });
+      });
+      printSuccess('Voice connector updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+voiceConnectorsCmd
+  .command('delete <voice-connector-id>')
+  .description('Delete a voice connector (disassociate its phone numbers first)')
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Delete voice connector ${voiceConnectorId}?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
+      await withSpinner('Deleting voice connector...', () => deleteVoiceConnector(voiceConnectorId));
+      printSuccess(`Voice connector '${voiceConnectorId}' deleted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+const terminationCmd = voiceConnectorsCmd.command('termination').description('Manage outbound calling (termination) settings');
+
+terminationCmd
+  .command('get <voice-connector-id>')
+  .description('Show termination settings')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching termination settings...', () => getVoiceConnectorTermination(voiceConnectorId));
+      const termination = result.Termination || {};
+
+      if (isStructuredOutput(options)) { printResult(termination, options); return; }
+
+      console.log(chalk.bold('\nTermination Settings\n'));
+      console.log('Status:           ', termination.Disabled ? chalk.yellow('disabled') : chalk.green('enabled'));
+      console.log('Allowed CIDRs:    ', (termination.CidrAllowedList || []).join(', ') || 'none');
+      console.log('Calling Regions:  ', (termination.CallingRegions || []).join(', ') || 'none');
+      console.log('CPS Limit:        ', termination.CpsLimit ?? 'N/A');
+      console.log('Default Number:   ', termination.DefaultPhoneNumber || 'N/A');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+terminationCmd
+  .command('put <voice-connector-id>')
+  .description('Replace the termination settings')
+  .requiredOption('--cidr <cidr>', 'IP range allowed to place calls, e.g. 198.51.100.0/27 (repeatable)', collectValues)
+  .requiredOption('--calling-region <code>', 'ISO country code calls may be placed to, e.g. US (repeatable)', collectValues)
+  .option('--cps-limit <n>', 'Calls per second allowed', '1')
+  .option('--default-phone-number <number>', 'E.164 caller ID used when a call has none')
+  .option('--disabled', 'Save the settings with termination turned off')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const termination = {
+        CidrAllowedList: options.cidr,
+        CallingRegions: options.callingRegion,
+        CpsLimit: parseInt(options.cpsLimit),
+        Disabled: !!options.disabled
+      };
+      if (options.defaultPhoneNumber) termination.DefaultPhoneNumber = checkE164([options.defaultPhoneNumber])[0];
+      const result = await withSpinner('Updating termination settings...', () =>
+        putVoiceConnectorTermination(voiceConnectorId, termination)
+      );
+
+      if (isStructuredOutput(options)) { printResult(result.Termination || termination, options); return; }
+
+      printSuccess('Termination settings saved');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+terminationCmd
+  .command('delete <voice-connector-id>')
+  .description('Remove the termination settings')
+  .action(async (voiceConnectorId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Deleting termination settings...', () => deleteVoiceConnectorTermination(voiceConnectorId));
+      printSuccess('Termination settings deleted');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// Commander option parser for repeatable --route host:port:protocol:priority:weight flags.
+function collectRoutes(value, previous = []) {
+  const [host, port, protocol, priority, weight] = value.split(':');
+  if (!host || !['TCP', 'UDP'].includes(protocol?.toUpperCase()) || !/^\d+$/.test(priority ?? '') || !/^\d+$/.test(weight ?? '')) {
+    throw new InvalidArgumentError('Use host:port:protocol:priority:weight, e.g. sip.example.com:5060:UDP:1:10.');
+  }
+  const route = { Host: host, Protocol: protocol.toUpperCase(), Priority: parseInt(priority), Weight: parseInt(weight) };
+  if (port) route.Port = parseInt(port);
+  return [...previous, route];
+}
+
+const originationCmd = voiceConnectorsCmd.command('origination').description('Manage inbound calling (origination) routes');
+
+originationCmd
+  .command('get <voice-connector-id>')
+  .description('Show origination routes')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching origination settings...', () => getVoiceConnectorOrigination(voiceConnectorId));
+      const origination = result.Origination || {};
+
+      if (isStructuredOutput(options)) { printResult(origination, options); return; }
+
+      console.log(chalk.bold('\nOrigination Settings\n'));
+      console.log('Status: ', origination.Disabled ? chalk.yellow('disabled') : chalk.green('enabled'));
+      console.log('');
+      printTable(origination.Routes || [], [
+        { key: 'Host', label: 'Host' },
+        { key: 'Port', label: 'Port' },
+        { key: 'Protocol', label: 'Protocol' },
+        { key: 'Priority', label: 'Priority' },
+        { key: 'Weight', label: 'Weight' }
+      ]);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+originationCmd
+  .command('put <voice-connector-id>')
+  .description('Replace the origination routes')
+  .requiredOption('--route <route>', 'SIP host as host:port:protocol:priority:weight; lower priority is tried first (repeatable)', collectRoutes)
+  .option('--disabled', 'Save the routes with origination turned off')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const origination = { Routes: options.route, Disabled: !!options.disabled };
+      const result = await withSpinner('Updating origination settings...', () =>
+        putVoiceConnectorOrigination(voiceConnectorId, origination)
+      );
+
+      if (isStructuredOutput(options)) { printResult(result.Origination || origination, options); return; }
+
+      printSuccess(`Origination saved with ${options.route.length} route(s)`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+originationCmd
+  .command('delete <voice-connector-id>')
+  .description('Remove the origination settings')
+  .action(async (voiceConnectorId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Deleting origination settings...', () => deleteVoiceConnectorOrigination(voiceConnectorId));
+      printSuccess('Origination settings deleted');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// Reads a secret from piped stdin, or prompts for it on the terminal
+// without echoing, so passwords stay out of argv and shell history.
+async function readSecret(question) {
+  if (!process.stdin.isTTY) return (await readStdin()).replace(/\r?\n$/, '');
+  process.stderr.write(question);
+  const silent = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const rl = readline.createInterface({ input: process.stdin, output: silent, terminal: true });
+  try {
+    return await rl.question('');
+  } finally {
+    rl.close();
+    process.stderr.write('\n');
+  }
+}
+
+const credentialsCmd = voiceConnectorsCmd.command('credentials').description('Manage SIP digest credentials for termination');
+
+credentialsCmd
+  .command('list <voice-connector-id>')
+  .description('List termination credential usernames')
+  .option('--json', 'Output as JSON')
+  .action(async (voiceConnectorId, options) => {
+    await requireAuth();
+    try {
+      const usernames = await withSpinner('Fetching credentials...', () =>
+        listVoiceConnectorTerminationCredentials(voiceConnectorId)
+      );
+
+      if (isStructuredOutput(options)) { printResult(usernames, options); return; }
+
+      if (usernames.length === 0) console.log(chalk.yellow('No results found.'));
+      else usernames.forEach(username => console.log(username));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+credentialsCmd
+  .command('add <voice-connector-id> <username>')
+  .description('Add or replace a credential; the password is prompted for, or read from stdin')
+  .action(async (voiceConnectorId, username) => {
+    await requireAuth();
+    try {
+      const password = await readSecret(`Password for ${username}: `);
+      if (!password) throw new Error('No password given');
+      await withSpinner('Saving credential...', () =>
+        putVoiceConnectorTerminationCredentials(voiceConnectorId, [{ Username: username, Password: password }])
+      );
+      printSuccess(`Credential '${username}' saved`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+credentialsCmd
+  .command('remove <voice-connector-id> <usernames...>')
+  .description('Remove termination credentials')
+  .action(async (voiceConnectorId, usernames) => {
+    await requireAuth();
+    try {
+      await withSpinner('Removing credentials...', () => deleteVoiceConnectorTerminationCredentials(voiceConnectorId, usernames));
+      printSuccess(`${usernames.length} credential(s) removed`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SIP MEDIA APPLICATIONS (Chime SDK Voice)
+// ============================================================
+
+const sipMediaApplicationsCmd = program.command('sip-media-applications')
+  .description('Manage SIP media applications that hand calls to Lambda');
+
+function sipMediaApplicationLambda(application) {
+  return (application.Endpoints || []).map(endpoint => endpoint.LambdaArn).join(', ');
+}
+
+addPaginationOptions(sipMediaApplicationsCmd
+  .command('list')
+  .description('List SIP media applications'))
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: applications, nextToken } = await withSpinner('Fetching SIP media applications...', () =>
+        collectPages(iterateSipMediaApplications, options)
+      );
+
+      printResult(applications, options, [
+        { key: 'Name', label: 'Name' },
+        { key: 'SipMediaApplicationId', label: 'SIP Media Application ID' },
+        { key: 'AwsRegion', label: 'Region' },
+        { key: 'Endpoints', label: 'Lambda', format: (v, row) => sipMediaApplicationLambda(row).split(':').pop() }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipMediaApplicationsCmd
+  .command('get <sip-media-application-id>')
+  .description('Get details and dial-in numbers of a SIP media application')
+  .option('--json', 'Output as JSON')
+  .action(async (sipMediaApplicationId, options) => {
+    await requireAuth();
+    try {
+      const [result, dialInNumbers] = await withSpinner('Fetching SIP media application...', () => Promise.all([
+        getSipMediaApplication(sipMediaApplicationId),
+        listSipMediaApplicationDialInNumbers(sipMediaApplicationId)
+      ]));
+      const application = result.SipMediaApplication || result;
+
+      if (isStructuredOutput(options)) { printResult({ ...application, DialInNumbers: dialInNumbers }, options); return; }
+
+      console.log(chalk.bold('\nSIP Media Application Details\n'));
+      console.log('Name:      ', chalk.bold(application.Name));
+      console.log('ID:        ', chalk.cyan(application.SipMediaApplicationId));
+      console.log('Region:    ', application.AwsRegion || 'N/A');
+      console.log('Lambda:    ', sipMediaApplicationLambda(application) || 'N/A');
+      console.log('Dial-in:   ', dialInNumbers.join(', ') || chalk.dim('none'));
+      console.log('Created:   ', formatTimestamp(application.CreatedTimestamp));
+      console.log('Updated:   ', formatTimestamp(application.UpdatedTimestamp));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipMediaApplicationsCmd
+  .command('create')
+  .description('Create a SIP media application')
+  .requiredOption('--name <name>', 'Application name')
+  .requiredOption('--lambda-arn <arn>', 'Lambda function that handles the calls')
+  .option('--aws-region <region>', 'Region of the application and its Lambda (defaults to the control region)')
+  .option('--tag <key=value>', 'Tag to apply (repeatable)', collectTags)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Creating SIP media application...', () =>
+        createSipMediaApplication({
+          name: options.name,
+          lambdaArn: options.lambdaArn,
+          awsRegion: options.awsRegion,
+          tags: options.tag
+        })
+      );
+      const application = result.SipMediaApplication || result;
+
+      if (isStructuredOutput(options)) { printResult(application, options); return; }
+
+      printSuccess(`SIP media application '${options.name}' created`);
+      console.log('SIP Media Application ID: ', chalk.cyan(application.SipMediaApplicationId));
+      console.log(chalk.dim(`Route a number to it with: awschime sip-rules create --trigger-type ToPhoneNumber --target ${application.SipMediaApplicationId} ...`));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipMediaApplicationsCmd
+  .command('update <sip-media-application-id>')
+  .description('Rename a SIP media application or point it at another Lambda')
+  .option('--name <name>', 'New name')
+  .option('--lambda-arn <arn>', 'New Lambda function')
+  .action(async (sipMediaApplicationId, options) => {
+    await requireAuth();
+    try {
+      if (options.name === undefined && options.lambdaArn === undefined) {
+        throw new Error('No changes provided. Use --name or --lambda-arn');
+      }
+      await withSpinner('Updating SIP media application...', () =>
+        updateSipMediaApplication(sipMediaApplicationId, { name: options.name, lambdaArn: options.lambdaArn })
+      );
+      printSuccess('SIP media application updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipMediaApplicationsCmd
+  .command('delete <sip-media-application-id>')
+  .description('Delete a SIP media application (delete the SIP rules targeting it first)')
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (sipMediaApplicationId, options) => {
+    await requireAuth();
+    try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Delete SIP media application ${sipMediaApplicationId}?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
+      await withSpinner('Deleting SIP media application...', () => deleteSipMediaApplication(sipMediaApplicationId));
+      printSuccess(`SIP media application '${sipMediaApplicationId}' deleted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SIP RULES (Chime SDK Voice)
+// ============================================================
+
+const sipRulesCmd = program.command('sip-rules').description('Route phone numbers and SIP hosts to SIP media applications');
+
+// Commander option parser for repeatable --target id[:priority[:region]]
+// flags. Targets without a priority are tried in the order given.
+function collectTargets(value, previous = []) {
+  const [id, priority, region] = value.split(':');
+  if (!id || (priority !== undefined && !/^\d+$/.test(priority))) {
+    throw new InvalidArgumentError('Use sip-media-application-id[:priority[:region]].');
+  }
+  const target = { SipMediaApplicationId: id, Priority: priority ? parseInt(priority) : previous.length + 1 };
+  if (region) target.AwsRegion = region;
+  return [...previous, target];
+}
+
+function sipRuleTargets(rule) {
+  return (rule.TargetApplications || []).map(t => `${t.SipMediaApplicationId}:${t.Priority}`).join(', ');
+}
+
+async function setSipRuleDisabled(sipRuleId, disabled) {
+  const current = (await getSipRule(sipRuleId)).SipRule || {};
+  return await updateSipRule(sipRuleId, { name: current.Name, disabled });
+}
+
+addPaginationOptions(sipRulesCmd
+  .command('list')
+  .description('List SIP rules'))
+  .option('--sip-media-application-id <id>', 'Only rules targeting this SIP media application')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const { items: rules, nextToken } = await withSpinner('Fetching SIP rules...', () =>
+        collectPages((opts) => iterateSipRules({ ...opts, sipMediaApplicationId: options.sipMediaApplicationId }), options)
+      );
+
+      printResult(rules, options, [
+        { key: 'Name', label: 'Name' },
+        { key: 'SipRuleId', label: 'SIP Rule ID' },
+        { key: 'TriggerType', label: 'Trigger' },
+        { key: 'TriggerValue', label: 'Value' },
+        { key: 'Disabled', label: 'Status', format: (v) => v ? 'disabled' : 'enabled' },
+        { key: 'TargetApplications', label: 'Targets', format: (v, row) => sipRuleTargets(row) }
+      ]);
+      printNextToken(nextToken);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('get <sip-rule-id>')
+  .description('Get details of a SIP rule')
+  .option('--json', 'Output as JSON')
+  .action(async (sipRuleId, options) => {
+    await requireAuth();
+    try {
+      const result = await withSpinner('Fetching SIP rule...', () => getSipRule(sipRuleId));
+      const rule = result.SipRule || result;
+
+      if (isStructuredOutput(options)) { printResult(rule, options); return; }
+
+      console.log(chalk.bold('\nSIP Rule Details\n'));
+      console.log('Name:      ', chalk.bold(rule.Name));
+      console.log('ID:        ', chalk.cyan(rule.SipRuleId));
+      console.log('Trigger:   ', `${rule.TriggerType} ${rule.TriggerValue}`);
+      console.log('Status:    ', rule.Disabled ? chalk.yellow('disabled') : chalk.green('enabled'));
+      console.log('Created:   ', formatTimestamp(rule.CreatedTimestamp));
+      console.log('Updated:   ', formatTimestamp(rule.UpdatedTimestamp));
+      console.log('');
+      printTable(rule.TargetApplications || [], [
+        { key: 'Priority', label: 'Priority' },
+        { key: 'SipMediaApplicationId', label: 'SIP Media Application ID' },
+        { key: 'AwsRegion', label: 'Region' }
+      ]);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('create')
+  .description('Create a SIP rule')
+  .requiredOption('--name <name>', 'Rule name')
+  .addOption(new Option('--trigger-type <type>', 'Match calls to a phone number or a SIP request URI host')
+    .choices(['ToPhoneNumber', 'RequestUriHostname']).makeOptionMandatory())
+  .requiredOption('--trigger-value <value>', 'E.164 number (SipMediaApplicationDialIn) or voice connector outbound host')
+  .requiredOption('--target <id[:priority[:region]]>', 'SIP media application to run (repeatable)', collectTargets)
+  .option('--disabled', 'Create the rule turned off')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      if (options.triggerType === 'ToPhoneNumber') checkE164([options.triggerValue]);
+      const result = await withSpinner('Creating SIP rule...', () =>
+        createSipRule({
+          name: options.name,
+          triggerType: options.triggerType,
+          triggerValue: options.triggerValue,
+          targetApplications: options.target,
+          disabled: !!options.disabled
+        })
+      );
+      const rule = result.SipRule || result;
+
+      if (isStructuredOutput(options)) { printResult(rule, options); return; }
+
+      printSuccess(`SIP rule '${options.name}' created`);
+      console.log('SIP Rule ID: ', chalk.cyan(rule.SipRuleId));
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('update <sip-rule-id>')
+  .description('Rename a SIP rule or replace its targets')
+  .option('--name <name>', 'New name')
+  .option('--target <id[:priority[:region]]>', 'SIP media application to run; replaces all targets (repeatable)', collectTargets)
+  .action(async (sipRuleId, options) => {
+    await requireAuth();
+    try {
+      if (options.name === undefined && options.target === undefined) {
+        throw new Error('No changes provided. Use --name or --target');
+      }
+      await withSpinner('Updating SIP rule...', async () => {
+        // The API needs the name on every update.
+        const current = (await getSipRule(sipRuleId)).SipRule || {};
+        return await updateSipRule(sipRuleId, { name: options.name ?? current.Name, targetApplications: options.target });
+      });
+      printSuccess('SIP rule updated');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('enable <sip-rule-id>')
+  .description('Start routing calls with a SIP rule')
+  .action(async (sipRuleId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Enabling SIP rule...', () => setSipRuleDisabled(sipRuleId, false));
+      printSuccess('SIP rule enabled');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('disable <sip-rule-id>')
+  .description('Stop routing calls with a SIP rule')
+  .action(async (sipRuleId) => {
+    await requireAuth();
+    try {
+      await withSpinner('Disabling SIP rule...', () => setSipRuleDisabled(sipRuleId, true));
+      printSuccess('SIP rule disabled');
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+sipRulesCmd
+  .command('delete <sip-rule-id>')
+  .description('Delete a SIP rule (disable it first)')
+  .option('--yes', 'Delete without asking for confirmation')
+  .action(async (sipRuleId, options) => {
+    await requireAuth();
+    try {
+      if (!options.yes && !program.opts().dryRun && !(await confirm(`Delete SIP rule ${sipRuleId}?`))) {
+        console.error(chalk.yellow('Nothing deleted.'));
+        return;
+      }
+      await withSpinner('Deleting SIP rule...', () => deleteSipRule(sipRuleId));
+      printSuccess(`SIP rule '${sipRuleId}' deleted`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// APPLY (declarative manifests)
+// ============================================================
+
+const PLAN_SYMBOLS = { create: chalk.green('+'), update: chalk.yellow('~'), delete: chalk.red('-') };
+
+function planSummary(steps) {
+  const count = (action) => steps.filter(s => s.action === action).length;
+  return `${count('create')} to create, ${count('update')} to update, ${count('delete')} to delete`;
+}
+
+function printPlan(plan) {
+  let scope;
+  for (const step of plan.steps) {
+    if (step.scope !== scope) {
+      scope = step.scope;
+      console.log(chalk.bold(scope));
+    }
+    console.log(`  ${PLAN_SYMBOLS[step.action]} ${step.description}`);
+  }
+  plan.warnings.forEach(warning => console.log(chalk.yellow(`! ${warning}`)));
+  if (plan.steps.length === 0) console.log(chalk.green('No changes. Live state matches the manifest.'));
+  else console.log(chalk.bold(`\nPlan: ${planSummary(plan.steps)}.`));
+}
+
+program
+  .command('apply')
+  .description('Create, update and delete app instances, channels and memberships to match a manifest')
+  .requiredOption('-f, --file <path>', 'YAML or JSON manifest')
+  .option('--prune', 'Delete channels in the declared app instances that the manifest does not list')
+  .option('--yes', 'Apply the plan without asking for confirmation')
+  .action(async (options) => {
+    await requireAuth();
+    try {
+      const manifest = loadManifest(options.file);
+      const plan = await withSpinner('Comparing with live state...', () => buildPlan(manifest, { prune: options.prune }));
+
+      const structured = isStructuredOutput(options);
+      if (structured) {
+        printResult({
+          Changes: plan.steps.map(({ action, kind, scope, description }) => ({ Action: action, Kind: kind, AppInstance: scope, Description: description })),
+          Warnings: plan.warnings
+        }, options);
+      } else {
+        printPlan(plan);
+      }
+      if (plan.steps.length === 0 || program.opts().dryRun) return;
+
+      if (!options.yes && !(await confirm(`Apply ${plan.steps.length} change(s)?`))) {
+        console.error(chalk.yellow('Nothing applied.'));
+        return;
+      }
+
+      const log = structured ? (line) => console.error(line) : (line) => console.log(line);
+      try {
+        await applyPlan(plan, { onStep: (step) => log(`${PLAN_SYMBOLS[step.action]} ${step.description}`) });
+      } catch (error) {
+        console.error(chalk.yellow(`Applied ${error.completed} of ${plan.steps.length} change(s) before the failure; rerun apply to continue.`));
+        throw error;
+      }
+      if (structured) console.error(chalk.green('✓') + ` Applied ${plan.steps.length} change(s)`);
+      else printSuccess(`Applied ${plan.steps.length} change(s)`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// HISTORY (audit journal and undo)
+// ============================================================
+
+// --since takes an ISO timestamp or an age such as 90m or 7d.
+function parseSince(value) {
+  const age = parseDuration(value);
+  const time = age !== null ? Date.now() - age : Date.parse(value);
+  if (Number.isNaN(time)) throw new InvalidArgumentError('Use an ISO timestamp or an age such as 12h or 7d.');
+  return time;
+}
+
+// The first ID or ARN the call returned, else the last one in its path.
+function entryResource(entry) {
+  const id = Object.values(entry.ids || {})[0] || Object.values(entry.params || {}).pop() || '';
+  return id.split('/').pop();
+}
+
+function getEntry(entries, id) {
+  const entry = findEntry(entries, id);
+  if (!entry) throw new Error(`No journal entry '${id}'. Run 'awschime history' to list them`);
+  return entry;
+}
+
+const historyCmd = program
+  .command('history')
+  .description('List changes made through this CLI, from the local audit journal')
+  .option('--since <time>', 'Only changes after this ISO time or within this age (e.g. 7d)', parseSince)
+  .addOption(new Option('--type <type>', 'Only changes to this resource type').choices(JOURNAL_TYPES))
+  .option('--limit <n>', 'Show only the most recent n changes')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      let entries = readJournal();
+      const undoneBy = new Map(entries.filter(e => e.undoOf).map(e => [e.undoOf, e.id]));
+      if (options.since) entries = entries.filter(e => Date.parse(e.time) >= options.since);
+      if (options.type) entries = entries.filter(e => e.type === options.type);
+      if (options.limit) entries = entries.slice(-parseInt(options.limit));
+
+      if (isStructuredOutput(options)) {
+        printResult(entries, options);
+        return;
+      }
+      if (entries.length === 0) {
+        console.log(chalk.yellow(`No changes recorded in ${journalFile()}`));
+        return;
+      }
+      printTable(entries, [
+        { key: 'id', label: 'ID' },
+        { key: 'time', label: 'Time', format: (v) => formatTimestamp(v) },
+        { key: 'action', label: 'Operation', format: (v, row) => `${row.type} ${v}` + (undoneBy.has(row.id) ? ' (undone)' : '') },
+        { key: 'resource', label: 'Resource', format: (v, row) => entryResource(row) },
+        { key: 'profile', label: 'Profile/Region', format: (v, row) => `${v}/${row.region}` },
+        { key: 'user', label: 'By', format: (v, row) => `${v}@${row.host}` }
+      ]);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+historyCmd
+  .command('show <id>')
+  .description('Show everything recorded about one change')
+  .option('--json', 'Output as JSON')
+  .action((id, options) => {
+    try {
+      const entries = readJournal();
+      const entry = getEntry(entries, id);
+      const undoneBy = entries.find(e => e.undoOf === entry.id);
+      const inverse = inverseOf(entry);
+      printResult({
+        ...entry,
+        undoneBy: undoneBy?.id,
+        undo: inverse ? inverse.description : 'not available'
+      }, options);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('undo <id>')
+  .description('Reverse a change recorded in the journal, where an inverse exists')
+  .option('--yes', 'Undo without asking for confirmation')
+  .option('--json', 'Output as JSON')
+  .action(async (id, options) => {
+    await requireAuth();
+    try {
+      const entries = readJournal();
+      const entry = getEntry(entries, id);
+      const undoneBy = entries.find(e => e.undoOf === entry.id);
+      if (undoneBy) throw new Error(`Change ${entry.id} was already undone by ${undoneBy.id}`);
+      const inverse = inverseOf(entry);
+      if (!inverse) throw new Error(`There is no undo for '${entry.type} ${entry.action}' (${entry.id})`);
+
+      console.log(inverse.description);
+      if (!program.opts().dryRun && !options.yes && !(await confirm('Undo this change?'))) {
+        console.error(chalk.yellow('Nothing undone.'));
+        return;
+      }
+      const result = await withSpinner('Undoing...', inverse.run);
+      if (isStructuredOutput(options)) printResult(result ?? {}, options);
+      else printSuccess(`Undid ${entry.id}`);
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+// ============================================================
+// SHELL AND COMPLETION
+// ============================================================
+
+program
+  .command('shell')
+  .description('Interactive shell with tab completion and a current meeting/channel (use meeting <id>)')
+  .action(async () => {
+    await requireAuth();
+    try {
+      const { output, truncate, dryRun, debug, asCurl } = program.opts();
+      const globalArgs = [];
+      if (output) globalArgs.push('--output', output);
+      if (truncate === false) globalArgs.push('--no-truncate');
+      if (dryRun) globalArgs.push('--dry-run');
+      if (debug) globalArgs.push('--debug');
+      if (asCurl) globalArgs.push('--as-curl');
+      await startShell(program, { scriptPath: process.argv[1], globalArgs });
+    } catch (error) {
+      exitWithError(error);
+    }
+  });
+
+program
+  .command('completion')
+  .description('Print a shell completion script')
+  .addArgument(new Argument('<shell>', 'Shell to complete for').choices(COMPLETION_SHELLS))
+  .action((shell) => {
+    process.stdout.write(completionScript(shell));
+  });
+
+// Called by the completion scripts with the words typed after `awschime`.
+program
+  .command('__complete', { hidden: true })
+  .argument('[words...]')
+  .action((words) => {
+    for (const { value, label } of complete(program, words.length ? words : [''])) {
+      console.log(label ? `${value}\t${label.replace(/\s+/g, ' ')}` : value);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+function parseRate(value) {
+  const rate = parseFloat(value);
+  if (Number.isNaN(rate) || rate < 0 || rate > 1) throw new InvalidArgumentError('Use a number from 0 to 1.');
+  return rate;
+}
+
+const mockCmd = program.command('mock').description('Run a local mock Chime server for offline testing');
+
+mockCmd
+  .command('serve')
+  .description('Serve in-memory meetings, attendees, channels and messages APIs')
+  .option('--port <port>', 'Port to listen on', '4580')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .option('--access-key-id <id>', 'Access key ID the server accepts', 'test')
+  .option('--secret-access-key <secret>', 'Secret access key the server accepts', 'test')
+  .option('--no-verify-signature', 'Accept requests without checking SigV4 signatures')
+  .option('--throttle-rate <rate>', 'Fraction of requests answered with 429 throttling', parseRate, 0)
+  .option('--error-rate <rate>', 'Fraction of requests answered with 500 errors', parseRate, 0)
+  .option('--latency <ms>', 'Delay added before every response', '0')
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    const mock = createMockServer({
+      credentials: { [options.accessKeyId]: options.secretAccessKey },
+      verifySignatures: options.verifySignature,
+      region: getRegion(),
+      faults: {
+        throttleRate: options.throttleRate,
+        errorRate: options.errorRate,
+        latencyMs: parseInt(options.latency) || 0
+      },
+      onRequest: options.quiet ? undefined : ({ method, path, status, ms }) => {
+        const color = status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.green;
+        console.log(`${chalk.gray(new Date().toISOString())} ${method} ${path} ${color(status)} ${chalk.gray(`${ms}ms`)}`);
+      }
+    });
+
+    try {
+      const { address, port } = await mock.listen(parseInt(options.port), options.host);
+      const url = `http://${address}:${port}`;
+      printSuccess(`Mock Chime server listening on ${chalk.cyan(url)}`);
+      console.log(chalk.gray(`  Credentials: ${options.accessKeyId} / ${options.secretAccessKey}${options.verifySignature ? '' : ' (signatures not verified)'}`));
+      console.log(chalk.gray(`  Try: AWS_ACCESS_KEY_ID=${options.accessKeyId} AWS_SECRET_ACCESS_KEY=${options.secretAccessKey} awschime --endpoint-url ${url} meetings create`));
+      console.log(chalk.gray('  Press Ctrl+C to stop.'));
+    } catch (error) {
+      printError(`Could not start mock server: ${error.message}`);
+      process.exit(1);
+    }
+
+    process.on('SIGINT', async () => {
+      await mock.close();
+      process.exit(0);
+    });
   });
 
 // ============================================================
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { getMeeting, listAttendees, getAttendee, batchCreateAttendees } from './api.js';
+import { DryRunError } from './errors.js';
+
+// ============================================================
+// Join Bundles and Calendar Invites (meetings invite)
+// ============================================================
+// A join bundle is `{ Meeting, Attendee }` exactly as CreateMeeting and
+// CreateAttendee return them, which is what the Chime SDK's
+// MeetingSessionConfiguration takes. The calendar invite is an RFC 5545
+// VCALENDAR whose location and URL are the join link built from a template.
+
+export const JOIN_URL_PLACEHOLDERS = ['meetingId', 'externalMeetingId', 'attendeeId', 'externalUserId', 'joinToken', 'region'];
+
+// Fails early on placeholders the template cannot fill.
+export function checkJoinUrlTemplate(template) {
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(name => !JOIN_URL_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown join URL placeholder(s): ${unknown.map(n => `{${n}}`).join(', ')}. Use ${JOIN_URL_PLACEHOLDERS.map(n => `{${n}}`).join(', ')}`);
+  }
+}
+
+export function buildJoinUrl(template, { Meeting, Attendee }) {
+  const values = {
+    meetingId: Meeting.MeetingId,
+    externalMeetingId: Meeting.ExternalMeetingId,
+    attendeeId: Attendee.AttendeeId,
+    externalUserId: Attendee.ExternalUserId,
+    joinToken: Attendee.JoinToken,
+    region: Meeting.MediaRegion
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(values[name] ?? ''));
+}
+
+/**
+ * Looks up the meeting and makes sure every roster entry has an attendee,
+ * creating the missing ones in batches. Resolves with the meeting and one
+ * `{ entry, attendee, status }` per entry, where status is `created`,
+ * `reused` or `failed` (with `error`). When a batch call fails outright,
+ * the attendees earlier batches created are still returned, the rest are
+ * marked failed, and the call's error is returned as `error`.
+ */
+export async function prepareAttendees(meetingId, roster, { onBatch } = {}) {
+  const meeting = (await getMeeting(meetingId)).Meeting;
+  const existing = new Map((await listAttendees(meetingId)).map(a => [a.ExternalUserId, a]));
+
+  const missing = roster.filter(entry => !existing.has(entry.ExternalUserId));
+  const created = new Map();
+  const errors = new Map();
+  let batchError;
+  if (missing.length > 0) {
+    let result;
+    try {
+      result = await batchCreateAttendees(meetingId, missing, { onBatch });
+    } catch (error) {
+      if (!error.partial || error instanceof DryRunError) throw error;
+      batchError = error;
+      result = error.partial;
+      result.unsent.forEach(entry => errors.set(entry.ExternalUserId, `Not sent: ${error.message}`));
+    }
+    result.attendees.forEach(a => created.set(a.ExternalUserId, a));
+    result.errors.forEach(e => errors.set(e.ExternalUserId, `${e.ErrorCode}: ${e.ErrorMessage}`));
+  }
+
+  const results = [];
+  for (const entry of roster) {
+    const id = entry.ExternalUserId;
+    if (created.has(id)) {
+      results.push({ entry, attendee: created.get(id), status: 'created' });
+    } else if (existing.has(id)) {
+      // List results may leave the join token out; the single lookup has it.
+      let attendee = existing.get(id);
+      if (!attendee.JoinToken) attendee = (await getAttendee(meetingId, attendee.AttendeeId)).Attendee;
+      if (attendee.JoinToken) results.push({ entry, attendee, status: 'reused' });
+      else results.push({ entry, status: 'failed', error: 'No join token returned for the existing attendee; delete it and rerun' });
+    } else {
+      results.push({ entry, status: 'failed', error: errors.get(id) || 'Attendee was not created' });
+    }
+  }
+  return { meeting, results, error: batchError };
+}
+
+// ============================================================
+// iCalendar (RFC 5545)
+// ============================================================
+
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines are folded at 75 octets without splitting a UTF-8 character.
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/**
+ * Renders a single-event calendar for one attendee. With an organizer the
+ * invite is an iTIP REQUEST addressed to the attendee when their external
+ * user ID is an email address; without one it is published as-is.
+ */
+export function renderIcs({ Meeting, Attendee }, { joinUrl, start, durationMinutes, title, organizer, now = new Date() }) {
+  const end = new Date(start.getTime() + durationMinutes * 60e3);
+  const description = [`Join: ${joinUrl}`, '', `Meeting ID: ${Meeting.MeetingId}`, `Attendee: ${Attendee.ExternalUserId}`].join('\n');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//awschime//Amazon Chime CLI//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${organizer ? 'REQUEST' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    `UID:${Meeting.MeetingId}.${Attendee.AttendeeId}@awschime`,
+    `DTSTAMP:${icsTime(now)}`,
+    `DTSTART:${icsTime(start)}`,
+    `DTEND:${icsTime(end)}`,
+    `SUMMARY:${icsText(title)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `LOCATION:${icsText(joinUrl)}`,
+    `URL:${joinUrl}`
+  ];
+  if (organizer) lines.push(`ORGANIZER:mailto:${organizer}`);
+  if (organizer && EMAIL.test(Attendee.ExternalUserId)) {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${Attendee.ExternalUserId}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// Files
+// ============================================================
+
+function fileStem(externalUserId) {
+  return externalUserId.replace(/[^\w.@-]/g, '_');
+}
+
+/**
+ * Maps each external user ID to a file name stem. IDs that come out the
+ * same once unsafe characters are replaced (`a b` and `a_b`), or that differ
+ * only in case, get -2, -3, ... suffixes in the order given, so no
+ * attendee's files overwrite another's.
+ */
+export function fileStems(externalUserIds) {
+  const stems = new Map();
+  const taken = new Set();
+  for (const id of externalUserIds) {
+    if (stems.has(id)) continue;
+    const base = fileStem(id);
+    let stem = base;
+    for (let n = 2; taken.has(stem.toLowerCase()); n++) stem = `${base}-${n}`;
+    taken.add(stem.toLowerCase());
+    stems.set(id, stem);
+  }
+  return stems;
+}
+
+/**
+ * Writes `<stem>.json` (the join bundle) and, when `ics` options are given,
+ * `<stem>.ics` for one attendee. The stem defaults to the external user ID
+ * with unsafe characters replaced; pass one from fileStems() when writing
+ * several. Bundles hold join tokens, so they are readable by the owner only.
+ * Returns the paths written.
+ */
+export function writeInvite(outDir, meeting, attendee, ics, stemName = fileStem(attendee.ExternalUserId)) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const stem = path.join(outDir, stemName);
+  const bundle = { Meeting: meeting, Attendee: attendee };
+
+  const files = { bundle: `${stem}.json` };
+  fs.writeFileSync(files.bundle, JSON.stringify(bundle, null, 2) + '\n', { mode: 0o600 });
+  if (ics) {
+    files.invite = `${stem}.ics`;
+    const joinUrl = buildJoinUrl(ics.joinUrlTemplate, bundle);
+    fs.writeFileSync(files.invite, renderIcs(bundle, { ...ics, joinUrl }), { mode: 0o600 });
+  }
+  return files;
+}
@@ -0,0 +1,210 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getConfigDir, getActiveProfile, getRegion } from './config.js';
+
+// ============================================================
+// Audit Journal
+// ============================================================
+// Every create, update and delete that succeeds is appended to
+// journal.jsonl next to the config file, one JSON object per line. Entries
+// are never rewritten; an undo is recorded as a new entry pointing at the
+// one it reverses. Only the request body and the IDs and ARNs in the
+// response are kept, never the full response, since create calls return
+// join tokens.
+
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', DELETE: 'delete' };
+
+// Maps a request path to the resource it changes. Captures are named in
+// `params`; the action comes from the `operation` query parameter when the
+// API uses one, else from the route's `actions` or the method.
+const ROUTES = [
+  { pattern: /^\/meetings$/, type: 'meeting' },
+  { pattern: /^\/meetings\/([^/]+)$/, type: 'meeting', params: ['meetingId'] },
+  { pattern: /^\/meetings\/([^/]+)\/transcription$/, type: 'transcription', params: ['meetingId'] },
+  { pattern: /^\/meetings\/([^/]+)\/attendees(?:\/capabilities)?$/, type: 'attendee', params: ['meetingId'] },
+  { pattern: /^\/meetings\/([^/]+)\/attendees\/([^/]+)(?:\/capabilities)?$/, type: 'attendee', params: ['meetingId', 'attendeeId'] },
+  { pattern: /^\/channels$/, type: 'channel' },
+  { pattern: /^\/channels\/([^/]+)$/, type: 'channel', params: ['channelArn'] },
+  { pattern: /^\/channels\/([^/]+)\/memberships(?:\/([^/]+))?$/, type: 'membership', params: ['channelArn', 'memberArn'] },
+  { pattern: /^\/channels\/([^/]+)\/moderators(?:\/([^/]+))?$/, type: 'moderator', params: ['channelArn', 'moderatorArn'] },
+  { pattern: /^\/channels\/([^/]+)\/bans(?:\/([^/]+))?$/, type: 'ban', params: ['channelArn', 'memberArn'] },
+  { pattern: /^\/channels\/([^/]+)\/messages(?:\/([^/]+))?$/, type: 'message', params: ['channelArn', 'messageId'] },
+  { pattern: /^\/app-instances$/, type: 'app-instance' },
+  { pattern: /^\/app-instances\/([^/]+)(?:\/retention-settings)?$/, type: 'app-instance', params: ['appInstanceArn'] },
+  { pattern: /^\/app-instances\/([^/]+)\/admins(?:\/([^/]+))?$/, type: 'admin', params: ['appInstanceArn', 'adminArn'] },
+  { pattern: /^\/app-instance-users$/, type: 'user' },
+  { pattern: /^\/app-instance-users\/([^/]+)$/, type: 'user', params: ['appInstanceUserArn'] },
+  { pattern: /^\/sdk-media-capture-pipelines(?:\/([^/]+))?$/, type: 'recording', params: ['mediaPipelineId'] },
+  { pattern: /^\/sdk-media-concatenation-pipelines$/, type: 'concatenation' },
+  { pattern: /^\/phone-number-orders$/, type: 'phone-number-order' },
+  { pattern: /^\/phone-numbers\/([^/]+)$/, type: 'phone-number', params: ['phoneNumberId'], actions: { POST: 'update' } },
+  { pattern: /^\/voice-connectors(?:\/([^/]+))?$/, type: 'voice-connector', params: ['voiceConnectorId'] },
+  { pattern: /^\/voice-connectors\/([^/]+)\/termination$/, type: 'termination', params: ['voiceConnectorId'] },
+  { pattern: /^\/voice-connectors\/([^/]+)\/termination\/credentials$/, type: 'termination-credentials', params: ['voiceConnectorId'] },
+  { pattern: /^\/voice-connectors\/([^/]+)\/origination$/, type: 'origination', params: ['voiceConnectorId'] },
+  { pattern: /^\/sip-media-applications(?:\/([^/]+))?$/, type: 'sip-media-application', params: ['sipMediaApplicationId'] },
+  { pattern: /^\/sip-rules(?:\/([^/]+))?$/, type: 'sip-rule', params: ['sipRuleId'] }
+];
+
+export const JOURNAL_TYPES = [...new Set(ROUTES.map(route => route.type))];
+
+const context = new AsyncLocalStorage();
+let warned = false;
+
+export function journalFile() {
+  return path.join(getConfigDir(), 'journal.jsonl');
+}
+
+/**
+ * Runs `fn` with extra fields merged into any entry it records: `before`
+ * (the resource as it was, for undoing updates and deletes) or `undoOf`.
+ */
+export function withJournalContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Names the resource a request URL addresses: `{ path, type, action,
+ * params }` with the decoded path captures. Unknown paths have type `other`.
+ */
+export function describeRoute(method, url) {
+  const { pathname, searchParams } = new URL(url);
+  const route = ROUTES.find(candidate => candidate.pattern.test(pathname));
+  const params = {};
+  if (route?.params) {
+    const match = pathname.match(route.pattern);
+    route.params.forEach((name, index) => {
+      if (match[index + 1]) params[name] = decodeURIComponent(match[index + 1]);
+    });
+  }
+  return {
+    path: decodeURIComponent(pathname),
+    type: route?.type || 'other',
+    action: searchParams.get('operation') || route?.actions?.[method] || METHOD_ACTIONS[method],
+    params
+  };
+}
+
+// Keeps string fields named *Id or *Arn from the response and the objects
+// directly inside it (Meeting, Channel, Attendees[0], ...).
+function collectIds(data) {
+  const ids = {};
+  const pick = (object) => {
+    for (const [key, value] of Object.entries(object || {})) {
+      if (typeof value === 'string' && /(Id|Arn)$/.test(key) && key !== 'ClientRequestToken') ids[key] ??= value;
+    }
+  };
+  if (!data || typeof data !== 'object') return ids;
+  pick(data);
+  for (const value of Object.values(data)) {
+    if (Array.isArray(value)) value.forEach(pick);
+    else if (value && typeof value === 'object') pick(value);
+  }
+  return ids;
+}
+
+// Termination credential passwords are the one secret a request body
+// carries; they are dropped before the body is kept.
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text, (key, value) => key === 'Password' ? undefined : value);
+  } catch {
+    return text;
+  }
+}
+
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+function currentUser() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || 'unknown';
+  }
+}
+
+/**
+ * Request observer that appends successful mutating calls to the journal.
+ * A journal that cannot be written is reported once and never fails the
+ * command that made the change.
+ */
+export function recordRequest(event) {
+  if (event.type !== 'response' || event.request.method === 'GET') return;
+  if (event.status < 200 || event.status >= 300) return;
+
+  const { method, url, headers, body } = event.request;
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    time: new Date().toISOString(),
+    user: currentUser(),
+    host: os.hostname(),
+    profile: getActiveProfile(),
+    region: getRegion(),
+    accessKeyId: headers.authorization?.match(/Credential=([^/]+)\//)?.[1],
+    command: ['awschime', ...process.argv.slice(2)].map(shellQuote).join(' '),
+    method,
+    ...describeRoute(method, url),
+    bearer: headers['x-amz-chime-bearer'],
+    body: parseJson(body),
+    ids: collectIds(event.data),
+    ...context.getStore()
+  };
+
+  try {
+    fs.mkdirSync(getConfigDir(), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(journalFile(), JSON.stringify(entry) + '\n', { mode: 0o600 });
+  } catch (error) {
+    if (!warned) process.stderr.write(`Warning: could not write the audit journal: ${error.message}\n`);
+    warned = true;
+  }
+}
+
+/**
+ * Reads every journal entry, oldest first. Lines that do not parse (a write
+ * cut short by a crash) are skipped.
+ */
+export function readJournal() {
+  let text;
+  try {
+    text = fs.readFileSync(journalFile(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return text.split('\n').flatMap(line => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Maps meeting IDs to when the journal recorded their creation, in
+ * milliseconds. The meetings APIs report no creation time, so this is the
+ * only age known for a meeting, and only for meetings created from here.
+ */
+export function meetingCreationTimes() {
+  const times = new Map();
+  for (const entry of readJournal()) {
+    if (entry.type === 'meeting' && entry.action?.startsWith('create') && entry.ids?.MeetingId) {
+      times.set(entry.ids.MeetingId, Date.parse(entry.time));
+    }
+  }
+  return times;
+}
+
+// Accepts a full ID or a unique prefix of one.
+export function findEntry(entries, id) {
+  const matches = entries.filter(entry => entry.id.startsWith(id));
+  if (matches.length > 1) throw new Error(`Journal ID '${id}' is ambiguous; give more characters`);
+  return matches[0] || null;
+}
@@ -0,0 +1,326 @@
+import fs from 'fs';
+import yaml from 'js-yaml';
+import {
+  listAppInstances, createAppInstance, updateAppInstance,
+  listAppInstanceUsers, createAppInstanceUser, updateAppInstanceUser,
+  listAppInstanceAdmins, createAppInstanceAdmin, deleteAppInstanceAdmin,
+  listChannels, createChannel, updateChannel, deleteChannel,
+  listChannelMemberships, createChannelMembership, deleteChannelMembership,
+  listChannelModerators, createChannelModerator, deleteChannelModerator
+} from './api.js';
+import { getChimeBearer } from './config.js';
+
+// ============================================================
+// Declarative Manifests (awschime apply)
+// ============================================================
+// A manifest declares app instances with their users, admins and channels.
+// Resources are matched by name (or by `arn` for app instances). Live state
+// is diffed into a plan of steps; each step carries a `run` function so the
+// plan can be shown first and executed after confirmation. Users and members
+// may be given as app instance user IDs or full ARNs.
+//
+//   appInstances:
+//     - name: support
+//       bearer: ops-bot            # user the messaging calls act as
+//       users: [{ id: ops-bot, name: Ops Bot }]
+//       admins: [ops-bot]          # when present, the full admin list
+//       channels:
+//         - name: escalations
+//           mode: RESTRICTED
+//           privacy: PRIVATE
+//           members: [alice, bob]  # when present, the full member list
+//           moderators: [alice]
+
+export const CHANNEL_MODES = ['UNRESTRICTED', 'RESTRICTED'];
+export const CHANNEL_PRIVACIES = ['PUBLIC', 'PRIVATE'];
+
+const APP_INSTANCE_KEYS = ['name', 'arn', 'metadata', 'bearer', 'users', 'admins', 'channels'];
+const USER_KEYS = ['id', 'name', 'metadata'];
+const CHANNEL_KEYS = ['name', 'mode', 'privacy', 'metadata', 'members', 'moderators'];
+
+function checkKeys(value, allowed, where) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${where} must be a mapping`);
+  const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) throw new Error(`${where}: unknown key(s) ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+}
+
+function stringList(value, where) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) throw new Error(`${where} must be a list of strings`);
+  return value;
+}
+
+function normalizeChannel(channel, where) {
+  checkKeys(channel, CHANNEL_KEYS, where);
+  if (!channel.name) throw new Error(`${where}: name is required`);
+  const mode = channel.mode || 'UNRESTRICTED';
+  const privacy = channel.privacy || 'PUBLIC';
+  if (!CHANNEL_MODES.includes(mode)) throw new Error(`${where}: mode must be ${CHANNEL_MODES.join(' or ')}`);
+  if (!CHANNEL_PRIVACIES.includes(privacy)) throw new Error(`${where}: privacy must be ${CHANNEL_PRIVACIES.join(' or ')}`);
+  return {
+    name: String(channel.name),
+    mode,
+    privacy,
+    metadata: channel.metadata === undefined ? undefined : String(channel.metadata),
+    members: stringList(channel.members, `${where}.members`),
+    moderators: stringList(channel.moderators, `${where}.moderators`)
+  };
+}
+
+function normalizeAppInstance(instance, where) {
+  checkKeys(instance, APP_INSTANCE_KEYS, where);
+  if (!instance.name) throw new Error(`${where}: name is required`);
+  const users = (instance.users || []).map((user, i) => {
+    checkKeys(user, USER_KEYS, `${where}.users[${i}]`);
+    if (!user.id) throw new Error(`${where}.users[${i}]: id is required`);
+    return {
+      id: String(user.id),
+      name: String(user.name ?? user.id),
+      metadata: user.metadata === undefined ? undefined : String(user.metadata)
+    };
+  });
+  const channels = (instance.channels || []).map((channel, i) => normalizeChannel(channel, `${where}.channels[${i}]`));
+  const names = channels.map(channel => channel.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`${where}: channel '${duplicate}' is declared twice`);
+  return {
+    name: String(instance.name),
+    arn: instance.arn,
+    metadata: instance.metadata === undefined ? undefined : String(instance.metadata),
+    bearer: instance.bearer,
+    users,
+    admins: stringList(instance.admins, `${where}.admins`),
+    channels
+  };
+}
+
+/**
+ * Reads and validates a YAML or JSON manifest, filling in channel defaults.
+ */
+export function loadManifest(file) {
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.name === 'YAMLException') throw new Error(`${file}: ${error.message}`);
+    throw error;
+  }
+  checkKeys(data, ['appInstances'], file);
+  if (!Array.isArray(data.appInstances)) throw new Error(`${file}: appInstances must be a list`);
+  return { appInstances: data.appInstances.map((instance, i) => normalizeAppInstance(instance, `${file}: appInstances[${i}]`)) };
+}
+
+// ============================================================
+// Planning
+// ============================================================
+
+function userArn(appInstanceArn, ref) {
+  return ref.startsWith('arn:') ? ref : `${appInstanceArn}/user/${ref}`;
+}
+
+function step(action, kind, scope, description, run) {
+  return { action, kind, scope, description, run };
+}
+
+function describeChange(label, from, to) {
+  return `${label} ${JSON.stringify(from ?? '')} → ${JSON.stringify(to ?? '')}`;
+}
+
+// Adds and removes steps that make a live ARN list match the declared one.
+// `where` names the channel or app instance in step descriptions. `ignored`
+// (a channel's bearer) is never removed, since it owns the channel.
+function diffMembers({ kind, scope, where, declared, live, ignored, add, remove }) {
+  const steps = [];
+  const wanted = new Set(declared);
+  for (const arn of wanted) {
+    if (!live.has(arn)) steps.push(step('create', kind, scope, `add ${kind} ${arn.split('/').pop()} to ${where}`, () => add(arn)));
+  }
+  for (const arn of live) {
+    if (!wanted.has(arn) && arn !== ignored) {
+      steps.push(step('delete', kind, scope, `remove ${kind} ${arn.split('/').pop()} from ${where}`, () => remove(arn)));
+    }
+  }
+  return steps;
+}
+
+// ListChannels only returns PUBLIC channels unless PRIVATE ones are asked
+// for, so both are listed to find every channel the manifest may declare.
+async function listEveryChannel(appInstanceArn, chimeBearer) {
+  const channels = [];
+  for (const privacy of CHANNEL_PRIVACIES) {
+    channels.push(...await listChannels({ appInstanceArn, privacy, chimeBearer }));
+  }
+  return channels;
+}
+
+async function planChannels(spec, target, bearer, liveChannels, { prune }) {
+  const steps = [];
+  const warnings = [];
+  const scope = spec.name;
+  const byName = new Map();
+  for (const channel of liveChannels) {
+    if (byName.has(channel.Name)) warnings.push(`${scope}: several channels are named '${channel.Name}'; managing the first`);
+    else byName.set(channel.Name, channel);
+  }
+
+  for (const channelSpec of spec.channels) {
+    const live = byName.get(channelSpec.name);
+    const ref = { arn: live?.ChannelArn };
+
+    if (!live) {
+      steps.push(step('create', 'channel', scope,
+        `create channel #${channelSpec.name} (${channelSpec.mode}, ${channelSpec.privacy})`,
+        async () => {
+          const result = await createChannel({
+            appInstanceArn: target.arn,
+            name: channelSpec.name,
+            mode: channelSpec.mode,
+            privacy: channelSpec.privacy,
+            metadata: channelSpec.metadata,
+            chimeBearer: bearer()
+          });
+          ref.arn = result.ChannelArn;
+        }));
+    } else {
+      const changes = [];
+      if (live.Mode !== channelSpec.mode) changes.push(describeChange('mode', live.Mode, channelSpec.mode));
+      if (channelSpec.metadata !== undefined && (live.Metadata || '') !== channelSpec.metadata) {
+        changes.push(describeChange('metadata', live.Metadata, channelSpec.metadata));
+      }
+      if (changes.length > 0) {
+        steps.push(step('update', 'channel', scope, `update channel #${channelSpec.name}: ${changes.join(', ')}`, () =>
+          updateChannel(live.ChannelArn, {
+            name: channelSpec.name,
+            mode: channelSpec.mode,
+            metadata: channelSpec.metadata ?? live.Metadata,
+            chimeBearer: bearer()
+          })));
+      }
+      if (live.Privacy !== channelSpec.privacy) {
+        warnings.push(`${scope}: #${channelSpec.name} is ${live.Privacy}; privacy can't be changed after creation (delete and re-apply to recreate it)`);
+      }
+    }
+
+    // Members and moderators of a channel that doesn't exist yet are added
+    // after it is created; their ARNs are resolved at run time because the
+    // app instance may be new as well.
+    const roles = [
+      ['member', channelSpec.members, listChannelMemberships, m => m.Member?.Arn, createChannelMembership, deleteChannelMembership],
+      ['moderator', channelSpec.moderators, listChannelModerators, m => m.Moderator?.Arn, createChannelModerator, deleteChannelModerator]
+    ];
+    for (const [kind, declared, list, pick, add, remove] of roles) {
+      if (!declared) continue;
+      if (!live) {
+        declared.forEach(id => steps.push(step('create', kind, scope, `add ${kind} ${id.split('/').pop()} to #${channelSpec.name}`,
+          () => add(ref.arn, userArn(target.arn, id), { chimeBearer: bearer() }))));
+        continue;
+      }
+      steps.push(...diffMembers({
+        kind, scope, where: `#${channelSpec.name}`,
+        declared: declared.map(id => userArn(target.arn, id)),
+        live: new Set((await list(live.ChannelArn, { chimeBearer: bearer() })).map(pick)),
+        ignored: bearer(),
+        add: (arn) => add(ref.arn, arn, { chimeBearer: bearer() }),
+        remove: (arn) => remove(ref.arn, arn, { chimeBearer: bearer() })
+      }));
+    }
+  }
+
+  const declared = new Set(spec.channels.map(channel => channel.name));
+  const unmanaged = [...byName.values()].filter(channel => !declared.has(channel.Name));
+  if (prune) {
+    unmanaged.forEach(channel => steps.push(step('delete', 'channel', scope, `delete channel #${channel.Name} (not in manifest)`,
+      () => deleteChannel(channel.ChannelArn, { chimeBearer: bearer() }))));
+  } else if (unmanaged.length > 0) {
+    warnings.push(`${scope}: ${unmanaged.length} channel(s) not in the manifest are left alone (use --prune to delete them)`);
+  }
+  return { steps, warnings };
+}
+
+/**
+ * Diffs the manifest against live state. Resolves with `{ steps, warnings }`;
+ * each step has `action` (create, update or delete), `kind`, `scope` (the app
+ * instance name), `description` and `run`. Messaging calls act as the app
+ * instance's `bearer`, or the configured Chime bearer when it declares none.
+ */
+export async function buildPlan(manifest, { prune = false } = {}) {
+  const steps = [];
+  const warnings = [];
+  const liveInstances = await listAppInstances();
+
+  for (const spec of manifest.appInstances) {
+    const scope = spec.name;
+    const live = spec.arn
+      ? liveInstances.find(instance => instance.AppInstanceArn === spec.arn)
+      : liveInstances.find(instance => instance.Name === spec.name);
+    if (spec.arn && !live) throw new Error(`App instance ${spec.arn} does not exist`);
+    const target = { arn: live?.AppInstanceArn };
+    const bearer = () => (spec.bearer && target.arn ? userArn(target.arn, spec.bearer) : getChimeBearer());
+
+    if (!live) {
+      steps.push(step('create', 'app-instance', scope, `create app instance ${spec.name}`, async () => {
+        target.arn = (await createAppInstance({ name: spec.name, metadata: spec.metadata })).AppInstanceArn;
+      }));
+    } else if (live.Name !== spec.name || (spec.metadata !== undefined && (live.Metadata || '') !== spec.metadata)) {
+      steps.push(step('update', 'app-instance', scope, `update app instance ${live.Name}`, () =>
+        updateAppInstance(target.arn, { name: spec.name, metadata: spec.metadata ?? live.Metadata })));
+    }
+
+    const liveUsers = live ? new Map((await listAppInstanceUsers(target.arn)).map(user => [user.AppInstanceUserArn, user])) : new Map();
+    for (const user of spec.users) {
+      const existing = live && liveUsers.get(userArn(target.arn, user.id));
+      if (!existing) {
+        steps.push(step('create', 'user', scope, `create user ${user.id}`, () =>
+          createAppInstanceUser({ appInstanceArn: target.arn, userId: user.id, name: user.name, metadata: user.metadata })));
+      } else {
+        const changes = [];
+        if (existing.Name !== user.name) changes.push(describeChange('name', existing.Name, user.name));
+        if (user.metadata !== undefined && (existing.Metadata || '') !== user.metadata) {
+          changes.push(describeChange('metadata', existing.Metadata, user.metadata));
+        }
+        if (changes.length > 0) {
+          steps.push(step('update', 'user', scope, `update user ${user.id}: ${changes.join(', ')}`, () =>
+            updateAppInstanceUser(existing.AppInstanceUserArn, { name: user.name, metadata: user.metadata ?? existing.Metadata })));
+        }
+      }
+    }
+
+    // A declared admin list is authoritative, like channel members; the ARNs
+    // of a new app instance are resolved at run time.
+    if (spec.admins && !live) {
+      spec.admins.forEach(admin => steps.push(step('create', 'admin', scope, `add admin ${admin.split('/').pop()}`, () =>
+        createAppInstanceAdmin(target.arn, userArn(target.arn, admin)))));
+    } else if (spec.admins) {
+      steps.push(...diffMembers({
+        kind: 'admin', scope, where: spec.name,
+        declared: spec.admins.map(admin => userArn(target.arn, admin)),
+        live: new Set((await listAppInstanceAdmins(target.arn)).map(admin => admin.Admin?.Arn)),
+        add: (arn) => createAppInstanceAdmin(target.arn, arn),
+        remove: (arn) => deleteAppInstanceAdmin(target.arn, arn)
+      }));
+    }
+
+    const liveChannels = live ? await listEveryChannel(target.arn, bearer()) : [];
+    const channelPlan = await planChannels(spec, target, bearer, liveChannels, { prune });
+    steps.push(...channelPlan.steps);
+    warnings.push(...channelPlan.warnings);
+  }
+  return { steps, warnings };
+}
+
+/**
+ * Runs the plan's steps in order, stopping at the first failure. The error
+ * is rethrown with `completed` set to the number of steps that succeeded.
+ */
+export async function applyPlan(plan, { onStep } = {}) {
+  for (let i = 0; i < plan.steps.length; i++) {
+    if (onStep) onStep(plan.steps[i], i);
+    try {
+      await plan.steps[i].run();
+    } catch (error) {
+      error.completed = i;
+      throw error;
+    }
+  }
+  return plan.steps.length;
+}
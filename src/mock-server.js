@@ -0,0 +1,476 @@
+import crypto from 'crypto';
+import http from 'http';
+import { buildQueryString, buildCanonicalRequest, computeSignature, hashHex } from './signer.js';
+
+// ============================================================
+// Local Mock Chime Server
+// ============================================================
+// An in-memory stand-in for the Chime SDK Meetings and Messaging REST APIs
+// (plus the legacy ListMeetings call). Requests are SigV4-verified with the
+// same signing code the client uses, state lives for the life of the
+// process, and faults can be injected to exercise retry handling. Point the
+// CLI at it with --endpoint-url.
+
+const ACCOUNT_ID = '123456789012';
+const MAX_SKEW_MS = 5 * 60 * 1000;
+
+class MockError extends Error {
+  constructor(status, type, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.type = type;
+    this.headers = headers;
+  }
+}
+
+const notFound = (what) => new MockError(404, 'NotFoundException', `${what} not found`);
+const badRequest = (message) => new MockError(400, 'BadRequestException', message);
+
+function nowSeconds() {
+  return Date.now() / 1000;
+}
+
+// ============================================================
+// Signature Verification
+// ============================================================
+
+const AUTH_PATTERN = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request,\s*SignedHeaders=([^,]+),\s*Signature=([0-9a-f]+)$/;
+
+function verifySignature(req, rawBody, credentials) {
+  const match = (req.headers.authorization || '').match(AUTH_PATTERN);
+  if (!match) throw new MockError(403, 'ForbiddenException', 'Missing or malformed Authorization header');
+  const [, accessKeyId, , region, service, signedHeaders, signature] = match;
+
+  const secretAccessKey = credentials[accessKeyId];
+  if (!secretAccessKey) {
+    throw new MockError(403, 'UnrecognizedClientException', `The security token included in the request is invalid (unknown access key ${accessKeyId})`);
+  }
+
+  const amzDate = req.headers['x-amz-date'] || '';
+  const signedAt = Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  if (!signedAt || Math.abs(signedAt - Date.now()) > MAX_SKEW_MS) {
+    throw new MockError(403, 'InvalidSignatureException', 'Signature expired: request time is too skewed',
+      { date: new Date().toUTCString() });
+  }
+
+  const contentHash = hashHex(rawBody);
+  if (req.headers['x-amz-content-sha256'] && req.headers['x-amz-content-sha256'] !== contentHash) {
+    throw new MockError(400, 'BadRequestException', 'The provided x-amz-content-sha256 header does not match the body');
+  }
+
+  const [path, query = ''] = req.url.split('?');
+  const canonicalRequest = buildCanonicalRequest({
+    method: req.method,
+    path,
+    queryString: buildQueryString(Object.fromEntries(new URLSearchParams(query))),
+    headers: req.headers,
+    signedHeaderNames: signedHeaders.split(';'),
+    contentHash
+  });
+  const expected = computeSignature({ secretAccessKey, amzDate, region, service, canonicalRequest }).signature;
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    throw new MockError(403, 'InvalidSignatureException',
+      'The request signature we calculated does not match the signature you provided');
+  }
+}
+
+// ============================================================
+// State
+// ============================================================
+
+function createState() {
+  return {
+    meetings: new Map(),
+    channels: new Map(),
+    idempotency: new Map()
+  };
+}
+
+function mediaPlacement(region, meetingId) {
+  const base = `${meetingId.slice(0, 8)}.k.m3.${region.replace(/-/g, '')}.app.chime.aws`;
+  return {
+    AudioHostUrl: `${base}:3478`,
+    AudioFallbackUrl: `wss://haxrp.m3.${region}.app.chime.aws:443/calls/${meetingId}`,
+    SignalingUrl: `wss://signal.m3.${region}.app.chime.aws/control/${meetingId}`,
+    TurnControlUrl: `https://2713.cell.${region}.meetings.chime.aws/v2/turn_sessions`,
+    ScreenDataUrl: `wss://bitpw.m3.${region}.app.chime.aws:443/v2/screen/${meetingId}`,
+    ScreenViewingUrl: `wss://bitpw.m3.${region}.app.chime.aws:443/ws/connect?passcode=null&viewer_uuid=null&X-BitHub-Call-Id=${meetingId}`,
+    ScreenSharingUrl: `wss://bitpw.m3.${region}.app.chime.aws:443/v2/screen/${meetingId}`,
+    EventIngestionUrl: `https://data.svc.${region}.ingest.chime.aws/v1/client-events`
+  };
+}
+
+function newAttendee(meetingId, { ExternalUserId, Capabilities }) {
+  if (!ExternalUserId) throw badRequest('ExternalUserId is required');
+  return {
+    ExternalUserId,
+    AttendeeId: crypto.randomUUID(),
+    JoinToken: Buffer.from(`${meetingId}:${crypto.randomBytes(24).toString('hex')}`).toString('base64'),
+    Capabilities: Capabilities || { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' }
+  };
+}
+
+// Offset-based pagination shared by every list route.
+function page(items, query, key) {
+  const start = parseInt(query.get('next-token') || '0') || 0;
+  const size = Math.min(parseInt(query.get('max-results') || '50') || 50, 100);
+  const result = { [key]: items.slice(start, start + size) };
+  if (start + size < items.length) result.NextToken = String(start + size);
+  return result;
+}
+
+function requireBearer(req) {
+  const bearer = req.headers['x-amz-chime-bearer'];
+  if (!bearer) throw badRequest('x-amz-chime-bearer header is required');
+  return bearer;
+}
+
+// ============================================================
+// Routes
+// ============================================================
+
+function createRoutes(state) {
+  const getMeeting = (id) => {
+    const entry = state.meetings.get(id);
+    if (!entry) throw notFound(`Meeting ${id}`);
+    return entry;
+  };
+  const getChannel = (arn) => {
+    const entry = state.channels.get(arn);
+    if (!entry) throw notFound(`Channel ${arn}`);
+    return entry;
+  };
+  const getMessage = (channel, id) => {
+    const message = channel.messages.get(id);
+    if (!message) throw notFound(`Message ${id}`);
+    return message;
+  };
+
+  const createMeeting = (body, region) => {
+    if (body.ClientRequestToken && state.idempotency.has(body.ClientRequestToken)) {
+      return state.meetings.get(state.idempotency.get(body.ClientRequestToken));
+    }
+    const meetingId = crypto.randomUUID();
+    const mediaRegion = body.MediaRegion || region;
+    const meeting = {
+      MeetingId: meetingId,
+      MeetingArn: `arn:aws:chime:${region}:${ACCOUNT_ID}:meeting/${meetingId}`,
+      MediaRegion: mediaRegion,
+      MediaPlacement: mediaPlacement(mediaRegion, meetingId)
+    };
+    for (const key of ['ExternalMeetingId', 'MeetingHostId', 'MeetingFeatures', 'PrimaryMeetingId', 'TenantIds']) {
+      if (body[key] !== undefined) meeting[key] = body[key];
+    }
+    const entry = { meeting, attendees: new Map(), tags: body.Tags || [], createdAt: Date.now() };
+    state.meetings.set(meetingId, entry);
+    if (body.ClientRequestToken) state.idempotency.set(body.ClientRequestToken, meetingId);
+    return entry;
+  };
+
+  const createAttendees = (entry, attendees) => {
+    const created = [];
+    const errors = [];
+    for (const request of attendees) {
+      const existing = [...entry.attendees.values()].find(a => a.ExternalUserId === request.ExternalUserId);
+      if (existing) {
+        errors.push({ ExternalUserId: request.ExternalUserId, ErrorCode: 'Conflict', ErrorMessage: 'Attendee already exists' });
+        continue;
+      }
+      const attendee = newAttendee(entry.meeting.MeetingId, request);
+      entry.attendees.set(attendee.AttendeeId, attendee);
+      created.push(attendee);
+    }
+    return { Attendees: created, Errors: errors };
+  };
+
+  return [
+    // ---------- Meetings ----------
+    ['GET', /^\/meetings$/, ({ query }) =>
+      page([...state.meetings.values()].map(e => e.meeting), query, 'Meetings')],
+    ['POST', /^\/meetings$/, ({ body, query, region }) => {
+      if (query.get('operation') === 'create-attendees') {
+        const attendees = body.Attendees || [];
+        if (attendees.length < 1 || attendees.length > 10) throw badRequest('Attendees must contain 1 to 10 entries');
+        const entry = createMeeting(body, region);
+        return { status: 201, body: { Meeting: entry.meeting, ...createAttendees(entry, attendees) } };
+      }
+      return { status: 201, body: { Meeting: createMeeting(body, region).meeting } };
+    }],
+    ['GET', /^\/meetings\/([^/]+)$/, ({ params }) => ({ Meeting: getMeeting(params[0]).meeting })],
+    ['DELETE', /^\/meetings\/([^/]+)$/, ({ params }) => {
+      getMeeting(params[0]);
+      state.meetings.delete(params[0]);
+      return { status: 204 };
+    }],
+
+    // ---------- Attendees ----------
+    ['GET', /^\/meetings\/([^/]+)\/attendees$/, ({ params, query }) =>
+      page([...getMeeting(params[0]).attendees.values()], query, 'Attendees')],
+    ['POST', /^\/meetings\/([^/]+)\/attendees$/, ({ params, query, body }) => {
+      const entry = getMeeting(params[0]);
+      if (query.get('operation') === 'batch-create') {
+        const attendees = body.Attendees || [];
+        if (attendees.length < 1 || attendees.length > 100) throw badRequest('Attendees must contain 1 to 100 entries');
+        return { status: 201, body: createAttendees(entry, attendees) };
+      }
+      const attendee = newAttendee(entry.meeting.MeetingId, body);
+      entry.attendees.set(attendee.AttendeeId, attendee);
+      return { status: 201, body: { Attendee: attendee } };
+    }],
+    ['PUT', /^\/meetings\/([^/]+)\/attendees\/capabilities$/, ({ params, query, body }) => {
+      if (query.get('operation') !== 'batch-update-except') throw badRequest('Unsupported operation');
+      const entry = getMeeting(params[0]);
+      const excluded = new Set((body.ExcludedAttendeeIds || []).map(a => a.AttendeeId));
+      for (const attendee of entry.attendees.values()) {
+        if (!excluded.has(attendee.AttendeeId)) attendee.Capabilities = { ...body.Capabilities };
+      }
+      return {};
+    }],
+    ['PUT', /^\/meetings\/([^/]+)\/attendees\/([^/]+)\/capabilities$/, ({ params, body }) => {
+      const attendee = getMeeting(params[0]).attendees.get(params[1]);
+      if (!attendee) throw notFound(`Attendee ${params[1]}`);
+      attendee.Capabilities = { ...body.Capabilities };
+      return { Attendee: attendee };
+    }],
+    ['GET', /^\/meetings\/([^/]+)\/attendees\/([^/]+)$/, ({ params }) => {
+      const attendee = getMeeting(params[0]).attendees.get(params[1]);
+      if (!attendee) throw notFound(`Attendee ${params[1]}`);
+      return { Attendee: attendee };
+    }],
+    ['DELETE', /^\/meetings\/([^/]+)\/attendees\/([^/]+)$/, ({ params }) => {
+      const entry = getMeeting(params[0]);
+      if (!entry.attendees.delete(params[1])) throw notFound(`Attendee ${params[1]}`);
+      return { status: 204 };
+    }],
+
+    // ---------- Tags ----------
+    ['GET', /^\/tags$/, ({ query }) => {
+      const arn = query.get('arn');
+      const entry = [...state.meetings.values()].find(e => e.meeting.MeetingArn === arn) || state.channels.get(arn);
+      if (!entry) throw notFound(`Resource ${arn}`);
+      return { Tags: entry.tags };
+    }],
+
+    // ---------- Channels ----------
+    ['GET', /^\/channels$/, ({ query }) => {
+      const appInstanceArn = query.get('app-instance-arn');
+      // Like the real API, a listing without a privacy filter is PUBLIC only.
+      const privacy = query.get('privacy') || 'PUBLIC';
+      const channels = [...state.channels.values()]
+        .map(e => e.channel)
+        .filter(c => !appInstanceArn || c.ChannelArn.startsWith(`${appInstanceArn}/`))
+        .filter(c => c.Privacy === privacy)
+        .map(({ Name, ChannelArn, Mode, Privacy, Metadata, LastMessageTimestamp }) =>
+          ({ Name, ChannelArn, Mode, Privacy, Metadata, LastMessageTimestamp }));
+      return page(channels, query, 'Channels');
+    }],
+    ['POST', /^\/channels$/, ({ body, req }) => {
+      if (!body.AppInstanceArn || !body.Name) throw badRequest('AppInstanceArn and Name are required');
+      const channelArn = `${body.AppInstanceArn}/channel/${crypto.randomUUID().replace(/-/g, '')}`;
+      const channel = {
+        Name: body.Name,
+        ChannelArn: channelArn,
+        Mode: body.Mode || 'UNRESTRICTED',
+        Privacy: body.Privacy || 'PUBLIC',
+        Metadata: body.Metadata,
+        CreatedBy: req.headers['x-amz-chime-bearer'] ? { Arn: req.headers['x-amz-chime-bearer'] } : undefined,
+        CreatedTimestamp: nowSeconds(),
+        LastUpdatedTimestamp: nowSeconds()
+      };
+      state.channels.set(channelArn, { channel, messages: new Map(), tags: body.Tags || [] });
+      return { status: 201, body: { ChannelArn: channelArn } };
+    }],
+    ['GET', /^\/channels\/([^/]+)$/, ({ params }) => ({ Channel: getChannel(params[0]).channel })],
+    ['DELETE', /^\/channels\/([^/]+)$/, ({ params }) => {
+      getChannel(params[0]);
+      state.channels.delete(params[0]);
+      return { status: 204 };
+    }],
+
+    // ---------- Messages ----------
+    ['POST', /^\/channels\/([^/]+)\/messages$/, ({ params, body, req }) => {
+      const bearer = requireBearer(req);
+      const entry = getChannel(params[0]);
+      if (!body.Content) throw badRequest('Content is required');
+      const message = {
+        ChannelArn: entry.channel.ChannelArn,
+        MessageId: crypto.randomUUID().replace(/-/g, ''),
+        Content: body.Content,
+        Metadata: body.Metadata,
+        Type: body.Type || 'STANDARD',
+        Persistence: body.Persistence || 'PERSISTENT',
+        ContentType: body.ContentType,
+        MessageAttributes: body.MessageAttributes,
+        CreatedTimestamp: nowSeconds(),
+        LastUpdatedTimestamp: nowSeconds(),
+        Sender: { Arn: bearer, Name: bearer.split('/').pop() },
+        Redacted: false,
+        Status: { Value: 'SENT' }
+      };
+      if (message.Persistence === 'PERSISTENT') entry.messages.set(message.MessageId, message);
+      entry.channel.LastMessageTimestamp = message.CreatedTimestamp;
+      return { status: 201, body: { ChannelArn: message.ChannelArn, MessageId: message.MessageId, Status: message.Status } };
+    }],
+    ['GET', /^\/channels\/([^/]+)\/messages$/, ({ params, query, req }) => {
+      requireBearer(req);
+      const notBefore = query.get('not-before') ? Date.parse(query.get('not-before')) / 1000 : -Infinity;
+      const notAfter = query.get('not-after') ? Date.parse(query.get('not-after')) / 1000 : Infinity;
+      const messages = [...getChannel(params[0]).messages.values()]
+        .filter(m => m.CreatedTimestamp >= notBefore && m.CreatedTimestamp <= notAfter)
+        .sort((a, b) => a.CreatedTimestamp - b.CreatedTimestamp);
+      if (query.get('sort-order') !== 'ASCENDING') messages.reverse();
+      return { ChannelArn: params[0], ...page(messages, query, 'ChannelMessages') };
+    }],
+    ['GET', /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ({ params, req }) => {
+      requireBearer(req);
+      return { ChannelMessage: getMessage(getChannel(params[0]), params[1]) };
+    }],
+    ['PUT', /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ({ params, body, req }) => {
+      requireBearer(req);
+      const message = getMessage(getChannel(params[0]), params[1]);
+      if (message.Redacted) throw badRequest('Cannot update a redacted message');
+      message.Content = body.Content;
+      if (body.Metadata !== undefined) message.Metadata = body.Metadata;
+      if (body.ContentType !== undefined) message.ContentType = body.ContentType;
+      message.LastEditedTimestamp = message.LastUpdatedTimestamp = nowSeconds();
+      return { ChannelArn: params[0], MessageId: message.MessageId, Status: { Value: 'SENT' } };
+    }],
+    ['POST', /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ({ params, query, req }) => {
+      requireBearer(req);
+      if (query.get('operation') !== 'redact') throw badRequest('Unsupported operation');
+      const message = getMessage(getChannel(params[0]), params[1]);
+      message.Content = '';
+      message.Metadata = undefined;
+      message.Redacted = true;
+      message.LastUpdatedTimestamp = nowSeconds();
+      return { ChannelArn: params[0], MessageId: message.MessageId };
+    }],
+    ['DELETE', /^\/channels\/([^/]+)\/messages\/([^/]+)$/, ({ params, req }) => {
+      requireBearer(req);
+      const entry = getChannel(params[0]);
+      getMessage(entry, params[1]);
+      entry.messages.delete(params[1]);
+      return { status: 204 };
+    }]
+  ];
+}
+
+// ============================================================
+// Server
+// ============================================================
+
+function pickFault(faults) {
+  if (faults.failNext?.length) {
+    const next = faults.failNext[0];
+    if (--next.count <= 0) faults.failNext.shift();
+    return next.status;
+  }
+  if (faults.throttleRate && Math.random() < faults.throttleRate) return 429;
+  if (faults.errorRate && Math.random() < faults.errorRate) return 500;
+  return null;
+}
+
+function faultError(status) {
+  if (status === 429) return new MockError(429, 'ThrottledClientException', 'Injected throttling fault');
+  if (status === 503) return new MockError(503, 'ServiceUnavailableException', 'Injected service unavailable fault');
+  return new MockError(status, status >= 500 ? 'ServiceFailureException' : 'BadRequestException', `Injected ${status} fault`);
+}
+
+/**
+ * Creates the mock server. `credentials` maps access key IDs to secrets that
+ * will be accepted; `faults` holds `throttleRate` and `errorRate` (0-1),
+ * `latencyMs`, and `failNext` ([{ status, count }]) for deterministic
+ * failures. Both can be changed at runtime through the /_mock routes.
+ */
+export function createMockServer({ credentials = { test: 'test' }, verifySignatures = true, faults = {}, region = 'us-east-1', onRequest } = {}) {
+  let state = createState();
+  let routes = createRoutes(state);
+  const activeFaults = { throttleRate: 0, errorRate: 0, latencyMs: 0, failNext: [], ...faults };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'x-amzn-requestid': crypto.randomUUID(),
+      ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+      ...headers
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  const control = (req, res, path, body) => {
+    if (req.method === 'POST' && path === '/_mock/reset') {
+      state = createState();
+      routes = createRoutes(state);
+      return send(res, 200, { reset: true });
+    }
+    if (req.method === 'POST' && path === '/_mock/faults') {
+      Object.assign(activeFaults, body);
+      return send(res, 200, activeFaults);
+    }
+    if (req.method === 'GET' && path === '/_mock/state') {
+      return send(res, 200, {
+        meetings: [...state.meetings.values()].map(e => ({ ...e.meeting, AttendeeCount: e.attendees.size })),
+        channels: [...state.channels.values()].map(e => ({ ...e.channel, MessageCount: e.messages.size })),
+        faults: activeFaults
+      });
+    }
+    return send(res, 404, { Code: 'NotFound', Message: `Unknown control route ${path}` });
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const started = Date.now();
+      const rawBody = Buffer.concat(chunks).toString('utf8');
+      const url = new URL(req.url, 'http://localhost');
+      let status = 500;
+      try {
+        let body = {};
+        if (rawBody) {
+          try { body = JSON.parse(rawBody); } catch { throw badRequest('Request body is not valid JSON'); }
+        }
+        if (url.pathname.startsWith('/_mock/')) {
+          status = 200;
+          return control(req, res, url.pathname, body);
+        }
+
+        if (activeFaults.latencyMs) await new Promise(resolve => setTimeout(resolve, activeFaults.latencyMs));
+        if (verifySignatures) verifySignature(req, rawBody, credentials);
+        const fault = pickFault(activeFaults);
+        if (fault) throw faultError(fault);
+
+        const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) throw new MockError(404, 'NotFoundException', `No route for ${req.method} ${url.pathname}`);
+        const params = url.pathname.match(route[1]).slice(1).map(decodeURIComponent);
+        const signedRegion = (req.headers.authorization || '').match(AUTH_PATTERN)?.[3] || region;
+
+        const result = route[2]({ req, params, query: url.searchParams, body, region: signedRegion });
+        const response = result && 'status' in result ? result : { status: 200, body: result };
+        status = response.status;
+        send(res, status, response.body);
+      } catch (error) {
+        if (!(error instanceof MockError)) error = new MockError(500, 'ServiceFailureException', error.message);
+        status = error.status;
+        send(res, status, { Code: error.type.replace(/Exception$/, ''), Message: error.message },
+          { 'x-amzn-errortype': `${error.type}:`, ...error.headers });
+      } finally {
+        if (onRequest) onRequest({ method: req.method, path: url.pathname, status, ms: Date.now() - started });
+      }
+    });
+  });
+
+  return {
+    server,
+    get state() { return state; },
+    faults: activeFaults,
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
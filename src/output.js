@@ -0,0 +1,90 @@
+import jmespath from 'jmespath';
+import yaml from 'js-yaml';
+
+// ============================================================
+// Output Formats
+// ============================================================
+// Structured output shared by every command: a JMESPath --query, then a
+// --fields projection, then serialization to the chosen format.
+
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv', 'tsv', 'ndjson'];
+
+export function applyQuery(data, expression) {
+  if (!expression) return data;
+  try {
+    return jmespath.search(data, expression);
+  } catch (error) {
+    throw new Error(`Invalid --query expression: ${error.message}`);
+  }
+}
+
+export function getPath(value, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+// Projects each object onto the dotted field paths, keeping them in order.
+export function selectFields(data, fields) {
+  if (!fields || fields.length === 0) return data;
+  const project = (item) => (item && typeof item === 'object'
+    ? Object.fromEntries(fields.map(field => [field, getPath(item, field)]))
+    : item);
+  return Array.isArray(data) ? data.map(project) : project(data);
+}
+
+function toRows(data) {
+  if (data === undefined || data === null) return [];
+  return Array.isArray(data) ? data : [data];
+}
+
+function scalar(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Column names for delimited output: the requested fields, else every
+// top-level key in first-seen order.
+function columnNames(rows, fields) {
+  if (fields && fields.length > 0) return fields;
+  const names = new Set();
+  rows.forEach(row => {
+    if (row && typeof row === 'object') Object.keys(row).forEach(key => names.add(key));
+  });
+  return [...names];
+}
+
+function delimited(data, fields, separator) {
+  const rows = toRows(data);
+  if (rows.length > 0 && rows.every(row => row === null || typeof row !== 'object')) {
+    return rows.map(scalar).join('\n') + '\n';
+  }
+  const columns = columnNames(rows, fields);
+  const escape = separator === ','
+    ? (text) => (/[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)
+    : (text) => text.replace(/[\t\n\r]/g, ' ');
+  const lines = [columns.map(escape).join(separator)];
+  // Rows projected by selectFields are keyed by the dotted path itself.
+  const cell = (row, col) => (row && Object.hasOwn(row, col) ? row[col] : getPath(row, col));
+  rows.forEach(row => lines.push(columns.map(col => escape(scalar(cell(row, col)))).join(separator)));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes data to one of the non-table formats. Table output needs column
+ * metadata and colours, so the CLI renders it itself.
+ */
+export function formatOutput(data, format, { fields } = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data ?? null, null, 2) + '\n';
+    case 'yaml':
+      return yaml.dump(data ?? null, { noRefs: true, lineWidth: -1 });
+    case 'ndjson':
+      return toRows(data).map(row => JSON.stringify(row)).join('\n') + '\n';
+    case 'csv':
+      return delimited(data, fields, ',');
+    case 'tsv':
+      return delimited(data, fields, '\t');
+    default:
+      throw new Error(`Unknown output format '${format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,132 @@
+import {
+  listMeetings, getMeeting, listAttendees, listChannels, getChannel, listTagsForResource
+} from './api.js';
+import { meetingCreationTimes } from './journal.js';
+
+// ============================================================
+// Bulk Cleanup (meetings prune, channels prune)
+// ============================================================
+// Finding candidates is separate from deleting them so the CLI can show the
+// matches and ask before anything is removed. Cheap filters (names, region)
+// run on the list results first; filters that need a call per resource
+// (tags, attendees, channel creation time) only run on what is left.
+
+/**
+ * Compiles a name filter: `/source/flags` is a regular expression, anything
+ * else is a glob where `*` matches any run of characters and `?` one.
+ */
+export function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const source = pattern.split('').map(c => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))).join('');
+  return new RegExp(`^${source}$`);
+}
+
+const DURATION_UNITS = { m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 };
+
+// Parses ages such as 30m, 12h, 7d or 2w into milliseconds.
+export function parseDuration(value) {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)([mhdw])$/);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+function hasTags(tags, wanted) {
+  return wanted.every(({ Key, Value }) => tags.some(tag => tag.Key === Key && tag.Value === Value));
+}
+
+function toMillis(timestamp) {
+  return typeof timestamp === 'number' && timestamp < 1e12 ? timestamp * 1000 : new Date(timestamp).getTime();
+}
+
+/**
+ * Lists meetings matching every given filter: `externalId` (pattern),
+ * `mediaRegion`, `olderThanMs`, `tags` (`[{ Key, Value }]`, all required)
+ * and `empty` (no attendees). A meeting that ends while being inspected is
+ * dropped. Chime reports no creation time for meetings, so the age filter
+ * uses the journal's record of the create call: meetings created elsewhere
+ * never match it. Matches carry `CreatedTimestamp` when the age filter is
+ * used.
+ */
+export async function findMeetings({ externalId, mediaRegion, olderThanMs, tags = [], empty = false }) {
+  const pattern = externalId ? compilePattern(externalId) : null;
+  const createdAt = olderThanMs ? meetingCreationTimes() : null;
+  const matches = [];
+  for (let meeting of await listMeetings()) {
+    if (pattern && !pattern.test(meeting.ExternalMeetingId || '')) continue;
+    if (mediaRegion && meeting.MediaRegion !== mediaRegion) continue;
+    if (createdAt) {
+      const created = createdAt.get(meeting.MeetingId);
+      if (!created || Date.now() - created < olderThanMs) continue;
+      meeting = { ...meeting, CreatedTimestamp: new Date(created).toISOString() };
+    }
+    try {
+      if (tags.length > 0) {
+        // The legacy list call does not always return the ARN tags are keyed on.
+        const arn = meeting.MeetingArn || (await getMeeting(meeting.MeetingId)).Meeting.MeetingArn;
+        if (!hasTags(await listTagsForResource(arn), tags)) continue;
+      }
+      if (empty && (await listAttendees(meeting.MeetingId, { limit: 1 })).length > 0) continue;
+    } catch (error) {
+      if (error.status === 404) continue;
+      throw error;
+    }
+    matches.push(meeting);
+  }
+  return matches;
+}
+
+/**
+ * Lists an app instance's channels matching `name` (pattern), `olderThanMs`
+ * (time since creation) and `tags`. Matches carry `CreatedTimestamp` when
+ * the age filter fetched it.
+ */
+export async function findChannels({ appInstanceArn, name, olderThanMs, tags = [] }) {
+  const pattern = name ? compilePattern(name) : null;
+  const matches = [];
+  // Without a privacy filter ListChannels only returns PUBLIC channels.
+  const summaries = [
+    ...await listChannels({ appInstanceArn, privacy: 'PUBLIC' }),
+    ...await listChannels({ appInstanceArn, privacy: 'PRIVATE' })
+  ];
+  for (const summary of summaries) {
+    if (pattern && !pattern.test(summary.Name || '')) continue;
+    let channel = summary;
+    try {
+      if (olderThanMs) {
+        channel = { ...summary, ...(await getChannel(summary.ChannelArn)).Channel };
+        if (Date.now() - toMillis(channel.CreatedTimestamp) < olderThanMs) continue;
+      }
+      if (tags.length > 0 && !hasTags(await listTagsForResource(summary.ChannelArn), tags)) continue;
+    } catch (error) {
+      if (error.status === 404) continue;
+      throw error;
+    }
+    matches.push(channel);
+  }
+  return matches;
+}
+
+/**
+ * Calls `remove` for every item with at most `concurrency` in flight.
+ * `onProgress` gets `{ done, total, failed }` after each one settles.
+ * Resolves with the items deleted and `[{ item, error }]` for the rest.
+ */
+export async function deleteAll(items, remove, { concurrency = 5, onProgress } = {}) {
+  const deleted = [];
+  const failed = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        await remove(item);
+        deleted.push(item);
+      } catch (error) {
+        failed.push({ item, error });
+      }
+      if (onProgress) onProgress({ done: deleted.length + failed.length, total: items.length, failed: failed.length });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return { deleted, failed };
+}
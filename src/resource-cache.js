@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir, getActiveProfile, getRegion } from './config.js';
+import { describeRoute } from './journal.js';
+
+// ============================================================
+// Resource ID Cache (shell and completion)
+// ============================================================
+// Meeting IDs, attendee IDs and channel ARNs seen in API responses are kept
+// for a few minutes so `awschime shell` and the completion scripts can offer
+// them without calling AWS on every keypress. The cache is filled as a side
+// effect of ordinary list, get and create calls and is keyed by profile and
+// region. It only ever suggests; nothing reads it to decide what to change.
+
+const TTL_MS = 15 * 60 * 1000;
+
+function cacheFile() {
+  return path.join(getConfigDir(), 'cache', 'resources.json');
+}
+
+function scopeKey(scope = {}) {
+  return `${scope.profile || getActiveProfile()}/${scope.region || getRegion()}`;
+}
+
+function readAll() {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile(), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function isFresh(entry, now) {
+  return now - entry.seen < TTL_MS;
+}
+
+// Each bucket maps an ID or ARN to `{ label, seen }`.
+function prune(bucket, now) {
+  for (const [id, entry] of Object.entries(bucket)) {
+    if (!isFresh(entry, now)) delete bucket[id];
+  }
+}
+
+function update(fn) {
+  const all = readAll();
+  const key = scopeKey();
+  const scope = all[key] || { meetings: {}, attendees: {}, channels: {} };
+  fn(scope);
+
+  const now = Date.now();
+  prune(scope.meetings, now);
+  prune(scope.channels, now);
+  for (const [meetingId, attendees] of Object.entries(scope.attendees)) {
+    prune(attendees, now);
+    if (Object.keys(attendees).length === 0) delete scope.attendees[meetingId];
+  }
+  all[key] = scope;
+
+  try {
+    fs.mkdirSync(path.dirname(cacheFile()), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(cacheFile(), JSON.stringify(all), { mode: 0o600 });
+  } catch {
+    // Completion is a convenience; a read-only config directory just means none.
+  }
+}
+
+function addMeeting(scope, meeting, seen) {
+  if (meeting?.MeetingId) scope.meetings[meeting.MeetingId] = { label: meeting.ExternalMeetingId || '', seen };
+}
+
+function addAttendee(scope, meetingId, attendee, seen) {
+  if (!attendee?.AttendeeId) return;
+  scope.attendees[meetingId] ??= {};
+  scope.attendees[meetingId][attendee.AttendeeId] = { label: attendee.ExternalUserId || '', seen };
+}
+
+function addChannel(scope, channel, seen) {
+  if (channel?.ChannelArn) scope.channels[channel.ChannelArn] = { label: channel.Name || '', seen };
+}
+
+/**
+ * Request observer that remembers the meetings, attendees and channels in
+ * successful responses and forgets the ones that were deleted.
+ */
+export function rememberResources(event) {
+  if (event.type !== 'response' || event.status < 200 || event.status >= 300) return;
+  const { method, url, body } = event.request;
+  const { type, params } = describeRoute(method, url);
+  if (!['meeting', 'attendee', 'channel'].includes(type)) return;
+
+  const data = event.data || {};
+  const seen = Date.now();
+  update(scope => {
+    if (type === 'meeting') {
+      if (method === 'DELETE') {
+        delete scope.meetings[params.meetingId];
+        delete scope.attendees[params.meetingId];
+        return;
+      }
+      (data.Meetings || [data.Meeting]).forEach(meeting => addMeeting(scope, meeting, seen));
+      (data.Attendees || []).forEach(attendee => addAttendee(scope, data.Meeting.MeetingId, attendee, seen));
+    } else if (type === 'attendee') {
+      if (method === 'DELETE') {
+        delete scope.attendees[params.meetingId]?.[params.attendeeId];
+        return;
+      }
+      (data.Attendees || [data.Attendee]).forEach(attendee => addAttendee(scope, params.meetingId, attendee, seen));
+    } else if (method === 'DELETE') {
+      delete scope.channels[params.channelArn];
+    } else if (method === 'POST') {
+      // CreateChannel returns only the ARN; the name is in the request.
+      addChannel(scope, { ChannelArn: data.ChannelArn, Name: JSON.parse(body || '{}').Name }, seen);
+    } else {
+      (data.Channels || [data.Channel]).forEach(channel => addChannel(scope, channel, seen));
+    }
+  });
+}
+
+/**
+ * Returns `[{ value, label }]` for cached resources of `kind` (`meetings`,
+ * `attendees` or `channels`), most recently seen first. Attendees need the
+ * `meetingId` they belong to. `scope` overrides the profile and region.
+ */
+export function cachedResources(kind, { meetingId, scope } = {}) {
+  const cached = readAll()[scopeKey(scope)];
+  if (!cached) return [];
+  const bucket = kind === 'attendees' ? cached.attendees[meetingId] || {} : cached[kind] || {};
+  const now = Date.now();
+  return Object.entries(bucket)
+    .filter(([, entry]) => isFresh(entry, now))
+    .sort(([, a], [, b]) => b.seen - a.seen)
+    .map(([value, entry]) => ({ value, label: entry.label }));
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+
+// ============================================================
+// Attendee Rosters (CSV / JSON)
+// ============================================================
+// A roster lists meeting attendees by external user ID, optionally with
+// audio/video/content capabilities. CSV files need a header row; JSON files
+// hold an array of objects or plain ID strings.
+
+export const CAPABILITY_VALUES = ['SendReceive', 'Send', 'Receive', 'None'];
+
+/**
+ * Builds the `{ Audio, Video, Content }` capabilities the API takes all at
+ * once from `audio`, `video` and `content` values; any left out come from
+ * `fallback`. Throws for content that can be received without video, which
+ * the API rejects.
+ */
+export function capabilitiesFrom(values, fallback) {
+  const capabilities = {
+    Audio: values.audio || fallback.Audio,
+    Video: values.video || fallback.Video,
+    Content: values.content || fallback.Content
+  };
+  const receives = (value) => value === 'SendReceive' || value === 'Receive';
+  if (receives(capabilities.Content) && !receives(capabilities.Video)) {
+    throw new Error(`Content ${capabilities.Content} requires video to be SendReceive or Receive (got ${capabilities.Video})`);
+  }
+  return capabilities;
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+// Header/key names are matched case-insensitively, ignoring - and _.
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_\s]/g, '');
+}
+
+function pick(record, ...names) {
+  for (const [key, value] of Object.entries(record)) {
+    if (names.includes(normalizeKey(key)) && value !== '' && value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function toEntry(record, index) {
+  if (typeof record === 'string') return { ExternalUserId: record };
+
+  const externalUserId = pick(record, 'externaluserid', 'userid', 'email', 'id');
+  if (!externalUserId) throw new Error(`Roster entry ${index + 1} has no external user ID`);
+  const entry = { ExternalUserId: String(externalUserId) };
+
+  const nested = record.Capabilities || record.capabilities || {};
+  const values = {
+    audio: pick(nested, 'audio') ?? pick(record, 'audio'),
+    video: pick(nested, 'video') ?? pick(record, 'video'),
+    content: pick(nested, 'content') ?? pick(record, 'content')
+  };
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== undefined && !CAPABILITY_VALUES.includes(value)) {
+      throw new Error(`Roster entry ${index + 1}: invalid ${name} capability '${value}' (use ${CAPABILITY_VALUES.join('|')})`);
+    }
+  }
+  if (Object.values(values).some(value => value !== undefined)) {
+    // The API requires all three capabilities once any is set. Content
+    // follows video when left out, so Video=None alone stays valid.
+    const video = values.video || 'SendReceive';
+    try {
+      entry.Capabilities = capabilitiesFrom(values, { Audio: 'SendReceive', Video: video, Content: video });
+    } catch (error) {
+      throw new Error(`Roster entry ${index + 1}: ${error.message}`);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Reads a CSV or JSON roster into `{ ExternalUserId, Capabilities? }`
+ * entries ready for the attendee APIs.
+ */
+export function readRoster(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const isJson = path.extname(file).toLowerCase() === '.json' || /^\s*[[{]/.test(text);
+
+  let records;
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : parsed.Attendees || parsed.attendees || [];
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    records = rows.map(row => Object.fromEntries(header.map((name, i) => [name.trim(), (row[i] ?? '').trim()])));
+  }
+  return records.map(toEntry);
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// ============================================================
+// Shared AWS config/credentials files (~/.aws)
+// ============================================================
+
+function credentialsFilePath() {
+  return process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+}
+
+function configFilePath() {
+  return process.env.AWS_CONFIG_FILE || path.join(os.homedir(), '.aws', 'config');
+}
+
+export function parseIni(text) {
+  const sections = {};
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = header[1].trim();
+      sections[current] = sections[current] || {};
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (current && eq > 0) {
+      sections[current][line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    }
+  }
+  return sections;
+}
+
+function readIni(filePath) {
+  try {
+    return parseIni(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+// In ~/.aws/config named profiles are written as [profile name]; in
+// ~/.aws/credentials they are plain [name].
+function configSectionName(profile) {
+  return profile === 'default' ? 'default' : `profile ${profile}`;
+}
+
+/**
+ * Returns the merged settings for a profile from ~/.aws/config and
+ * ~/.aws/credentials, or null when neither file mentions it. Values from the
+ * credentials file win.
+ */
+export function loadSharedProfile(profile) {
+  const configSections = readIni(configFilePath());
+  const credentialSections = readIni(credentialsFilePath());
+  const fromConfig = configSections[configSectionName(profile)]
+    || (profile === 'default' ? undefined : configSections[profile]);
+  const fromCredentials = credentialSections[profile];
+  if (!fromConfig && !fromCredentials) return null;
+  return { ...fromConfig, ...fromCredentials };
+}
+
+export function listSharedProfiles() {
+  const names = new Set(Object.keys(readIni(credentialsFilePath())));
+  for (const section of Object.keys(readIni(configFilePath()))) {
+    names.add(section.replace(/^profile\s+/, ''));
+  }
+  return [...names].filter(name => !name.startsWith('sso-session '));
+}
@@ -0,0 +1,186 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+import chalk from 'chalk';
+import { getActiveProfile, getRegion, getEndpointUrl, getMaxAttempts, getChimeBearer } from './config.js';
+import { resolveCredentials } from './credentials.js';
+import { splitWords, resolveCommand, complete } from './completion.js';
+import { cachedResources } from './resource-cache.js';
+
+// ============================================================
+// Interactive Shell (awschime shell)
+// ============================================================
+// Each line runs as its own awschime process, so a failing command (which
+// exits) never ends the session. Credentials are resolved once here, which
+// is when MFA and role prompts happen, and handed to every command through
+// the standard AWS environment variables along with the region and the
+// other resolved settings.
+
+const CONTEXT_KINDS = { meeting: 'meeting-id', channel: 'channel-arn' };
+
+// What a typed word must look like to be taken for the argument rather
+// than something after it.
+const ARGUMENT_SHAPES = {
+  'meeting-id': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  'channel-arn': /^arn:/
+};
+
+const BUILTINS = ['use', 'exit'];
+
+async function commandEnv() {
+  const credentials = await resolveCredentials();
+  const env = {
+    ...process.env,
+    AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+    AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+    AWS_PROFILE: getActiveProfile(),
+    AWS_REGION: getRegion(),
+    AWS_MAX_ATTEMPTS: String(getMaxAttempts())
+  };
+  delete env.AWS_SESSION_TOKEN;
+  if (credentials.sessionToken) env.AWS_SESSION_TOKEN = credentials.sessionToken;
+  if (getEndpointUrl()) env.AWS_ENDPOINT_URL = getEndpointUrl();
+  if (getChimeBearer()) env.AWS_CHIME_BEARER = getChimeBearer();
+  return env;
+}
+
+/**
+ * Fills the current meeting or channel into a command that expects one and
+ * was not given it: either too few arguments were typed, or the word in
+ * that position does not look like a meeting ID or ARN.
+ */
+export function applyContext(program, words, context) {
+  const { command, positionals, positionalIndexes } = resolveCommand(program, words);
+  const args = command.registeredArguments;
+  const required = args.filter(arg => arg.required).length;
+  const inserts = [];
+  args.forEach((arg, index) => {
+    const kind = Object.keys(CONTEXT_KINDS).find(name => CONTEXT_KINDS[name] === arg.name());
+    if (!kind || !context[kind]) return;
+    const typedIndex = index - inserts.length;
+    const word = positionals[typedIndex];
+    const missing = positionals.length + inserts.length < required;
+    if (!missing && word !== undefined && ARGUMENT_SHAPES[arg.name()].test(word)) return;
+    inserts.push([word === undefined ? words.length : positionalIndexes[typedIndex], context[kind]]);
+  });
+  const result = [...words];
+  inserts.reverse().forEach(([at, value]) => result.splice(at, 0, value));
+  return result;
+}
+
+function prompt(context) {
+  const parts = [];
+  if (context.meeting) parts.push(`meeting ${context.meeting.slice(0, 8)}`);
+  if (context.channel) parts.push(`channel ${context.channel.split('/').pop().slice(0, 8)}`);
+  return chalk.cyan('awschime') + (parts.length ? chalk.dim(` (${parts.join(', ')})`) : '') + '> ';
+}
+
+function useCommand(args, context) {
+  const [kind, value] = args;
+  if (!kind) {
+    console.log(`meeting: ${context.meeting || chalk.dim('none')}`);
+    console.log(`channel: ${context.channel || chalk.dim('none')}`);
+  } else if (kind === 'clear') {
+    delete context.meeting;
+    delete context.channel;
+  } else if (CONTEXT_KINDS[kind] && value) {
+    context[kind] = value;
+  } else if (CONTEXT_KINDS[kind] && value === undefined) {
+    delete context[kind];
+  } else {
+    console.error(chalk.red('Usage: use meeting <id> | use channel <arn> | use clear'));
+  }
+}
+
+function completeLine(program, line, scope) {
+  let words;
+  try {
+    words = splitWords(line);
+  } catch {
+    return [];
+  }
+  const current = words[words.length - 1];
+  if (words[0] === 'use') {
+    if (words.length === 2) return ['meeting', 'channel', 'clear'].filter(kind => kind.startsWith(current));
+    if (words.length === 3 && CONTEXT_KINDS[words[1]]) {
+      return cachedResources(`${words[1]}s`, { scope }).map(c => c.value).filter(value => value.startsWith(current));
+    }
+    return [];
+  }
+  const candidates = complete(program, words, scope).map(c => c.value);
+  if (words.length === 1) candidates.unshift(...BUILTINS.filter(value => value.startsWith(current)));
+  return candidates;
+}
+
+function runCommand(scriptPath, globalArgs, args, env) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [scriptPath, ...globalArgs, ...args], { stdio: 'inherit', env });
+    child.on('error', (error) => {
+      console.error(chalk.red(error.message));
+      resolve(1);
+    });
+    child.on('close', (code) => resolve(code));
+  });
+}
+
+/**
+ * Runs the read-eval loop until `exit` or end of input. `globalArgs` are
+ * output flags (--output, --no-truncate, ...) passed on to every command.
+ */
+export async function startShell(program, { scriptPath, globalArgs = [] }) {
+  await commandEnv();
+  const scope = { profile: getActiveProfile(), region: getRegion() };
+  const context = {};
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: (line) => {
+      const candidates = completeLine(program, line, scope);
+      const current = line.match(/(\S*)$/)[1];
+      return [candidates, current];
+    },
+    historySize: 500
+  });
+  // Ctrl+C at the prompt drops the line being typed, as in other shells.
+  rl.on('SIGINT', () => {
+    rl.write(null, { ctrl: true, name: 'u' });
+    process.stdout.write('\n');
+    rl.prompt();
+  });
+  console.log(chalk.dim(`Profile ${scope.profile}, region ${scope.region}. Tab completes commands and cached IDs; 'exit' leaves.`));
+
+  rl.setPrompt(prompt(context));
+  rl.prompt();
+  for await (const line of rl) {
+    let words = [];
+    try {
+      words = line.trim() ? splitWords(line.trim()) : [];
+    } catch (error) {
+      console.error(chalk.red(error.message));
+    }
+
+    if (words[0] === 'exit' || words[0] === 'quit') break;
+    if (words[0] === 'use') {
+      useCommand(words.slice(1), context);
+    } else if (words[0] === 'shell') {
+      console.error(chalk.yellow('Already in the shell.'));
+    } else if (words.length > 0) {
+      rl.pause();
+      // Ctrl+C belongs to the command while it runs, not to the shell.
+      const ignore = () => {};
+      process.on('SIGINT', ignore);
+      if (process.stdin.isTTY) process.stdin.setRawMode(false);
+      try {
+        await runCommand(scriptPath, globalArgs, applyContext(program, words, context), await commandEnv());
+      } catch (error) {
+        console.error(chalk.red(error.message));
+      }
+      if (process.stdin.isTTY) process.stdin.setRawMode(true);
+      process.off('SIGINT', ignore);
+      rl.resume();
+    }
+    rl.setPrompt(prompt(context));
+    rl.prompt();
+  }
+  rl.close();
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+
+const DEFAULT_SERVICE = 'chime';
+
+// ============================================================
+// AWS SigV4 Request Signing
+// ============================================================
+
+function sign(key, msg) {
+  return crypto.createHmac('sha256', key).update(msg).digest();
+}
+
+export function getSignatureKey(key, dateStamp, region, service) {
+  const kDate = sign('AWS4' + key, dateStamp);
+  const kRegion = sign(kDate, region);
+  const kService = sign(kRegion, service);
+  return sign(kService, 'aws4_request');
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// SigV4 requires query parameters sorted by name and strictly URI-encoded.
+export function buildQueryString(params) {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(String(value))])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+export function hashHex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Every service except S3 signs the path with each segment encoded a second
+// time, so an ARN sent as `arn%3Aaws%3A...` is signed as `arn%253Aaws%253A...`.
+function canonicalUri(path) {
+  return (path || '/').split('/').map(encodeRfc3986).join('/');
+}
+
+// `path` is the request path as sent on the wire. `headers` must already be
+// lower-cased; only the named headers are signed.
+export function buildCanonicalRequest({ method, path, queryString, headers, signedHeaderNames, contentHash }) {
+  const canonicalHeaders = signedHeaderNames.map(k => `${k}:${headers[k]}\n`).join('');
+  return [method, canonicalUri(path), queryString || '', canonicalHeaders, signedHeaderNames.join(';'), contentHash].join('\n');
+}
+
+export function computeSignature({ secretAccessKey, amzDate, region, service, canonicalRequest }) {
+  const dateStamp = amzDate.substring(0, 8);
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, hashHex(canonicalRequest)].join('\n');
+  const signingKey = getSignatureKey(secretAccessKey, dateStamp, region, service);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return { signature, credentialScope, stringToSign };
+}
+
+function getAmzDate(clockOffsetMs = 0) {
+  return new Date(Date.now() + clockOffsetMs).toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Signs a request with SigV4. `body` may be an object (sent as JSON) or an
+ * already-encoded string sent with `contentType`. `clockOffsetMs` shifts the
+ * signing time to compensate for a skewed local clock. Extra `headers` are
+ * included in the signature. The canonical request and string-to-sign are
+ * returned alongside the headers for debugging.
+ */
+export function buildSignedHeaders({
+  method, path, body, queryString, host, region, service = DEFAULT_SERVICE,
+  contentType = 'application/json', headers: extraHeaders = {},
+  accessKeyId, secretAccessKey, sessionToken, clockOffsetMs = 0
+}) {
+  const amzDate = getAmzDate(clockOffsetMs);
+
+  const bodyStr = typeof body === 'string' ? body : (body ? JSON.stringify(body) : '');
+  const contentHash = hashHex(bodyStr);
+
+  const headers = {
+    'content-type': contentType,
+    'host': host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': contentHash
+  };
+  if (sessionToken) headers['x-amz-security-token'] = sessionToken;
+  for (const [name, value] of Object.entries(extraHeaders)) {
+    if (value !== undefined) headers[name.toLowerCase()] = String(value).trim();
+  }
+
+  const signedHeaderNames = Object.keys(headers).sort();
+  const canonicalRequest = buildCanonicalRequest({ method, path, queryString, headers, signedHeaderNames, contentHash });
+  const { signature, credentialScope, stringToSign } = computeSignature({ secretAccessKey, amzDate, region, service, canonicalRequest });
+  const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`;
+
+  return { headers: { ...headers, authorization }, bodyStr, canonicalRequest, stringToSign };
+}
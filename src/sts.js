@@ -0,0 +1,115 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+import { buildSignedHeaders } from './signer.js';
+
+const STS_VERSION = '2011-06-15';
+
+// ============================================================
+// Disk Cache
+// ============================================================
+
+function cacheFile(key) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex');
+  return path.join(getConfigDir(), 'cache', `${hash}.json`);
+}
+
+function readCache(key) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(key), 'utf8'));
+    return { ...entry, expiration: new Date(entry.expiration) };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(key, credentials) {
+  const file = cacheFile(key);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(credentials), { mode: 0o600 });
+}
+
+// ============================================================
+// AssumeRole
+// ============================================================
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1] : undefined;
+}
+
+function stsEndpoint(region) {
+  return process.env.AWS_ENDPOINT_URL_STS || `https://sts.${region}.amazonaws.com`;
+}
+
+async function callAssumeRole({ credentials, region, roleArn, roleSessionName, externalId, serialNumber, tokenCode, durationSeconds }) {
+  const params = {
+    Action: 'AssumeRole',
+    Version: STS_VERSION,
+    RoleArn: roleArn,
+    RoleSessionName: roleSessionName
+  };
+  if (externalId) params.ExternalId = externalId;
+  if (serialNumber) { params.SerialNumber = serialNumber; params.TokenCode = tokenCode; }
+  if (durationSeconds) params.DurationSeconds = String(durationSeconds);
+
+  const baseUrl = stsEndpoint(region).replace(/\/+$/, '');
+  const body = new URLSearchParams(params).toString();
+  const { headers } = buildSignedHeaders({
+    method: 'POST',
+    path: '/',
+    body,
+    host: new URL(baseUrl).host,
+    region,
+    service: 'sts',
+    contentType: 'application/x-www-form-urlencoded',
+    ...credentials
+  });
+
+  let response;
+  try {
+    response = await axios({ method: 'POST', url: baseUrl + '/', headers, data: body, responseType: 'text' });
+  } catch (error) {
+    const detail = error.response ? xmlValue(String(error.response.data), 'Message') || `HTTP ${error.response.status}` : error.message;
+    throw new Error(`AssumeRole for ${roleArn} failed: ${detail}`);
+  }
+
+  const xml = String(response.data);
+  const accessKeyId = xmlValue(xml, 'AccessKeyId');
+  if (!accessKeyId) throw new Error(`AssumeRole for ${roleArn} returned no credentials`);
+  return {
+    accessKeyId,
+    secretAccessKey: xmlValue(xml, 'SecretAccessKey'),
+    sessionToken: xmlValue(xml, 'SessionToken'),
+    expiration: new Date(xmlValue(xml, 'Expiration'))
+  };
+}
+
+/**
+ * Returns temporary credentials for `roleArn`, reusing a cached set from disk
+ * while it is still valid. `getTokenCode` is only called when an MFA device
+ * is configured and nothing usable is cached.
+ */
+export async function assumeRole({ sourceCredentials, region, roleArn, roleSessionName, externalId, mfaSerial, durationSeconds, getTokenCode, minValidityMs = 0 }) {
+  const sessionName = roleSessionName || `awschime-${Date.now()}`;
+  const key = { roleArn, sourceAccessKeyId: sourceCredentials.accessKeyId, externalId, mfaSerial, roleSessionName, durationSeconds };
+
+  const cached = readCache(key);
+  if (cached && cached.expiration.getTime() - Date.now() > minValidityMs) return cached;
+
+  const tokenCode = mfaSerial ? await getTokenCode(mfaSerial) : undefined;
+  const credentials = await callAssumeRole({
+    credentials: sourceCredentials,
+    region,
+    roleArn,
+    roleSessionName: sessionName,
+    externalId,
+    serialNumber: mfaSerial,
+    tokenCode,
+    durationSeconds
+  });
+  writeCache(key, credentials);
+  return credentials;
+}
@@ -0,0 +1,173 @@
+import {
+  deleteMeeting, deleteAttendee, stopMeetingTranscription,
+  createChannel, updateChannel, deleteChannel,
+  createChannelMembership, deleteChannelMembership, createChannelModerator, deleteChannelModerator,
+  createChannelBan, deleteChannelBan, deleteChannelMessage,
+  deleteAppInstance, deleteAppInstanceUser, createAppInstanceAdmin, deleteAppInstanceAdmin,
+  deleteMediaCapturePipeline,
+  deleteVoiceConnector, associatePhoneNumbersWithVoiceConnector, disassociatePhoneNumbersFromVoiceConnector,
+  deleteSipMediaApplication, deleteSipRule
+} from './api.js';
+import { withJournalContext } from './journal.js';
+
+// ============================================================
+// Undo
+// ============================================================
+// Each inverse is rebuilt from what the journal recorded: the IDs returned
+// by a create, the path of a delete, or the `before` snapshot taken ahead of
+// channel updates and deletes. Messaging inverses run as the bearer the
+// original call used. Anything without a safe inverse (meeting deletes,
+// redactions, message edits, phone number orders) is reported as not
+// undoable.
+
+function appInstanceOf(channelArn) {
+  return channelArn.split('/channel/')[0];
+}
+
+const INVERSES = {
+  meeting: {
+    create: ({ ids }) => ids.MeetingId && {
+      description: `Delete meeting ${ids.MeetingId}`,
+      run: () => deleteMeeting(ids.MeetingId)
+    },
+    'create-attendees': (entry) => INVERSES.meeting.create(entry)
+  },
+  attendee: {
+    // Batch creates are left alone: the journal keeps one ID per entry.
+    create: ({ params, ids }) => ids.AttendeeId && {
+      description: `Delete attendee ${ids.AttendeeId} from meeting ${params.meetingId}`,
+      run: () => deleteAttendee(params.meetingId, ids.AttendeeId)
+    }
+  },
+  transcription: {
+    start: ({ params }) => ({
+      description: `Stop transcription for meeting ${params.meetingId}`,
+      run: () => stopMeetingTranscription(params.meetingId)
+    })
+  },
+  channel: {
+    create: ({ ids, bearer }) => ids.ChannelArn && {
+      description: `Delete channel ${ids.ChannelArn}`,
+      run: () => deleteChannel(ids.ChannelArn, { chimeBearer: bearer })
+    },
+    update: ({ params, before, bearer }) => before && {
+      description: `Restore name '${before.Name}' and mode ${before.Mode} on channel ${params.channelArn}`,
+      run: () => updateChannel(params.channelArn, {
+        name: before.Name, mode: before.Mode, metadata: before.Metadata || '', chimeBearer: bearer
+      })
+    },
+    // Memberships and messages are not restored, and the channel gets a new ARN.
+    delete: ({ params, before, bearer }) => before && {
+      description: `Recreate channel '${before.Name}' (${before.Mode}, ${before.Privacy}); it will get a new ARN`,
+      run: () => createChannel({
+        appInstanceArn: appInstanceOf(params.channelArn),
+        name: before.Name,
+        mode: before.Mode,
+        privacy: before.Privacy,
+        metadata: before.Metadata,
+        chimeBearer: bearer
+      })
+    }
+  },
+  membership: {
+    create: ({ params, body, bearer }) => body?.MemberArn && {
+      description: `Remove ${body.MemberArn} from channel ${params.channelArn}`,
+      run: () => deleteChannelMembership(params.channelArn, body.MemberArn, { chimeBearer: bearer })
+    },
+    delete: ({ params, bearer }) => ({
+      description: `Add ${params.memberArn} back to channel ${params.channelArn}`,
+      run: () => createChannelMembership(params.channelArn, params.memberArn, { chimeBearer: bearer })
+    })
+  },
+  moderator: {
+    create: ({ params, body, bearer }) => ({
+      description: `Remove moderator ${body.ChannelModeratorArn} from channel ${params.channelArn}`,
+      run: () => deleteChannelModerator(params.channelArn, body.ChannelModeratorArn, { chimeBearer: bearer })
+    }),
+    delete: ({ params, bearer }) => ({
+      description: `Make ${params.moderatorArn} a moderator of channel ${params.channelArn} again`,
+      run: () => createChannelModerator(params.channelArn, params.moderatorArn, { chimeBearer: bearer })
+    })
+  },
+  ban: {
+    create: ({ params, body, bearer }) => ({
+      description: `Lift the ban on ${body.MemberArn} in channel ${params.channelArn}`,
+      run: () => deleteChannelBan(params.channelArn, body.MemberArn, { chimeBearer: bearer })
+    }),
+    delete: ({ params, bearer }) => ({
+      description: `Ban ${params.memberArn} from channel ${params.channelArn} again`,
+      run: () => createChannelBan(params.channelArn, params.memberArn, { chimeBearer: bearer })
+    })
+  },
+  message: {
+    create: ({ params, ids, bearer }) => ids.MessageId && {
+      description: `Delete message ${ids.MessageId} from channel ${params.channelArn}`,
+      run: () => deleteChannelMessage(params.channelArn, ids.MessageId, { chimeBearer: bearer })
+    }
+  },
+  'app-instance': {
+    create: ({ ids }) => ids.AppInstanceArn && {
+      description: `Delete app instance ${ids.AppInstanceArn}`,
+      run: () => deleteAppInstance(ids.AppInstanceArn)
+    }
+  },
+  admin: {
+    create: ({ params, body }) => ({
+      description: `Remove admin ${body.AppInstanceAdminArn} from ${params.appInstanceArn}`,
+      run: () => deleteAppInstanceAdmin(params.appInstanceArn, body.AppInstanceAdminArn)
+    }),
+    delete: ({ params }) => ({
+      description: `Make ${params.adminArn} an admin of ${params.appInstanceArn} again`,
+      run: () => createAppInstanceAdmin(params.appInstanceArn, params.adminArn)
+    })
+  },
+  user: {
+    create: ({ ids }) => ids.AppInstanceUserArn && {
+      description: `Delete app instance user ${ids.AppInstanceUserArn}`,
+      run: () => deleteAppInstanceUser(ids.AppInstanceUserArn)
+    }
+  },
+  recording: {
+    create: ({ ids }) => ids.MediaPipelineId && {
+      description: `Stop recording ${ids.MediaPipelineId}`,
+      run: () => deleteMediaCapturePipeline(ids.MediaPipelineId)
+    }
+  },
+  'voice-connector': {
+    create: ({ ids }) => ids.VoiceConnectorId && {
+      description: `Delete voice connector ${ids.VoiceConnectorId}`,
+      run: () => deleteVoiceConnector(ids.VoiceConnectorId)
+    },
+    'associate-phone-numbers': ({ params, body }) => body?.E164PhoneNumbers && {
+      description: `Disassociate ${body.E164PhoneNumbers.join(', ')} from voice connector ${params.voiceConnectorId}`,
+      run: () => disassociatePhoneNumbersFromVoiceConnector(params.voiceConnectorId, body.E164PhoneNumbers)
+    },
+    'disassociate-phone-numbers': ({ params, body }) => body?.E164PhoneNumbers && {
+      description: `Associate ${body.E164PhoneNumbers.join(', ')} with voice connector ${params.voiceConnectorId} again`,
+      run: () => associatePhoneNumbersWithVoiceConnector(params.voiceConnectorId, body.E164PhoneNumbers)
+    }
+  },
+  'sip-media-application': {
+    create: ({ ids }) => ids.SipMediaApplicationId && {
+      description: `Delete SIP media application ${ids.SipMediaApplicationId}`,
+      run: () => deleteSipMediaApplication(ids.SipMediaApplicationId)
+    }
+  },
+  'sip-rule': {
+    create: ({ ids }) => ids.SipRuleId && {
+      description: `Delete SIP rule ${ids.SipRuleId}`,
+      run: () => deleteSipRule(ids.SipRuleId)
+    }
+  }
+};
+
+/**
+ * Returns `{ description, run }` for the call that reverses `entry`, or
+ * null when the operation has no inverse or the journal lacks what the
+ * inverse needs. `run` records its own journal entry with `undoOf` set.
+ */
+export function inverseOf(entry) {
+  const inverse = INVERSES[entry.type]?.[entry.action]?.({ ids: {}, params: {}, ...entry });
+  if (!inverse) return null;
+  return { description: inverse.description, run: () => withJournalContext({ undoOf: entry.id }, inverse.run) };
+}
@@ -0,0 +1,122 @@
+import { getMeeting, listMeetings, listAttendees } from './api.js';
+import { NotFoundError } from './errors.js';
+
+// ============================================================
+// Meeting Watch
+// ============================================================
+// Polls meetings and their attendees and diffs successive snapshots into
+// typed events. A snapshot maps meeting ID to `{ meeting, attendees }`, where
+// `attendees` maps attendee ID to the attendee.
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+function meetingEvent(type, meeting, time) {
+  return { type, time, meetingId: meeting.MeetingId, externalMeetingId: meeting.ExternalMeetingId };
+}
+
+function attendeeEvent(type, meeting, attendee, time) {
+  return {
+    ...meetingEvent(type, meeting, time),
+    attendeeId: attendee.AttendeeId,
+    externalUserId: attendee.ExternalUserId
+  };
+}
+
+/**
+ * Returns the events that turn `previous` into `current`. A new meeting
+ * yields meeting-created followed by an attendee-added per attendee; an
+ * ended meeting yields only meeting-ended.
+ */
+export function diffSnapshots(previous, current, time = new Date().toISOString()) {
+  const events = [];
+  for (const [meetingId, { meeting, attendees }] of current) {
+    const before = previous.get(meetingId);
+    if (!before) events.push(meetingEvent('meeting-created', meeting, time));
+    for (const [attendeeId, attendee] of attendees) {
+      if (!before?.attendees.has(attendeeId)) events.push(attendeeEvent('attendee-added', meeting, attendee, time));
+    }
+    if (!before) continue;
+    for (const [attendeeId, attendee] of before.attendees) {
+      if (!attendees.has(attendeeId)) events.push(attendeeEvent('attendee-removed', meeting, attendee, time));
+    }
+  }
+  for (const [meetingId, { meeting }] of previous) {
+    if (!current.has(meetingId)) events.push(meetingEvent('meeting-ended', meeting, time));
+  }
+  return events;
+}
+
+async function snapshotMeeting(meeting) {
+  const attendees = await listAttendees(meeting.MeetingId);
+  return [meeting.MeetingId, { meeting, attendees: new Map(attendees.map(a => [a.AttendeeId, a])) }];
+}
+
+// A meeting that ends between the two calls is simply left out.
+async function takeSnapshot(meetingId) {
+  let meetings;
+  if (meetingId) {
+    try {
+      const result = await getMeeting(meetingId);
+      meetings = [result.Meeting || result];
+    } catch (error) {
+      if (error instanceof NotFoundError) return new Map();
+      throw error;
+    }
+  } else {
+    meetings = await listMeetings();
+  }
+
+  const entries = [];
+  for (const meeting of meetings) {
+    try {
+      entries.push(await snapshotMeeting(meeting));
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+    }
+  }
+  return new Map(entries);
+}
+
+/**
+ * Polls one meeting (or every meeting when `meetingId` is omitted) every
+ * `intervalMs` and awaits `onEvent` for each change, in order. The first
+ * snapshot is handed to `onSnapshot` as the baseline and produces no events.
+ * Retryable failures that outlast the request retries go to `onError` and
+ * polling continues; anything else is thrown. Watching a single meeting
+ * stops once it ends; otherwise the loop runs until `signal` aborts.
+ */
+export async function watchMeetings({ meetingId, intervalMs = 5000, signal, onEvent, onSnapshot, onError }) {
+  let previous = await takeSnapshot(meetingId);
+  if (meetingId && previous.size === 0) throw new NotFoundError(`Meeting ${meetingId} not found`, { status: 404 });
+  if (onSnapshot) await onSnapshot(previous);
+
+  while (!signal?.aborted) {
+    await sleep(intervalMs, signal);
+    if (signal?.aborted) break;
+
+    let current;
+    try {
+      current = await takeSnapshot(meetingId);
+    } catch (error) {
+      if (!error.retryable || !onError) throw error;
+      onError(error);
+      continue;
+    }
+
+    for (const event of diffSnapshots(previous, current)) {
+      await onEvent(event);
+    }
+    previous = current;
+    if (meetingId && current.size === 0) break;
+  }
+}
@@ -0,0 +1,129 @@
+import { startMock, resetMock, APP_INSTANCE_ARN, BEARER } from './helpers/mock.js';
+import { testHome } from './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createChannel, sendChannelMessage, listChannelMessages } from '../src/api.js';
+import { exportChannel, readArchive, importChannel } from '../src/archive.js';
+import { NotFoundError } from '../src/errors.js';
+
+// ============================================================
+// channels export / import (archive.js)
+// ============================================================
+
+let mock;
+let target;
+const checkpointFile = path.join(testHome, 'import.checkpoint.json');
+const ALICE = `${APP_INSTANCE_ARN}/user/alice`;
+
+before(async () => {
+  mock = await startMock();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  await resetMock(mock);
+  fs.rmSync(checkpointFile, { force: true });
+  ({ ChannelArn: target } = await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'target', chimeBearer: BEARER }));
+});
+
+function archived(id, content, extra = {}) {
+  return { MessageId: id, Content: content, CreatedTimestamp: 1767225600, Sender: { Arn: ALICE, Name: 'Alice' }, ...extra };
+}
+
+async function received() {
+  const messages = await listChannelMessages(target, { sortOrder: 'ASCENDING', chimeBearer: BEARER });
+  return messages.map(message => [message.Content, message.Sender.Arn]);
+}
+
+function writeFile(name, lines) {
+  const file = path.join(testHome, name);
+  fs.writeFileSync(file, lines.join('\n'));
+  return file;
+}
+
+// ---------- Reading ----------
+
+test('readArchive keeps the header and the replayable messages', () => {
+  const file = writeFile('archive.jsonl', [
+    JSON.stringify({ Channel: { Name: 'general' }, ExportedAt: '2026-01-01T00:00:00Z' }),
+    JSON.stringify(archived('m1', 'hello')),
+    '',
+    JSON.stringify(archived('m2', '', { Redacted: true })),
+    JSON.stringify(archived('m3', '')),
+    JSON.stringify(archived('m4', 'bye')) + '\r'
+  ]);
+  const { channel, messages } = readArchive(file);
+  assert.deepEqual(channel, { Name: 'general' });
+  assert.deepEqual(messages.map(m => m.MessageId), ['m1', 'm4']);
+});
+
+test('readArchive names the line that is not JSON', () => {
+  const file = writeFile('broken.jsonl', [JSON.stringify({ Channel: {} }), '{"MessageId":']);
+  assert.throws(() => readArchive(file), /broken\.jsonl:2 is not valid JSON/);
+});
+
+test('an exported channel reads back as its messages', async () => {
+  const { ChannelArn: source } = await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'source', chimeBearer: BEARER });
+  await sendChannelMessage(source, { content: 'one', chimeBearer: BEARER });
+  await sendChannelMessage(source, { content: 'two', chimeBearer: ALICE });
+
+  const { content, count } = await exportChannel(source, { chimeBearer: BEARER });
+  assert.equal(count, 2);
+  const { channel, messages } = readArchive(writeFile('export.jsonl', [content]));
+  assert.equal(channel.Name, 'source');
+  assert.deepEqual(messages.map(m => [m.Content, m.SenderName]), [['one', 'tester'], ['two', 'alice']]);
+});
+
+// ---------- Importing ----------
+
+test('importChannel attributes messages and removes the checkpoint', async () => {
+  const progress = [];
+  const result = await importChannel(target, [archived('m1', 'hello'), archived('m2', 'bye', { SenderName: 'Alice A.' })], {
+    checkpointFile, ratePerSecond: 1000, chimeBearer: BEARER, onProgress: (p) => progress.push(p)
+  });
+  assert.deepEqual(result, { sent: 2, skipped: 0 });
+  assert.deepEqual(await received(), [
+    ['[2026-01-01T00:00:00.000Z] Alice: hello', BEARER],
+    ['[2026-01-01T00:00:00.000Z] Alice A.: bye', BEARER]
+  ]);
+  assert.deepEqual(progress.at(-1), { sent: 2, total: 2, skipped: 0 });
+  assert.ok(!fs.existsSync(checkpointFile));
+});
+
+test('importChannel can send as the original senders', async () => {
+  await importChannel(target, [archived('m1', 'hello')], { checkpointFile, ratePerSecond: 1000, preserveSenders: true, chimeBearer: BEARER });
+  assert.deepEqual(await received(), [['hello', ALICE]]);
+});
+
+test('importChannel resumes from its checkpoint after a failure', async () => {
+  const messages = [archived('m1', 'one'), archived('m2', 'two'), archived('m3', 'three')];
+  const options = { checkpointFile, ratePerSecond: 1000, attribution: false, chimeBearer: BEARER };
+
+  // The first message gets through, the second fails.
+  mock.faults.failNext = [{ status: 0, count: 1 }, { status: 404, count: 1 }];
+  await assert.rejects(importChannel(target, messages, options), NotFoundError);
+  assert.deepEqual(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')), { targetChannelArn: target, sent: ['m1'] });
+
+  assert.deepEqual(await importChannel(target, messages, options), { sent: 2, skipped: 1 });
+  assert.deepEqual((await received()).map(([content]) => content), ['one', 'two', 'three']);
+  assert.ok(!fs.existsSync(checkpointFile));
+});
+
+test('importChannel refuses a checkpoint for another channel', async () => {
+  fs.writeFileSync(checkpointFile, JSON.stringify({ targetChannelArn: `${APP_INSTANCE_ARN}/channel/other`, sent: [] }));
+  await assert.rejects(
+    importChannel(target, [archived('m1', 'hello')], { checkpointFile, ratePerSecond: 1000, chimeBearer: BEARER }),
+    /belongs to .*channel\/other/
+  );
+  assert.deepEqual(await received(), []);
+});
+
+test('importChannel needs a checkpoint file and a usable rate', async () => {
+  await assert.rejects(importChannel(target, [], { chimeBearer: BEARER }), /needs a checkpointFile/);
+  for (const ratePerSecond of [0, -1, Infinity, NaN]) {
+    await assert.rejects(importChannel(target, [], { checkpointFile, ratePerSecond }), /Invalid import rate/);
+  }
+});
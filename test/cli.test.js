@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMockServer } from '../src/mock-server.js';
+import { ForbiddenError, NotFoundError, ThrottlingError, ServiceError, ValidationError, NetworkError } from '../src/errors.js';
+
+// ============================================================
+// CLI exit codes against the mock server
+// ============================================================
+// The CLI runs as a child process with a throwaway HOME, so no real
+// profile, config or journal is read or written.
+
+const BIN = fileURLToPath(new URL('../bin/awschime.js', import.meta.url));
+const mock = createMockServer();
+let endpoint;
+let home;
+
+function awschime(args, { secretAccessKey = 'test', endpointUrl = endpoint } = {}) {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: home,
+    XDG_CONFIG_HOME: path.join(home, '.config'),
+    AWS_ACCESS_KEY_ID: 'test',
+    AWS_SECRET_ACCESS_KEY: secretAccessKey,
+    AWS_REGION: 'us-east-1',
+    NO_COLOR: '1'
+  };
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, '--endpoint-url', endpointUrl, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+before(async () => {
+  const { port } = await mock.listen(0);
+  endpoint = `http://127.0.0.1:${port}`;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'awschime-test-'));
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.faults.failNext = [];
+});
+
+test('exits 0 and prints JSON on success', async () => {
+  const created = await awschime(['--output', 'json', 'meetings', 'create', '--external-id', 'cli']);
+  assert.equal(created.code, 0, created.stderr);
+  const { MeetingId } = JSON.parse(created.stdout);
+
+  const fetched = await awschime(['--output', 'json', 'meetings', 'get', MeetingId]);
+  assert.equal(fetched.code, 0, fetched.stderr);
+  assert.equal(JSON.parse(fetched.stdout).ExternalMeetingId, 'cli');
+});
+
+test('exits with the NotFoundError code for a missing meeting', async () => {
+  const result = await awschime(['meetings', 'get', 'missing']);
+  assert.equal(result.code, NotFoundError.exitCode);
+  assert.match(result.stderr, /not found/i);
+});
+
+test('exits with the ForbiddenError code when the signature is rejected', async () => {
+  const result = await awschime(['meetings', 'list'], { secretAccessKey: 'wrong' });
+  assert.equal(result.code, ForbiddenError.exitCode);
+  assert.match(result.stderr, /InvalidSignatureException/);
+});
+
+test('exits with the ValidationError code for a rejected request', async () => {
+  mock.faults.failNext = [{ status: 400, count: 1 }];
+  const result = await awschime(['meetings', 'list']);
+  assert.equal(result.code, ValidationError.exitCode);
+});
+
+test('exits with the ThrottlingError code once retries run out', async () => {
+  mock.faults.failNext = [{ status: 429, count: 2 }];
+  const result = await awschime(['--max-attempts', '2', 'meetings', 'list']);
+  assert.equal(result.code, ThrottlingError.exitCode);
+  assert.equal(mock.faults.failNext.length, 0);
+});
+
+test('exits with the ServiceError code once retries run out', async () => {
+  mock.faults.failNext = [{ status: 503, count: 1 }];
+  const result = await awschime(['--max-attempts', '1', 'meetings', 'list']);
+  assert.equal(result.code, ServiceError.exitCode);
+});
+
+test('recovers from a server error within the retry budget', async () => {
+  mock.faults.failNext = [{ status: 500, count: 1 }];
+  const result = await awschime(['--max-attempts', '2', 'meetings', 'list']);
+  assert.equal(result.code, 0, result.stderr);
+});
+
+test('exits with the NetworkError code when nothing is listening', async () => {
+  const result = await awschime(['--max-attempts', '1', 'meetings', 'list'], { endpointUrl: 'http://127.0.0.1:9' });
+  assert.equal(result.code, NetworkError.exitCode);
+});
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChimeClient, ForbiddenError, NotFoundError, ThrottlingError, ServiceError, httpTransport } from '../src/client.js';
+import { createMockServer } from '../src/mock-server.js';
+
+// ============================================================
+// ChimeClient against the mock server
+// ============================================================
+
+const requests = [];
+const mock = createMockServer({ onRequest: (entry) => requests.push(entry) });
+let endpoint;
+
+function client({ secretAccessKey = 'test', ...options } = {}) {
+  return new ChimeClient({
+    credentials: { accessKeyId: 'test', secretAccessKey },
+    endpoint,
+    retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 },
+    ...options
+  });
+}
+
+before(async () => {
+  const { port } = await mock.listen(0);
+  endpoint = `http://127.0.0.1:${port}`;
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  await fetch(`${endpoint}/_mock/reset`, { method: 'POST' });
+  mock.faults.failNext = [];
+  requests.length = 0;
+});
+
+// ---------- Signatures ----------
+
+test('accepts requests signed with the server credentials', async () => {
+  const { Meeting } = await client().createMeeting({ externalMeetingId: 'signed' });
+  const fetched = await client().getMeeting(Meeting.MeetingId);
+  assert.equal(fetched.Meeting.ExternalMeetingId, 'signed');
+});
+
+test('rejects a signature made with the wrong secret', async () => {
+  await assert.rejects(client({ secretAccessKey: 'wrong' }).listMeetings(), (error) => {
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(error.code, 'InvalidSignatureException');
+    assert.equal(error.status, 403);
+    return true;
+  });
+  // The server clock agrees with ours, so this is not mistaken for skew.
+  assert.equal(requests.length, 1);
+});
+
+test('rejects an unknown access key', async () => {
+  const stranger = new ChimeClient({ credentials: { accessKeyId: 'nobody', secretAccessKey: 'test' }, endpoint });
+  await assert.rejects(stranger.listMeetings(), (error) => {
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(error.code, 'UnrecognizedClientException');
+    return true;
+  });
+});
+
+test('rejects a request altered after signing', async () => {
+  const tamper = (request) => httpTransport({ ...request, url: request.url.replace('max-results=2', 'max-results=3') });
+  await assert.rejects(client({ transport: tamper }).listMeetings({ pageSize: 2 }), (error) => {
+    assert.ok(error instanceof ForbiddenError);
+    assert.equal(error.code, 'InvalidSignatureException');
+    return true;
+  });
+});
+
+// ---------- Pagination ----------
+
+test('follows NextToken across pages', async () => {
+  const chime = client();
+  for (let i = 0; i < 5; i++) await chime.createMeeting({ externalMeetingId: `page-${i}` });
+  requests.length = 0;
+
+  const meetings = await chime.listMeetings({ pageSize: 2 });
+  assert.deepEqual(meetings.map(m => m.ExternalMeetingId), ['page-0', 'page-1', 'page-2', 'page-3', 'page-4']);
+  assert.equal(requests.filter(r => r.method === 'GET').length, 3);
+});
+
+test('stops at maxPages and resumes from the reported token', async () => {
+  const chime = client();
+  for (let i = 0; i < 5; i++) await chime.createMeeting({ externalMeetingId: `resume-${i}` });
+
+  const tokens = [];
+  const first = await chime.listMeetings({ pageSize: 2, maxPages: 1, onPage: ({ nextToken }) => tokens.push(nextToken) });
+  assert.equal(first.length, 2);
+  assert.equal(tokens.length, 1);
+
+  const rest = await chime.listMeetings({ pageSize: 2, startingToken: tokens[0] });
+  assert.deepEqual(rest.map(m => m.ExternalMeetingId), ['resume-2', 'resume-3', 'resume-4']);
+});
+
+test('stops after limit items', async () => {
+  const chime = client();
+  for (let i = 0; i < 5; i++) await chime.createMeeting({ externalMeetingId: `limit-${i}` });
+  assert.equal((await chime.listMeetings({ pageSize: 2, limit: 3 })).length, 3);
+});
+
+// ---------- Retries ----------
+
+test('retries throttling until it succeeds', async () => {
+  mock.faults.failNext = [{ status: 429, count: 2 }];
+  const meetings = await client().listMeetings();
+  assert.deepEqual(meetings, []);
+  assert.deepEqual(requests.map(r => r.status), [429, 429, 200]);
+});
+
+test('retries server errors until it succeeds', async () => {
+  mock.faults.failNext = [{ status: 500, count: 1 }, { status: 503, count: 1 }];
+  await client().listMeetings();
+  assert.deepEqual(requests.map(r => r.status), [500, 503, 200]);
+});
+
+test('gives up after maxAttempts with a typed error', async () => {
+  mock.faults.failNext = [{ status: 500, count: 5 }];
+  await assert.rejects(client({ retry: { maxAttempts: 2, baseDelayMs: 1 } }).listMeetings(), (error) => {
+    assert.ok(error instanceof ServiceError);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+  assert.equal(requests.length, 2);
+
+  mock.faults.failNext = [{ status: 429, count: 5 }];
+  await assert.rejects(client({ retry: { maxAttempts: 1 } }).listMeetings(), ThrottlingError);
+  assert.equal(requests.length, 3);
+});
+
+test('does not retry client errors', async () => {
+  await assert.rejects(client().getMeeting('missing'), (error) => {
+    assert.ok(error instanceof NotFoundError);
+    assert.equal(error.code, 'NotFoundException');
+    assert.ok(error.requestId);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,20 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Gives the test process a throwaway HOME (so config, caches and the
+// journal never touch real ones) and test credentials. Import it before
+// anything from src/ that reads config.
+
+export const testHome = fs.mkdtempSync(path.join(os.tmpdir(), 'awschime-test-'));
+
+process.env.HOME = testHome;
+process.env.XDG_CONFIG_HOME = path.join(testHome, '.config');
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+process.env.AWS_REGION = 'us-east-1';
+for (const name of ['AWS_PROFILE', 'AWS_SESSION_TOKEN', 'AWS_ENDPOINT_URL', 'AWS_CHIME_BEARER', 'AWS_MAX_ATTEMPTS']) {
+  delete process.env[name];
+}
+
+process.on('exit', () => fs.rmSync(testHome, { recursive: true, force: true }));
@@ -0,0 +1,22 @@
+import './env.js';
+import { setRuntimeOptions } from '../../src/config.js';
+import { createMockServer } from '../../src/mock-server.js';
+
+// Starts a mock server and points the CLI's shared client (api.js) at it.
+// Call once per test file, before the first API call; the client is built
+// on first use and keeps the endpoint for the life of the process.
+export async function startMock(options) {
+  const mock = createMockServer(options);
+  const { port } = await mock.listen(0);
+  mock.endpoint = `http://127.0.0.1:${port}`;
+  setRuntimeOptions({ endpointUrl: mock.endpoint, maxAttempts: 1 });
+  return mock;
+}
+
+export function resetMock(mock) {
+  mock.faults.failNext = [];
+  return fetch(`${mock.endpoint}/_mock/reset`, { method: 'POST' });
+}
+
+export const APP_INSTANCE_ARN = 'arn:aws:chime:us-east-1:123456789012:app-instance/test';
+export const BEARER = `${APP_INSTANCE_ARN}/user/tester`;
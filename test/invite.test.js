@@ -0,0 +1,151 @@
+import { startMock, resetMock } from './helpers/mock.js';
+import { testHome } from './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createMeeting, createAttendee } from '../src/api.js';
+import { NotFoundError } from '../src/errors.js';
+import {
+  checkJoinUrlTemplate, buildJoinUrl, renderIcs, fileStems, writeInvite, prepareAttendees
+} from '../src/invite.js';
+
+// ============================================================
+// meetings invite (invite.js)
+// ============================================================
+
+let mock;
+
+before(async () => {
+  mock = await startMock();
+});
+
+after(() => mock.close());
+
+beforeEach(() => resetMock(mock));
+
+const BUNDLE = {
+  Meeting: { MeetingId: 'm-1', ExternalMeetingId: 'standup', MediaRegion: 'us-east-1' },
+  Attendee: { AttendeeId: 'a-1', ExternalUserId: 'ana@example.com', JoinToken: 'tok/en+1' }
+};
+
+const ICS = {
+  joinUrl: 'https://meet.example.com/j?m=m-1',
+  start: new Date('2026-03-02T15:00:00Z'),
+  durationMinutes: 30,
+  title: 'Standup',
+  now: new Date('2026-03-01T09:30:00.123Z')
+};
+
+// Undoes line folding: CRLF followed by a space continues the line.
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+// ---------- Join URLs ----------
+
+test('checkJoinUrlTemplate rejects unknown placeholders', () => {
+  checkJoinUrlTemplate('https://x/{meetingId}/{attendeeId}?t={joinToken}');
+  assert.throws(() => checkJoinUrlTemplate('https://x/{meeting}/{token}'), /\{meeting\}, \{token\}/);
+});
+
+test('buildJoinUrl fills placeholders URL-encoded', () => {
+  assert.equal(
+    buildJoinUrl('https://x/{externalMeetingId}/{region}?u={externalUserId}&t={joinToken}', BUNDLE),
+    'https://x/standup/us-east-1?u=ana%40example.com&t=tok%2Fen%2B1'
+  );
+});
+
+// ---------- iCalendar ----------
+
+test('renderIcs publishes an event without an organizer', () => {
+  const ics = renderIcs(BUNDLE, ICS);
+  assert.ok(ics.endsWith('\r\n'));
+  const lines = unfold(ics);
+  assert.ok(lines.includes('METHOD:PUBLISH'));
+  assert.ok(lines.includes('UID:m-1.a-1@awschime'));
+  assert.ok(lines.includes('DTSTAMP:20260301T093000Z'));
+  assert.ok(lines.includes('DTSTART:20260302T150000Z'));
+  assert.ok(lines.includes('DTEND:20260302T153000Z'));
+  assert.ok(lines.includes(`URL:${ICS.joinUrl}`));
+  assert.ok(!lines.some(line => line.startsWith('ORGANIZER') || line.startsWith('ATTENDEE')));
+});
+
+test('renderIcs addresses the attendee when there is an organizer', () => {
+  const lines = unfold(renderIcs(BUNDLE, { ...ICS, organizer: 'boss@example.com' }));
+  assert.ok(lines.includes('METHOD:REQUEST'));
+  assert.ok(lines.includes('ORGANIZER:mailto:boss@example.com'));
+  assert.ok(lines.includes('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ana@example.com'));
+
+  const notAnEmail = { ...BUNDLE, Attendee: { ...BUNDLE.Attendee, ExternalUserId: 'ana' } };
+  assert.ok(!unfold(renderIcs(notAnEmail, { ...ICS, organizer: 'boss@example.com' })).some(line => line.startsWith('ATTENDEE')));
+});
+
+test('renderIcs escapes text values', () => {
+  const lines = unfold(renderIcs(BUNDLE, { ...ICS, title: 'Plan; review, \\ retro' }));
+  assert.ok(lines.includes('SUMMARY:Plan\\; review\\, \\\\ retro'));
+  const description = lines.find(line => line.startsWith('DESCRIPTION:'));
+  assert.equal(description, `DESCRIPTION:Join: ${ICS.joinUrl}\\n\\nMeeting ID: m-1\\nAttendee: ana@example.com`);
+});
+
+test('renderIcs folds lines at 75 octets without splitting characters', () => {
+  const title = 'Réunion d’équipe — ' + '日本語'.repeat(30);
+  const ics = renderIcs(BUNDLE, { ...ICS, title });
+  const physical = ics.split('\r\n').slice(0, -1);
+  for (const line of physical) assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+  assert.ok(physical.some(line => line.startsWith(' ')));
+  assert.ok(!ics.includes('�'));
+  assert.ok(unfold(ics).includes(`SUMMARY:${title}`));
+});
+
+// ---------- Files ----------
+
+test('fileStems keeps colliding IDs apart', () => {
+  const stems = fileStems(['a b', 'a_b', 'A_B', 'a b', 'ok@example.com', 'x/../y']);
+  assert.deepEqual([...stems], [
+    ['a b', 'a_b'],
+    ['a_b', 'a_b-2'],
+    ['A_B', 'A_B-3'],
+    ['ok@example.com', 'ok@example.com'],
+    ['x/../y', 'x_.._y']
+  ]);
+});
+
+test('writeInvite writes an owner-only bundle and invite', () => {
+  const outDir = path.join(testHome, 'invites');
+  const files = writeInvite(outDir, BUNDLE.Meeting, BUNDLE.Attendee, { ...ICS, joinUrlTemplate: 'https://x/{attendeeId}' }, 'ana-2');
+  assert.deepEqual(files, { bundle: path.join(outDir, 'ana-2.json'), invite: path.join(outDir, 'ana-2.ics') });
+  assert.deepEqual(JSON.parse(fs.readFileSync(files.bundle, 'utf8')), BUNDLE);
+  assert.equal(fs.statSync(files.bundle).mode & 0o777, 0o600);
+  assert.ok(fs.readFileSync(files.invite, 'utf8').includes('URL:https://x/a-1\r\n'));
+});
+
+// ---------- Attendees ----------
+
+test('prepareAttendees creates the missing attendees and reuses the rest', async () => {
+  const { Meeting } = await createMeeting({ externalMeetingId: 'invite' });
+  const { Attendee: ana } = await createAttendee(Meeting.MeetingId, { externalUserId: 'ana' });
+
+  const { meeting, results, error } = await prepareAttendees(Meeting.MeetingId, [{ ExternalUserId: 'ana' }, { ExternalUserId: 'bo' }]);
+  assert.equal(meeting.MeetingId, Meeting.MeetingId);
+  assert.equal(error, undefined);
+  assert.deepEqual(results.map(r => [r.entry.ExternalUserId, r.status]), [['ana', 'reused'], ['bo', 'created']]);
+  assert.equal(results[0].attendee.AttendeeId, ana.AttendeeId);
+  assert.ok(results[1].attendee.JoinToken);
+});
+
+test('prepareAttendees keeps earlier batches when a later one fails', async () => {
+  const { Meeting } = await createMeeting({ externalMeetingId: 'big' });
+  const roster = Array.from({ length: 150 }, (_, i) => ({ ExternalUserId: `user-${i}` }));
+  // GetMeeting, ListAttendees and the first batch get through.
+  mock.faults.failNext = [{ status: 0, count: 3 }, { status: 404, count: 1 }];
+
+  const { results, error } = await prepareAttendees(Meeting.MeetingId, roster);
+  assert.ok(error instanceof NotFoundError);
+  assert.equal(results.filter(r => r.status === 'created').length, 100);
+  const failed = results.filter(r => r.status === 'failed');
+  assert.equal(failed.length, 50);
+  assert.match(failed[0].error, /^Not sent: /);
+});
+
+test('prepareAttendees fails outright for a missing meeting', async () => {
+  await assert.rejects(prepareAttendees('missing', [{ ExternalUserId: 'ana' }]), NotFoundError);
+});
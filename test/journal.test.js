@@ -0,0 +1,160 @@
+import { startMock, resetMock, APP_INSTANCE_ARN, BEARER } from './helpers/mock.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createMeeting, getMeeting, createChannel, deleteChannel, listChannels } from '../src/api.js';
+import {
+  describeRoute, recordRequest, readJournal, findEntry, journalFile, meetingCreationTimes
+} from '../src/journal.js';
+import { inverseOf } from '../src/undo.js';
+import { NotFoundError } from '../src/errors.js';
+
+// ============================================================
+// history / undo (journal.js, undo.js)
+// ============================================================
+
+let mock;
+
+before(async () => {
+  mock = await startMock();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  await resetMock(mock);
+  fs.rmSync(journalFile(), { force: true });
+});
+
+const ENDPOINT = 'https://meetings-chime.us-east-1.amazonaws.com';
+const CHANNEL = `${APP_INSTANCE_ARN}/channel/c1`;
+
+// ---------- Routes ----------
+
+test('describeRoute names the resource and action', () => {
+  assert.deepEqual(describeRoute('POST', `${ENDPOINT}/meetings`), {
+    path: '/meetings', type: 'meeting', action: 'create', params: {}
+  });
+  assert.deepEqual(describeRoute('DELETE', `${ENDPOINT}/meetings/m1/attendees/a1`), {
+    path: '/meetings/m1/attendees/a1', type: 'attendee', action: 'delete', params: { meetingId: 'm1', attendeeId: 'a1' }
+  });
+  assert.deepEqual(describeRoute('POST', `${ENDPOINT}/meetings?operation=create-attendees`).action, 'create-attendees');
+  // Phone number updates are POSTs.
+  assert.equal(describeRoute('POST', `${ENDPOINT}/phone-numbers/%2B15550100`).action, 'update');
+});
+
+test('describeRoute decodes ARNs in the path', () => {
+  const member = `${APP_INSTANCE_ARN}/user/bob`;
+  const route = describeRoute('DELETE', `${ENDPOINT}/channels/${encodeURIComponent(CHANNEL)}/memberships/${encodeURIComponent(member)}`);
+  assert.equal(route.type, 'membership');
+  assert.deepEqual(route.params, { channelArn: CHANNEL, memberArn: member });
+  assert.equal(route.path, `/channels/${CHANNEL}/memberships/${member}`);
+});
+
+test('describeRoute falls back to type other', () => {
+  assert.equal(describeRoute('POST', `${ENDPOINT}/something-new`).type, 'other');
+});
+
+// ---------- Recording ----------
+
+function response(method, url, { status = 200, body, data, headers = {} } = {}) {
+  return { type: 'response', status, data, request: { method, url, headers, body } };
+}
+
+test('recordRequest keeps successful changes only', () => {
+  recordRequest(response('GET', `${ENDPOINT}/meetings`));
+  recordRequest(response('POST', `${ENDPOINT}/meetings`, { status: 400 }));
+  recordRequest({ type: 'request', request: { method: 'POST', url: `${ENDPOINT}/meetings`, headers: {} } });
+  assert.deepEqual(readJournal(), []);
+
+  recordRequest(response('POST', `${ENDPOINT}/meetings`, {
+    body: JSON.stringify({ ExternalMeetingId: 'x', ClientRequestToken: 't' }),
+    data: { Meeting: { MeetingId: 'm1', MeetingArn: 'arn:m1', ExternalMeetingId: 'x', MediaPlacement: {} }, Attendees: [{ AttendeeId: 'a1', JoinToken: 'secret' }] },
+    headers: { authorization: 'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20260101/us-east-1/chime/aws4_request', 'x-amz-chime-bearer': BEARER }
+  }));
+  const [entry] = readJournal();
+  assert.equal(entry.type, 'meeting');
+  assert.equal(entry.action, 'create');
+  assert.equal(entry.accessKeyId, 'AKIDEXAMPLE');
+  assert.equal(entry.bearer, BEARER);
+  assert.deepEqual(entry.ids, { MeetingId: 'm1', MeetingArn: 'arn:m1', ExternalMeetingId: 'x', AttendeeId: 'a1' });
+  assert.deepEqual(entry.body, { ExternalMeetingId: 'x', ClientRequestToken: 't' });
+  assert.ok(!JSON.stringify(entry).includes('secret'));
+});
+
+test('recordRequest drops passwords from the body', () => {
+  recordRequest(response('PUT', `${ENDPOINT}/voice-connectors/vc1/termination/credentials`, {
+    status: 204,
+    body: JSON.stringify({ Credentials: [{ Username: 'trunk', Password: 'hunter2' }] })
+  }));
+  const [entry] = readJournal();
+  assert.deepEqual(entry.body, { Credentials: [{ Username: 'trunk' }] });
+  assert.ok(!fs.readFileSync(journalFile(), 'utf8').includes('hunter2'));
+});
+
+test('readJournal skips lines cut short', () => {
+  fs.writeFileSync(journalFile(), '{"id":"aaaa1111"}\n{"id":"bb\n\n{"id":"cccc2222"}\n');
+  assert.deepEqual(readJournal().map(entry => entry.id), ['aaaa1111', 'cccc2222']);
+});
+
+test('findEntry accepts a unique prefix', () => {
+  const entries = [{ id: 'abcd1234' }, { id: 'abef5678' }];
+  assert.equal(findEntry(entries, 'abc').id, 'abcd1234');
+  assert.equal(findEntry(entries, 'abef5678').id, 'abef5678');
+  assert.equal(findEntry(entries, 'ff'), null);
+  assert.throws(() => findEntry(entries, 'ab'), /ambiguous/);
+});
+
+test('meetingCreationTimes reads create entries', async () => {
+  const { Meeting } = await createMeeting({ externalMeetingId: 'timed' });
+  const [entry] = readJournal();
+  assert.deepEqual([...meetingCreationTimes()], [[Meeting.MeetingId, Date.parse(entry.time)]]);
+});
+
+// ---------- Undo ----------
+
+test('undoing a meeting create deletes the meeting', async () => {
+  const { Meeting } = await createMeeting({ externalMeetingId: 'undo-me' });
+  const [entry] = readJournal();
+  const inverse = inverseOf(entry);
+  assert.equal(inverse.description, `Delete meeting ${Meeting.MeetingId}`);
+
+  await inverse.run();
+  await assert.rejects(getMeeting(Meeting.MeetingId), NotFoundError);
+  const undo = readJournal().at(-1);
+  assert.equal(undo.action, 'delete');
+  assert.equal(undo.undoOf, entry.id);
+});
+
+test('undoing a channel delete recreates it from the snapshot', async () => {
+  const { ChannelArn } = await createChannel({
+    appInstanceArn: APP_INSTANCE_ARN, name: 'ops', mode: 'RESTRICTED', privacy: 'PRIVATE', chimeBearer: BEARER
+  });
+  await deleteChannel(ChannelArn, { chimeBearer: BEARER });
+  const entry = readJournal().at(-1);
+  assert.equal(entry.before.Name, 'ops');
+
+  const inverse = inverseOf(entry);
+  assert.match(inverse.description, /Recreate channel 'ops' \(RESTRICTED, PRIVATE\)/);
+  await inverse.run();
+  const [channel] = await listChannels({ appInstanceArn: APP_INSTANCE_ARN, privacy: 'PRIVATE' });
+  assert.equal(channel.Name, 'ops');
+  assert.notEqual(channel.ChannelArn, ChannelArn);
+});
+
+test('inverseOf builds membership inverses from the path and body', () => {
+  const member = `${APP_INSTANCE_ARN}/user/bob`;
+  const removed = inverseOf({ id: 'e1', type: 'membership', action: 'delete', params: { channelArn: CHANNEL, memberArn: member } });
+  assert.equal(removed.description, `Add ${member} back to channel ${CHANNEL}`);
+  const added = inverseOf({ id: 'e2', type: 'membership', action: 'create', params: { channelArn: CHANNEL }, body: { MemberArn: member } });
+  assert.equal(added.description, `Remove ${member} from channel ${CHANNEL}`);
+});
+
+test('inverseOf returns null when there is no safe inverse', () => {
+  assert.equal(inverseOf({ id: 'e1', type: 'meeting', action: 'delete', params: { meetingId: 'm1' } }), null);
+  assert.equal(inverseOf({ id: 'e2', type: 'message', action: 'redact', params: {} }), null);
+  // A channel delete journalled without its snapshot cannot be recreated.
+  assert.equal(inverseOf({ id: 'e3', type: 'channel', action: 'delete', params: { channelArn: CHANNEL } }), null);
+  // A create whose response IDs are missing names nothing to delete.
+  assert.equal(inverseOf({ id: 'e4', type: 'meeting', action: 'create' }), null);
+});
@@ -0,0 +1,188 @@
+import { testHome } from './helpers/env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { setRuntimeOptions } from '../src/config.js';
+import { loadManifest, buildPlan } from '../src/manifest.js';
+
+// ============================================================
+// apply planning (manifest.js)
+// ============================================================
+// The mock server has no identity routes, so the planner runs against a
+// small read-only stand-in that answers the list calls buildPlan makes.
+
+const INSTANCE = 'arn:aws:chime:us-east-1:123456789012:app-instance/support';
+const user = (id) => `${INSTANCE}/user/${id}`;
+const channelArn = (id) => `${INSTANCE}/channel/${id}`;
+
+let live;
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').slice(1).map(decodeURIComponent);
+  let body;
+  if (url.pathname === '/app-instances') {
+    body = { AppInstances: live.instances };
+  } else if (url.pathname === '/app-instance-users') {
+    body = { AppInstanceUsers: live.users };
+  } else if (parts[0] === 'app-instances' && parts[2] === 'admins') {
+    body = { AppInstanceAdmins: live.admins.map(arn => ({ Admin: { Arn: arn } })) };
+  } else if (url.pathname === '/channels') {
+    // Like the real API, no privacy filter means PUBLIC only.
+    const privacy = url.searchParams.get('privacy') || 'PUBLIC';
+    body = { Channels: live.channels.filter(channel => channel.Privacy === privacy) };
+  } else if (parts[0] === 'channels' && parts[2] === 'memberships') {
+    body = { ChannelMemberships: (live.members[parts[1]] || []).map(arn => ({ Member: { Arn: arn } })) };
+  } else if (parts[0] === 'channels' && parts[2] === 'moderators') {
+    body = { ChannelModerators: (live.moderators[parts[1]] || []).map(arn => ({ Moderator: { Arn: arn } })) };
+  }
+  res.writeHead(body ? 200 : 404, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body || { Code: 'NotFound', Message: `No route for ${url.pathname}` }));
+});
+
+let fileCount = 0;
+function manifest(yaml) {
+  const file = path.join(testHome, `manifest-${++fileCount}.yaml`);
+  fs.writeFileSync(file, yaml);
+  return loadManifest(file);
+}
+
+const summarize = (plan) => plan.steps.map(step => `${step.action}: ${step.description}`);
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  setRuntimeOptions({ endpointUrl: `http://127.0.0.1:${server.address().port}`, maxAttempts: 1 });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  live = {
+    instances: [{ AppInstanceArn: INSTANCE, Name: 'support' }],
+    users: [
+      { AppInstanceUserArn: user('ops-bot'), Name: 'Ops Bot' },
+      { AppInstanceUserArn: user('alice'), Name: 'Alice', Metadata: 'team=a' }
+    ],
+    admins: [user('ops-bot')],
+    channels: [],
+    members: {},
+    moderators: {}
+  };
+});
+
+const SUPPORT = `
+appInstances:
+  - name: support
+    bearer: ops-bot
+    users:
+      - { id: ops-bot, name: Ops Bot }
+      - { id: alice, name: Alice }
+    admins: [ops-bot]
+`;
+
+test('plans nothing when live state matches', async () => {
+  const plan = await buildPlan(manifest(SUPPORT));
+  assert.deepEqual(plan.steps, []);
+});
+
+test('finds an existing PRIVATE channel instead of creating it again', async () => {
+  live.channels.push({ ChannelArn: channelArn('esc'), Name: 'escalations', Mode: 'RESTRICTED', Privacy: 'PRIVATE' });
+  live.members[channelArn('esc')] = [user('ops-bot'), user('bob')];
+
+  const plan = await buildPlan(manifest(`${SUPPORT}
+    channels:
+      - { name: escalations, mode: RESTRICTED, privacy: PRIVATE, members: [ops-bot, alice] }
+`));
+  assert.deepEqual(summarize(plan), [
+    'create: add member alice to #escalations',
+    'delete: remove member bob from #escalations'
+  ]);
+  assert.deepEqual(plan.warnings, []);
+});
+
+test('prunes undeclared channels of either privacy', async () => {
+  live.channels.push(
+    { ChannelArn: channelArn('old'), Name: 'old-alerts', Mode: 'UNRESTRICTED', Privacy: 'PUBLIC' },
+    { ChannelArn: channelArn('secret'), Name: 'secret', Mode: 'UNRESTRICTED', Privacy: 'PRIVATE' }
+  );
+  const plan = await buildPlan(manifest(SUPPORT), { prune: true });
+  assert.deepEqual(summarize(plan), [
+    'delete: delete channel #old-alerts (not in manifest)',
+    'delete: delete channel #secret (not in manifest)'
+  ]);
+
+  const unpruned = await buildPlan(manifest(SUPPORT));
+  assert.deepEqual(unpruned.steps, []);
+  assert.match(unpruned.warnings[0], /2 channel\(s\) not in the manifest/);
+});
+
+test('plans channel updates and warns about privacy it cannot change', async () => {
+  live.channels.push({ ChannelArn: channelArn('general'), Name: 'general', Mode: 'UNRESTRICTED', Privacy: 'PUBLIC' });
+  const plan = await buildPlan(manifest(`${SUPPORT}
+    channels:
+      - { name: general, mode: RESTRICTED, privacy: PRIVATE, metadata: '{"a":1}' }
+`));
+  assert.deepEqual(summarize(plan), [
+    'update: update channel #general: mode "UNRESTRICTED" → "RESTRICTED", metadata "" → "{\\"a\\":1}"'
+  ]);
+  assert.match(plan.warnings[0], /#general is PUBLIC; privacy can't be changed/);
+});
+
+test('never removes the bearer from a channel', async () => {
+  live.channels.push({ ChannelArn: channelArn('general'), Name: 'general', Mode: 'UNRESTRICTED', Privacy: 'PUBLIC' });
+  live.moderators[channelArn('general')] = [user('ops-bot'), user('alice')];
+  const plan = await buildPlan(manifest(`${SUPPORT}
+    channels:
+      - { name: general, moderators: [] }
+`));
+  assert.deepEqual(summarize(plan), ['delete: remove moderator alice from #general']);
+});
+
+test('makes the admin list match when it is declared', async () => {
+  live.admins.push(user('mallory'));
+  const plan = await buildPlan(manifest(SUPPORT.replace('admins: [ops-bot]', 'admins: [alice]')));
+  assert.deepEqual(summarize(plan), [
+    'create: add admin alice to support',
+    'delete: remove admin ops-bot from support',
+    'delete: remove admin mallory from support'
+  ]);
+
+  const undeclared = await buildPlan(manifest(SUPPORT.replace('    admins: [ops-bot]\n', '')));
+  assert.deepEqual(undeclared.steps, []);
+});
+
+test('updates users whose name or declared metadata differs', async () => {
+  const plan = await buildPlan(manifest(SUPPORT
+    .replace('{ id: ops-bot, name: Ops Bot }', '{ id: ops-bot, name: Ops }')
+    .replace('{ id: alice, name: Alice }', '{ id: alice, name: Alice, metadata: team=b }')));
+  assert.deepEqual(summarize(plan), [
+    'update: update user ops-bot: name "Ops Bot" → "Ops"',
+    'update: update user alice: metadata "team=a" → "team=b"'
+  ]);
+});
+
+test('plans a whole new app instance without reading it', async () => {
+  live.instances = [];
+  const plan = await buildPlan(manifest(`
+appInstances:
+  - name: sales
+    users: [{ id: bob }]
+    admins: [bob]
+    channels:
+      - { name: deals, members: [bob] }
+`));
+  assert.deepEqual(summarize(plan), [
+    'create: create app instance sales',
+    'create: create user bob',
+    'create: add admin bob',
+    'create: create channel #deals (UNRESTRICTED, PUBLIC)',
+    'create: add member bob to #deals'
+  ]);
+});
+
+test('rejects unknown keys and bad values in the manifest', () => {
+  assert.throws(() => manifest('appInstances:\n  - { name: a, colour: red }\n'), /colour/);
+  assert.throws(() => manifest('appInstances:\n  - { name: a, channels: [{ name: c, mode: OPEN }] }\n'), /mode/);
+  assert.throws(() => manifest('appInstances: nope\n'), /appInstances must be a list/);
+});
@@ -0,0 +1,129 @@
+import { startMock, resetMock, APP_INSTANCE_ARN, BEARER } from './helpers/mock.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createMeeting, createChannel } from '../src/api.js';
+import { journalFile, readJournal } from '../src/journal.js';
+import { compilePattern, parseDuration, findMeetings, findChannels, deleteAll } from '../src/prune.js';
+
+// ============================================================
+// meetings prune / channels prune (prune.js)
+// ============================================================
+
+let mock;
+
+before(async () => {
+  mock = await startMock();
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  await resetMock(mock);
+  fs.rmSync(journalFile(), { force: true });
+});
+
+test('compilePattern treats plain text as a glob', () => {
+  const glob = compilePattern('load-test-*');
+  assert.ok(glob.test('load-test-1'));
+  assert.ok(glob.test('load-test-'));
+  assert.ok(!glob.test('x-load-test-1'));
+  assert.ok(compilePattern('a?c').test('abc'));
+  assert.ok(!compilePattern('a?c').test('ac'));
+  // Regex characters in a glob are literal.
+  assert.ok(compilePattern('v1.0+(rc)').test('v1.0+(rc)'));
+  assert.ok(!compilePattern('v1.0').test('v1x0'));
+});
+
+test('compilePattern accepts /regex/flags', () => {
+  const regex = compilePattern('/^perf-\\d+$/i');
+  assert.ok(regex.test('PERF-12'));
+  assert.ok(!regex.test('perf-x'));
+});
+
+test('parseDuration reads m, h, d and w', () => {
+  assert.equal(parseDuration('30m'), 30 * 60e3);
+  assert.equal(parseDuration('1.5h'), 1.5 * 3600e3);
+  assert.equal(parseDuration('7d'), 7 * 86400e3);
+  assert.equal(parseDuration('2w'), 14 * 86400e3);
+  assert.equal(parseDuration('7'), null);
+  assert.equal(parseDuration('d'), null);
+  assert.equal(parseDuration('-1d'), null);
+});
+
+test('deleteAll keeps at most `concurrency` deletions in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const progress = [];
+  const result = await deleteAll([1, 2, 3, 4, 5, 6, 7], async (item) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    if (item % 3 === 0) throw new Error(`cannot delete ${item}`);
+  }, { concurrency: 3, onProgress: (p) => progress.push(p) });
+
+  assert.equal(peak, 3);
+  assert.deepEqual(result.deleted.sort(), [1, 2, 4, 5, 7]);
+  assert.deepEqual(result.failed.map(f => [f.item, f.error.message]).sort(), [[3, 'cannot delete 3'], [6, 'cannot delete 6']]);
+  assert.equal(progress.length, 7);
+  assert.deepEqual(progress.at(-1), { done: 7, total: 7, failed: 2 });
+});
+
+test('deleteAll with nothing to delete', async () => {
+  assert.deepEqual(await deleteAll([], () => assert.fail('not called')), { deleted: [], failed: [] });
+});
+
+test('findMeetings filters by external ID, media region and tags', async () => {
+  await createMeeting({ externalMeetingId: 'load-test-1', mediaRegion: 'us-east-1', tags: [{ Key: 'env', Value: 'load' }] });
+  await createMeeting({ externalMeetingId: 'load-test-2', mediaRegion: 'eu-west-1' });
+  await createMeeting({ externalMeetingId: 'prod-1', mediaRegion: 'us-east-1', tags: [{ Key: 'env', Value: 'load' }] });
+
+  const ids = async (filters) => (await findMeetings(filters)).map(m => m.ExternalMeetingId).sort();
+  assert.deepEqual(await ids({ externalId: 'load-test-*' }), ['load-test-1', 'load-test-2']);
+  assert.deepEqual(await ids({ externalId: 'load-test-*', mediaRegion: 'us-east-1' }), ['load-test-1']);
+  assert.deepEqual(await ids({ tags: [{ Key: 'env', Value: 'load' }] }), ['load-test-1', 'prod-1']);
+  assert.deepEqual(await ids({ empty: true }), ['load-test-1', 'load-test-2', 'prod-1']);
+});
+
+// Rewrites the journal's record of when each meeting was created.
+function backdateJournal(ages) {
+  const entries = readJournal().flatMap(entry => {
+    const age = ages[entry.ids?.MeetingId];
+    if (age === null) return [];
+    return [age === undefined ? entry : { ...entry, time: new Date(Date.now() - age).toISOString() }];
+  });
+  fs.writeFileSync(journalFile(), entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+test('findMeetings ages meetings by the journal and skips unknown ones', async () => {
+  const { Meeting: old } = await createMeeting({ externalMeetingId: 'old' });
+  const { Meeting: young } = await createMeeting({ externalMeetingId: 'young' });
+  const { Meeting: elsewhere } = await createMeeting({ externalMeetingId: 'elsewhere' });
+  backdateJournal({ [old.MeetingId]: 3 * 86400e3, [young.MeetingId]: 3600e3, [elsewhere.MeetingId]: null });
+
+  const matches = await findMeetings({ olderThanMs: 86400e3 });
+  assert.deepEqual(matches.map(m => m.ExternalMeetingId), ['old']);
+  assert.ok(Date.now() - Date.parse(matches[0].CreatedTimestamp) >= 3 * 86400e3);
+  assert.equal((await findMeetings({})).length, 3);
+});
+
+test('findChannels sees public and private channels', async () => {
+  await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'loadtest-public', chimeBearer: BEARER });
+  await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'loadtest-private', privacy: 'PRIVATE', chimeBearer: BEARER });
+  await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'general', chimeBearer: BEARER });
+
+  const names = (await findChannels({ appInstanceArn: APP_INSTANCE_ARN, name: 'loadtest-*' })).map(c => c.Name).sort();
+  assert.deepEqual(names, ['loadtest-private', 'loadtest-public']);
+});
+
+test('findChannels filters by age from the channel itself', async () => {
+  await createChannel({ appInstanceArn: APP_INSTANCE_ARN, name: 'fresh', chimeBearer: BEARER });
+  assert.deepEqual(await findChannels({ appInstanceArn: APP_INSTANCE_ARN, olderThanMs: 60e3 }), []);
+
+  const [channel] = mock.state.channels.values();
+  channel.channel.CreatedTimestamp -= 120;
+  const matches = await findChannels({ appInstanceArn: APP_INSTANCE_ARN, olderThanMs: 60e3 });
+  assert.deepEqual(matches.map(c => c.Name), ['fresh']);
+  assert.ok(matches[0].CreatedTimestamp);
+});
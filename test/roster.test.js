@@ -0,0 +1,79 @@
+import { testHome } from './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseCsv, readRoster, capabilitiesFrom } from '../src/roster.js';
+
+// ============================================================
+// attendee rosters (roster.js)
+// ============================================================
+
+let fileCount = 0;
+function roster(name, text) {
+  const file = path.join(testHome, `${++fileCount}-${name}`);
+  fs.writeFileSync(file, text);
+  return readRoster(file);
+}
+
+const ALL = (value) => ({ Audio: value, Video: value, Content: value });
+
+// ---------- CSV ----------
+
+test('parseCsv handles quotes, CRLF and blank lines', () => {
+  assert.deepEqual(parseCsv('id,name\r\n"a,1","say ""hi"""\r\n\r\n,\nb,"two\nlines"'), [
+    ['id', 'name'],
+    ['a,1', 'say "hi"'],
+    ['b', 'two\nlines']
+  ]);
+  assert.deepEqual(parseCsv(''), []);
+  assert.deepEqual(parseCsv('x\n'), [['x']]);
+});
+
+// ---------- Entries ----------
+
+test('readRoster reads CSV headers loosely', () => {
+  assert.deepEqual(roster('a.csv', 'External_User_ID, Audio ,video\nana, Receive ,\nbo,,\n'), [
+    { ExternalUserId: 'ana', Capabilities: { Audio: 'Receive', Video: 'SendReceive', Content: 'SendReceive' } },
+    { ExternalUserId: 'bo' }
+  ]);
+  assert.deepEqual(roster('b.csv', ''), []);
+});
+
+test('readRoster reads JSON arrays, wrapped lists and plain IDs', () => {
+  assert.deepEqual(roster('a.json', '["ana", { "email": "bo@example.com", "Capabilities": { "Audio": "None" } }]'), [
+    { ExternalUserId: 'ana' },
+    { ExternalUserId: 'bo@example.com', Capabilities: { Audio: 'None', Video: 'SendReceive', Content: 'SendReceive' } }
+  ]);
+  assert.deepEqual(roster('wrapped.txt', '{ "Attendees": [{ "userId": 7 }] }'), [{ ExternalUserId: '7' }]);
+});
+
+test('content follows video when left out', () => {
+  assert.deepEqual(roster('a.csv', 'id,video\nana,None\nbo,Receive\n').map(entry => entry.Capabilities), [
+    { Audio: 'SendReceive', Video: 'None', Content: 'None' },
+    { Audio: 'SendReceive', Video: 'Receive', Content: 'Receive' }
+  ]);
+  assert.deepEqual(roster('b.csv', 'id,video,content\nana,None,Send\n')[0].Capabilities, { Audio: 'SendReceive', Video: 'None', Content: 'Send' });
+});
+
+test('readRoster rejects entries the API would reject', () => {
+  assert.throws(() => roster('a.csv', 'id,video,content\nana,None,SendReceive\n'), /Roster entry 1: Content SendReceive requires video/);
+  assert.throws(() => roster('b.csv', 'id,audio\nana,Loud\n'), /Roster entry 1: invalid audio capability 'Loud'/);
+  assert.throws(() => roster('c.json', '[{ "id": "ana" }, { "name": "no id" }]'), /Roster entry 2 has no external user ID/);
+});
+
+// ---------- Capabilities ----------
+
+test('capabilitiesFrom fills the rest from the fallback', () => {
+  assert.deepEqual(capabilitiesFrom({ audio: 'Send' }, ALL('Receive')), { Audio: 'Send', Video: 'Receive', Content: 'Receive' });
+  assert.deepEqual(capabilitiesFrom({}, ALL('None')), ALL('None'));
+  assert.deepEqual(capabilitiesFrom({ video: 'Send', content: 'Send' }, ALL('None')), { Audio: 'None', Video: 'Send', Content: 'Send' });
+});
+
+test('capabilitiesFrom rejects received content without received video', () => {
+  for (const [video, content] of [['None', 'Receive'], ['Send', 'SendReceive']]) {
+    assert.throws(() => capabilitiesFrom({ video, content }, ALL('SendReceive')), new RegExp(`Content ${content} requires video`));
+  }
+  // The fallback counts too: an existing attendee with video off.
+  assert.throws(() => capabilitiesFrom({ content: 'Receive' }, ALL('None')), /got None/);
+});
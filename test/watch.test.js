@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots } from '../src/watch.js';
+
+// ============================================================
+// meetings watch (watch.js)
+// ============================================================
+
+const TIME = '2026-01-01T00:00:00.000Z';
+
+// Builds a snapshot from `{ meetingId: [attendeeId, ...] }`.
+function snapshot(meetings) {
+  return new Map(Object.entries(meetings).map(([meetingId, attendeeIds]) => [meetingId, {
+    meeting: { MeetingId: meetingId, ExternalMeetingId: `ext-${meetingId}` },
+    attendees: new Map(attendeeIds.map(id => [id, { AttendeeId: id, ExternalUserId: `user-${id}` }]))
+  }]));
+}
+
+const summarize = (events) => events.map(event => [event.type, event.meetingId, event.attendeeId].filter(Boolean).join(' '));
+
+test('no events when nothing changed', () => {
+  assert.deepEqual(diffSnapshots(snapshot({ m1: ['a1'] }), snapshot({ m1: ['a1'] }), TIME), []);
+});
+
+test('a new meeting is created before its attendees are added', () => {
+  const events = diffSnapshots(snapshot({}), snapshot({ m1: ['a1', 'a2'] }), TIME);
+  assert.deepEqual(summarize(events), ['meeting-created m1', 'attendee-added m1 a1', 'attendee-added m1 a2']);
+  assert.deepEqual(events[1], {
+    type: 'attendee-added', time: TIME, meetingId: 'm1', externalMeetingId: 'ext-m1', attendeeId: 'a1', externalUserId: 'user-a1'
+  });
+});
+
+test('attendees joining and leaving an existing meeting', () => {
+  const events = diffSnapshots(snapshot({ m1: ['a1', 'a2'] }), snapshot({ m1: ['a2', 'a3'] }), TIME);
+  assert.deepEqual(summarize(events), ['attendee-added m1 a3', 'attendee-removed m1 a1']);
+});
+
+test('an ended meeting yields only meeting-ended', () => {
+  const events = diffSnapshots(snapshot({ m1: ['a1'], m2: [] }), snapshot({ m2: [] }), TIME);
+  assert.deepEqual(events, [{ type: 'meeting-ended', time: TIME, meetingId: 'm1', externalMeetingId: 'ext-m1' }]);
+});
+
+test('stamps events with the current time by default', () => {
+  const [event] = diffSnapshots(snapshot({}), snapshot({ m1: [] }));
+  assert.ok(Math.abs(Date.parse(event.time) - Date.now()) < 5000);
+});